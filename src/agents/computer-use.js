@@ -1,17 +1,36 @@
 const { GoogleGenAI, createPartFromBase64, createPartFromText } = require('@google/genai');
+const SafetyPolicy = require('../utils/safety-policy');
+const { TimeoutError, withTimeout } = require('../utils/timeout');
+
+// Asks the model to say why it stopped acting, so replies can be typed
+const REPLY_INSTRUCTION = 'When you stop taking actions, answer with text starting with ' +
+  '"DONE: <summary>" if the goal is achieved, "BLOCKED: <reason>" if it cannot be achieved, ' +
+  'or "QUESTION: <question>" if you need information you were not given.';
+
+const REPLY_TYPES = { DONE: 'done', BLOCKED: 'blocked', QUESTION: 'question' };
 
 /**
  * Computer Use Agent - Uses Gemini Computer Use API for direct browser control
  * Replaces the Vision Analyst Agent with actual browser control capabilities
  */
 class ComputerUseAgent {
+  /**
+   * @param {Object} logger - Logger instance
+   * @param {string} apiKey - Gemini API key (not needed when replaying a cassette)
+   * @param {Object} [options]
+   * @param {string} [options.model] - Computer Use model
+   * @param {number} [options.maxHistoryLength=10] - Turns kept in the conversation
+   * @param {Cassette} [options.cassette] - Records responses, or replays them without API calls
+   */
   constructor(logger, apiKey, options = {}) {
-    if (!apiKey) {
+    const replaying = !!(options.cassette && options.cassette.isReplay);
+    if (!apiKey && !replaying) {
       throw new Error('API key is required for ComputerUseAgent');
     }
 
     this.logger = logger;
-    this.client = new GoogleGenAI({ apiKey });
+    this.client = apiKey ? new GoogleGenAI({ apiKey }) : null;
+    this.cassette = options.cassette || null;
     this.model = options.model || process.env.COMPUTER_USE_MODEL || 'gemini-2.5-computer-use-preview-10-2025';
     this.conversationHistory = [];
     this.maxHistoryLength = options.maxHistoryLength || 10; // Limit history to prevent memory issues
@@ -22,7 +41,9 @@ class ComputerUseAgent {
    * @param {string} screenshot - Base64 encoded screenshot
    * @param {string} goal - Current goal/task description
    * @param {object} context - Additional context (state, url, etc.)
-   * @returns {Promise<object>} Computer use action to execute
+   * @returns {Promise<object|null>} Typed result, null for malformed responses:
+   *   { type: 'action', actions } (in the order to execute) | { type: 'done', summary, text } |
+   *   { type: 'blocked', reason, text } | { type: 'question', question, text }
    */
   async getNextAction(screenshot, goal, context = {}) {
     this.logger.info(`Getting next action for goal: ${goal}`);
@@ -40,19 +61,29 @@ class ComputerUseAgent {
     ];
 
     try {
-      const response = await this.client.models.generateContent({
-        model: this.model,
-        contents: messages,
-        config: {
-          tools: [{
-            computerUse: {
-              environment: 'ENVIRONMENT_BROWSER',
-              // Optionally exclude certain actions
-              // excludedPredefinedFunctions: ['drag_and_drop']
-            }
-          }]
+      const request = this.cassette ? this.cassette.fingerprint(goal, context, screenshot) : null;
+      let response;
+      if (this.cassette && this.cassette.isReplay) {
+        response = this.cassette.replay(request);
+      } else {
+        response = await this.client.models.generateContent({
+          model: this.model,
+          contents: messages,
+          config: {
+            systemInstruction: REPLY_INSTRUCTION,
+            tools: [{
+              computerUse: {
+                environment: 'ENVIRONMENT_BROWSER',
+                // Optionally exclude certain actions
+                // excludedPredefinedFunctions: ['drag_and_drop']
+              }
+            }]
+          }
+        });
+        if (this.cassette) {
+          await this.cassette.record(request, response);
         }
-      });
+      }
 
       // Validate response structure
       if (!response.candidates || response.candidates.length === 0) {
@@ -65,66 +96,325 @@ class ComputerUseAgent {
         return null;
       }
 
-      // Extract function call from response
-      const functionCall = response.candidates[0].content.parts.find(
-        part => part.functionCall
-      );
+      // Extract every function call from the response; the model may batch several per turn
+      const parts = response.candidates[0].content.parts;
+      const functionCalls = parts.filter(part => part.functionCall).map(part => part.functionCall);
 
-      if (!functionCall) {
-        this.logger.error('No function call in response');
-        this.logger.debug('Response parts count:', response.candidates[0].content.parts.length);
-        return null;
+      if (functionCalls.length === 0) {
+        const text = parts
+          .filter(part => part.text)
+          .map(part => part.text)
+          .join('\n')
+          .trim();
+
+        if (!text) {
+          this.logger.error('No function call or text in response');
+          this.logger.debug('Response parts count:', parts.length);
+          return null;
+        }
+
+        this.remember(messages[messages.length - 1].parts, [{ text }]);
+        const reply = ComputerUseAgent.parseReply(text);
+        this.logger.info(`Model replied (${reply.type}): ${text}`);
+        return reply;
       }
 
-      const action = functionCall.functionCall;
+      this.remember(messages[messages.length - 1].parts, parts.filter(part => part.text || part.functionCall));
 
-      // Add to conversation history
-      this.conversationHistory.push({
-        role: 'user',
-        parts: messages[messages.length - 1].parts
-      });
-      this.conversationHistory.push({
-        role: 'model',
-        parts: [{ functionCall: action }]
+      // Risky actions carry args.safety_decision; runners review it through SafetyPolicy
+      const actions = functionCalls.map(functionCall => {
+        const { safety_decision: safetyDecision, ...args } = functionCall.args || {};
+        return safetyDecision
+          ? { ...functionCall, args, _safetyDecision: safetyDecision }
+          : functionCall;
       });
 
-      // Prune history to prevent memory issues (keep only recent turns)
-      if (this.conversationHistory.length > this.maxHistoryLength * 2) {
-        this.conversationHistory = this.conversationHistory.slice(-this.maxHistoryLength * 2);
-        this.logger.debug(`Pruned conversation history to ${this.maxHistoryLength} turns`);
-      }
-
-      this.logger.success(`Action received: ${action.name}`);
-      this.logger.debug('Action details:', action);
+      this.logger.success(`Action${actions.length > 1 ? 's' : ''} received: ${actions.map(action => action.name).join(', ')}`);
+      this.logger.debug('Action details:', actions);
 
-      return action;
+      return { type: 'action', actions };
     } catch (error) {
-      this.logger.error('Computer Use API failed', error.message);
+      this.logger.error(error.name === 'CassetteMismatchError' ? 'Cassette replay failed' : 'Computer Use API failed', error.message);
       throw error;
     }
   }
 
+  /**
+   * Adds a user turn and the model's answer to the conversation history.
+   */
+  remember(userParts, modelParts) {
+    this.conversationHistory.push({ role: 'user', parts: userParts });
+    this.conversationHistory.push({ role: 'model', parts: modelParts });
+
+    // Prune history to prevent memory issues (keep only recent turns)
+    if (this.conversationHistory.length > this.maxHistoryLength * 2) {
+      this.conversationHistory = this.conversationHistory.slice(-this.maxHistoryLength * 2);
+      this.logger.debug(`Pruned conversation history to ${this.maxHistoryLength} turns`);
+    }
+  }
+
+  /**
+   * Types a text reply by its DONE/BLOCKED/QUESTION prefix. Without a prefix, a reply
+   * ending in "?" is a question and anything else counts as done; runners still verify
+   * the page before trusting it.
+   * @param {string} text - Model reply
+   * @returns {Object} { type: 'done', summary } | { type: 'blocked', reason } |
+   *   { type: 'question', question }, each with the full `text`
+   */
+  static parseReply(text) {
+    const match = text.match(/^\W*(DONE|BLOCKED|QUESTION)\W*?[:\-]\s*([\s\S]*)$/i);
+    const type = match ? REPLY_TYPES[match[1].toUpperCase()] : /\?\s*$/.test(text) ? 'question' : 'done';
+    const message = (match ? match[2] : text).trim();
+    const field = { done: 'summary', blocked: 'reason', question: 'question' }[type];
+    return { type, [field]: message, text };
+  }
+
+  /**
+   * Runs the actions of one model turn in order. Once an action fails or is refused the
+   * rest are skipped, but each still gets a result so every function call can be answered.
+   * @param {Array<Object>} actions - From an 'action' result of getNextAction
+   * @param {Object} hooks
+   * @param {function(Object): Promise<Object>} hooks.execute - Executes one action, resolves to its result
+   * @param {function(Object): Promise<Object>} hooks.review - SafetyPolicy record for a flagged action
+   * @returns {Promise<Object>} { results (one per action, in order; not executed ones are
+   *   marked `skipped` or `refused`), failed (first failed result or null), refusal
+   *   ({ action, safety } or null) }
+   */
+  async executeActions(actions, { execute, review }) {
+    const results = [];
+    let failed = null;
+    let refusal = null;
+
+    for (const action of actions) {
+      if (failed || refusal) {
+        const cause = failed ? `${failed.actionName} failed` : `${refusal.action.name} was refused`;
+        this.logger.debug(`Skipping ${action.name}: ${cause}`);
+        results.push({ success: false, actionName: action.name, skipped: true, error: `Not executed because ${cause}` });
+        continue;
+      }
+
+      // Actions the model flags as risky only run if the safety policy approves them
+      let safety = null;
+      if (SafetyPolicy.requiresConfirmation(action)) {
+        safety = await review(action);
+        if (!safety.acknowledged) {
+          refusal = { action, safety };
+          results.push({ success: false, actionName: action.name, refused: true, error: `Refused: ${safety.reason}` });
+          continue;
+        }
+      }
+
+      const result = await execute(action);
+      if (safety) {
+        result._safetyDecision = safety; // Acknowledged in the function response
+      }
+      if (!result.success) {
+        failed = result;
+      }
+      results.push(result);
+    }
+
+    return { results, failed, refusal };
+  }
+
   /**
    * Report action result back to Gemini
-   * @param {object} result - Result of executed action
+   * @param {object} result - Result of executed action; `_safetyDecision` is the
+   *   SafetyPolicy record for actions that required confirmation
    * @param {string} currentUrl - Current page URL after action execution
    */
   async reportActionResult(result, currentUrl) {
-    // Computer Use API requires URL in function response
-    const response = {
-      ...result,
-      url: currentUrl || result.url || ''
-    };
+    await this.reportActionResults([result], currentUrl);
+  }
 
-    this.conversationHistory.push({
-      role: 'function',
-      parts: [{
+  /**
+   * Answers every function call of a model turn, one functionResponse part per result
+   * in call order.
+   * @param {Array<object>} results - Results from executeActions
+   * @param {string} currentUrl - Current page URL after the actions
+   */
+  async reportActionResults(results, currentUrl) {
+    const parts = results.map(result => {
+      // Computer Use API requires URL in function response
+      const { _safetyDecision: safetyDecision, ...rest } = result;
+      const response = {
+        ...rest,
+        url: currentUrl || result.url || ''
+      };
+
+      // Confirmed actions must acknowledge the model's safety decision
+      if (safetyDecision && safetyDecision.acknowledged) {
+        response.safety_acknowledgement = 'true';
+      }
+
+      return {
         functionResponse: {
           name: result.actionName,
           response: response
         }
-      }]
+      };
     });
+
+    this.conversationHistory.push({
+      role: 'function',
+      parts
+    });
+  }
+
+  /**
+   * Drives an act/observe loop on a browser until the model reports the task done
+   * (answers with text instead of an action), `maxSteps` actions have run or `timeout`
+   * expires. Failed actions are reported back so the model can recover; actions it flags
+   * for confirmation run only if `safetyPolicy` approves them. Each task starts a fresh
+   * conversation.
+   * @param {Object} task
+   * @param {TestExecutorAgent} task.executor - Browser to act on
+   * @param {string} task.instruction - What to accomplish
+   * @param {string} [task.screenshot] - Base64 screenshot of the current page (captured if omitted)
+   * @param {number} [task.timeout=60000] - Budget for the whole task in milliseconds
+   * @param {number} [task.maxSteps=20] - Maximum actions
+   * @param {Object} [task.context] - Extra context sent with every request
+   * @param {SafetyPolicy} [task.safetyPolicy] - Reviews flagged actions (refused without one)
+   * @param {number} [task.settleDelay=1000] - Wait after each action before observing
+   * @returns {Promise<Object>} { status: completed|blocked|question|max_steps|timeout|refused|failed, completed,
+   *   summary, error, steps, transcript: [{ step, action, args, success, error, url, safety }],
+   *   finalState: { url, title, screenshot, screenshotPath }, duration }
+   */
+  async executeTask({ executor, instruction, screenshot, timeout = 60000, maxSteps = 20, context = {}, safetyPolicy, settleDelay = 1000 }) {
+    if (!executor || !executor.page) {
+      throw new Error('executeTask requires an initialized TestExecutorAgent (executor)');
+    }
+
+    const startTime = Date.now();
+    let confirming = 0; // Time spent waiting for safety confirmations, not charged to the task
+    const remaining = () => startTime + confirming + timeout - Date.now();
+    const bounded = (promise, doing) => withTimeout(promise, remaining(), `Task timed out after ${timeout}ms ${doing}: ${instruction}`, 'task');
+    const transcript = [];
+    let status = 'max_steps';
+    let summary = null;
+    let error = null;
+
+    this.reset();
+    this.logger.info(`Executing task: ${instruction}`);
+
+    try {
+      let observation = screenshot || (await bounded(executor.captureState(), 'capturing state')).screenshot;
+
+      while (transcript.length < maxSteps) {
+        const url = executor.page.url();
+        const reply = await bounded(this.getNextAction(observation, instruction, {
+          ...context,
+          url,
+          step: transcript.length + 1,
+          maxSteps
+        }), 'waiting for Computer Use action');
+
+        if (!reply) {
+          throw new Error('No action received from Computer Use API');
+        }
+        if (reply.type === 'done') {
+          status = 'completed';
+          summary = reply.summary;
+          break;
+        }
+        if (reply.type !== 'action') {
+          status = reply.type;
+          error = reply.type === 'blocked' ? `Model reports it is blocked: ${reply.reason}` : `Model needs input: ${reply.question}`;
+          break;
+        }
+
+        // A turn may hold more calls than the step budget has left: run only those that fit
+        const batch = reply.actions.slice(0, maxSteps - transcript.length);
+        const dropped = reply.actions.slice(batch.length).map(action => ({
+          success: false,
+          actionName: action.name,
+          skipped: true,
+          error: `Not executed because the task reached its limit of ${maxSteps} actions`
+        }));
+        if (dropped.length > 0) {
+          this.logger.debug(`Dropping ${dropped.length} actions beyond the step budget`);
+        }
+
+        const { results, refusal } = await this.executeActions(batch, {
+          review: async action => {
+            if (!safetyPolicy) {
+              return { acknowledged: false, explanation: action._safetyDecision.explanation, reason: 'No safety policy to confirm with' };
+            }
+            const promptedAt = Date.now();
+            try {
+              return await safetyPolicy.review(action, url);
+            } finally {
+              confirming += Date.now() - promptedAt;
+            }
+          },
+          execute: action => bounded(executor.executeComputerUseAction(action), `executing ${action.name}`)
+        });
+
+        const entries = batch.map((action, i) => {
+          const result = results[i];
+          const entry = { step: transcript.length + 1 + i, action: action.name, args: action.args, success: result.success };
+          if (!result.success) {
+            entry.error = result.error;
+          }
+          if (result.skipped) {
+            entry.skipped = true;
+          }
+          if (result._safetyDecision) {
+            entry.safety = result._safetyDecision;
+          }
+          return entry;
+        });
+        transcript.push(...entries);
+
+        if (refusal) {
+          entries[batch.indexOf(refusal.action)].safety = refusal.safety;
+          status = 'refused';
+          error = `Refused ${refusal.action.name} flagged by the model: ${refusal.safety.explanation} (${refusal.safety.reason})`;
+          break;
+        }
+
+        await bounded(new Promise(resolve => setTimeout(resolve, settleDelay)), 'waiting for page to settle');
+        const state = await bounded(executor.captureState(), 'capturing state');
+        observation = state.screenshot;
+        entries.forEach(entry => { entry.url = state.metadata.url; });
+
+        await this.reportActionResults([...results, ...dropped], state.metadata.url);
+      }
+    } catch (taskError) {
+      status = taskError instanceof TimeoutError ? 'timeout' : 'failed';
+      error = taskError.message;
+    }
+
+    if (status === 'max_steps') {
+      error = `Task not completed after ${maxSteps} actions`;
+    }
+
+    let finalState;
+    try {
+      const state = await withTimeout(executor.captureState(), 10000, 'Timed out capturing final state');
+      finalState = {
+        url: state.metadata.url,
+        title: state.metadata.title,
+        screenshot: state.screenshot,
+        screenshotPath: state.metadata.screenshotPath
+      };
+    } catch {
+      finalState = { url: executor.page.url() };
+    }
+
+    const log = status === 'completed' ? this.logger.success.bind(this.logger) : this.logger.warn.bind(this.logger);
+    log(`Task ${status} after ${transcript.length} actions${error ? `: ${error}` : ''}`);
+
+    return {
+      status,
+      completed: status === 'completed',
+      summary,
+      error,
+      steps: transcript.length,
+      transcript,
+      finalState,
+      duration: Date.now() - startTime
+    };
   }
 
   /**
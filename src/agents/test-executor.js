@@ -1,7 +1,49 @@
-const { chromium } = require('playwright');
+const { chromium, firefox, webkit } = require('playwright');
 const fs = require('fs').promises;
 const fsSync = require('fs');
 const path = require('path');
+const { DEFAULT_VIEWPORT } = require('../utils/browser-options');
+
+const ENGINES = { chromium, firefox, webkit };
+
+// Page where the `search` action starts
+const SEARCH_URL = 'https://www.google.com';
+
+// Unit vectors for scroll_document / scroll_at
+const SCROLL_DIRECTIONS = {
+  up: [0, -1],
+  down: [0, 1],
+  left: [-1, 0],
+  right: [1, 0]
+};
+
+// Key names the model uses that Playwright spells differently
+const KEY_ALIASES = {
+  ctrl: 'Control', control: 'Control',
+  shift: 'Shift',
+  alt: 'Alt', option: 'Alt',
+  meta: 'Meta', cmd: 'Meta', command: 'Meta', super: 'Meta', win: 'Meta',
+  enter: 'Enter', return: 'Enter',
+  esc: 'Escape', escape: 'Escape',
+  tab: 'Tab', space: 'Space',
+  backspace: 'Backspace', delete: 'Delete', del: 'Delete', insert: 'Insert',
+  home: 'Home', end: 'End', pageup: 'PageUp', pagedown: 'PageDown',
+  up: 'ArrowUp', down: 'ArrowDown', left: 'ArrowLeft', right: 'ArrowRight',
+  arrowup: 'ArrowUp', arrowdown: 'ArrowDown', arrowleft: 'ArrowLeft', arrowright: 'ArrowRight'
+};
+
+/**
+ * @returns {string|null} Why (x, y) is not a valid normalized coordinate, or null
+ */
+function coordinateError(x, y) {
+  if (typeof x !== 'number' || typeof y !== 'number') {
+    return 'Invalid coordinate types';
+  }
+  if (x < 0 || x > 1000 || y < 0 || y > 1000) {
+    return `Coordinates out of bounds: (${x}, ${y})`;
+  }
+  return null;
+}
 
 class TestExecutorAgent {
   constructor(logger, outputDir) {
@@ -12,10 +54,66 @@ class TestExecutorAgent {
     this.page = null;
     this.screenshotCount = 0;
     this.networkRequests = [];
+    this.navigations = [];
+    this.credentials = null;
+    this.engine = null;
+    this.viewport = null;
+  }
+
+  /**
+   * Sets the credential vault used to resolve `{{placeholder}}` text at type time.
+   * @param {CredentialVault} vault - Vault holding the test account secrets
+   */
+  setCredentials(vault) {
+    this.credentials = vault;
+  }
+
+  /**
+   * Runs `fn` with tracing stopped so typed secrets stay out of the trace, which records
+   * keyboard input, DOM snapshots of input values and request bodies. The trace so far is
+   * saved as it is; the next part (trace-2.zip, ...) records screenshots only.
+   * @param {function(): Promise<*>} fn - Types the secret
+   * @returns {Promise<*>} Result of `fn`
+   */
+  async untraced(fn) {
+    if (!this.traceEnabled || !this.context) {
+      return fn();
+    }
+
+    await this.context.tracing.stop({ path: this.tracePath });
+    this.logger.debug(`Trace paused for credential input, saved to: ${this.tracePath}`);
+    this.traceParts++;
+    this.tracePath = path.join(this.outputDir, `trace-${this.traceParts}.zip`);
+    try {
+      return await fn();
+    } finally {
+      await this.context.tracing.start({ screenshots: true, snapshots: false, sources: true });
+    }
   }
 
+  /**
+   * Launches the browser and opens a traced page.
+   * @param {Object} [options]
+   * @param {string} [options.browser='chromium'] - Engine: chromium, firefox or webkit
+   * @param {boolean} [options.headless=false] - Run without a window
+   * @param {{width: number, height: number}} [options.viewport] - Viewport in CSS pixels (default 1920x1080)
+   * @param {number} [options.deviceScaleFactor=1] - Device pixel ratio
+   * @param {number} [options.slowMo=0] - Delay in ms added to every browser operation
+   * @param {number} [options.cdpPort=9222] - Remote debugging port (Chromium only)
+   * @param {string} [options.userDataDir] - Directory for session-state.json
+   * @param {Object|string} [options.storageState] - Playwright storageState to start from
+   * @param {boolean} [options.enableTrace=true] - Record trace.zip
+   */
   async initialize(options = {}) {
-    this.logger.info('Initializing browser...');
+    const engine = options.browser || 'chromium';
+    const browserType = ENGINES[engine];
+    if (!browserType) {
+      throw new Error(`Unknown browser engine "${engine}" (${Object.keys(ENGINES).join(', ')})`);
+    }
+    const headless = !!options.headless;
+    const viewport = options.viewport || DEFAULT_VIEWPORT;
+
+    this.logger.info(`Initializing ${engine}${headless ? ' (headless)' : ''} at ${viewport.width}x${viewport.height}...`);
 
     // Use persistent context for session storage (cookies, localStorage, etc.)
     const userDataDir = options.userDataDir || path.join(__dirname, '..', '..', 'tmp', 'browser-sessions');
@@ -27,24 +125,35 @@ class TestExecutorAgent {
 
     // Enable CDP (Chrome DevTools Protocol) on port 9222 for full tracing
     const cdpPort = options.cdpPort || 9222;
+    const args = [];
+    if (engine === 'chromium') {
+      if (!headless) {
+        args.push('--start-maximized');
+      }
+      args.push(`--remote-debugging-port=${cdpPort}`); // Enable CDP for DevTools access
+    }
 
-    this.browser = await chromium.launch({
-      headless: false,
-      args: [
-        '--start-maximized',
-        `--remote-debugging-port=${cdpPort}` // Enable CDP for DevTools access
-      ]
+    this.browser = await browserType.launch({
+      headless,
+      slowMo: options.slowMo || 0,
+      args
     });
 
-    this.cdpPort = cdpPort;
-    this.logger.debug(`CDP enabled on port ${cdpPort}`);
+    this.engine = engine;
+    this.cdpPort = engine === 'chromium' ? cdpPort : null;
+    if (this.cdpPort) {
+      this.logger.debug(`CDP enabled on port ${cdpPort}`);
+    } else {
+      this.logger.debug(`CDP is not available in ${engine}, tracing only`);
+    }
 
     this.context = await this.browser.newContext({
-      viewport: { width: 1920, height: 1080 },
+      viewport,
+      deviceScaleFactor: options.deviceScaleFactor || 1,
       storageState: options.storageState, // Load previous session if exists
       recordVideo: {
         dir: this.outputDir,
-        size: { width: 1920, height: 1080 }
+        size: viewport
       }
     });
 
@@ -63,8 +172,10 @@ class TestExecutorAgent {
     }
 
     this.page = await this.context.newPage();
+    this.viewport = viewport;
     this.userDataDir = userDataDir;
     this.tracePath = path.join(this.outputDir, 'trace.zip');
+    this.traceParts = 1;
 
     // Enable console log capture
     this.page.on('console', msg => {
@@ -80,6 +191,13 @@ class TestExecutorAgent {
       });
     });
 
+    // Track main-frame URLs too: fragments (#access_token=...) never appear in requests
+    this.page.on('framenavigated', frame => {
+      if (frame === this.page.mainFrame()) {
+        this.navigations.push(frame.url());
+      }
+    });
+
     this.logger.success('Browser initialized');
   }
 
@@ -187,6 +305,34 @@ class TestExecutorAgent {
     return [...this.networkRequests];
   }
 
+  /**
+   * Returns every URL the main frame navigated to, including fragments.
+   * @returns {Array<string>} Navigated URLs in order
+   */
+  getNavigations() {
+    return [...this.navigations];
+  }
+
+  /**
+   * Rewrites query parameters on matching requests before they reach the server
+   * (e.g. tampering with the OAuth callback). Only parameters already present are changed.
+   * @param {string} urlPrefix - Requests whose URL starts with this prefix are rewritten
+   * @param {Object<string, string>} params - Parameter name → replacement value
+   */
+  async rewriteQuery(urlPrefix, params) {
+    await this.context.route(url => url.toString().startsWith(urlPrefix), route => {
+      const url = new URL(route.request().url());
+      const changed = Object.keys(params).filter(name => url.searchParams.has(name));
+      for (const name of changed) {
+        url.searchParams.set(name, params[name]);
+      }
+      if (changed.length > 0) {
+        this.logger.info(`Rewrote ${changed.join(', ')} on ${urlPrefix}`);
+      }
+      return route.continue({ url: url.toString() });
+    });
+  }
+
   async waitFor(condition, timeout = 10000) {
     this.logger.info(`Waiting for condition: ${condition}`);
 
@@ -202,6 +348,42 @@ class TestExecutorAgent {
     this.logger.success('Wait condition met');
   }
 
+  /**
+   * Splits a key_combination chord into Playwright key names, e.g.
+   * "ctrl+shift+t" → ['Control', 'Shift', 't'], "Control++" → ['Control', '+'].
+   * @param {string} keys - Chord from the model
+   * @returns {Array<string>} Keys in press order (empty if unparseable)
+   */
+  static parseKeyCombination(keys) {
+    if (typeof keys !== 'string' || keys.trim() === '') {
+      return [];
+    }
+    return keys.trim().split(/\+(?=.)/).map(key => {
+      const trimmed = key.trim() || key;
+      const alias = KEY_ALIASES[trimmed.toLowerCase()];
+      if (alias) {
+        return alias;
+      }
+      if (/^f\d{1,2}$/i.test(trimmed)) {
+        return trimmed.toUpperCase(); // F1-F12
+      }
+      return trimmed;
+    });
+  }
+
+  /**
+   * Converts normalized Computer Use coordinates (0-1000) to CSS pixels of the current
+   * viewport. Playwright's mouse works in CSS pixels, so this holds for any viewport
+   * size or device scale factor (screenshots are larger at DPR > 1, but proportional).
+   * @param {number} x - Normalized x
+   * @param {number} y - Normalized y
+   * @returns {{x: number, y: number}}
+   */
+  toViewportPixels(x, y) {
+    const { width, height } = this.page.viewportSize() || this.viewport;
+    return { x: (x / 1000) * width, y: (y / 1000) * height };
+  }
+
   /**
    * Execute a Computer Use action
    * @param {object} action - Action from Computer Use API
@@ -222,7 +404,7 @@ class TestExecutorAgent {
     const { name, args } = action;
 
     // Validate args for actions that require them
-    if (!args && ['click_at', 'type_text_at', 'scroll_document', 'navigate', 'key_combination', 'hover_at'].includes(name)) {
+    if (!args && ['click_at', 'type_text_at', 'scroll_document', 'scroll_at', 'navigate', 'key_combination', 'hover_at', 'drag_and_drop'].includes(name)) {
       this.logger.error(`Action ${name} requires args`);
       return { success: false, actionName: name, error: 'Missing action arguments' };
     }
@@ -231,57 +413,114 @@ class TestExecutorAgent {
 
     try {
       switch (name) {
-        case 'click_at':
-          // Validate coordinates
-          if (typeof args.x !== 'number' || typeof args.y !== 'number') {
-            return { success: false, actionName: name, error: 'Invalid coordinate types' };
-          }
-          if (args.x < 0 || args.x > 1000 || args.y < 0 || args.y > 1000) {
-            return { success: false, actionName: name, error: `Coordinates out of bounds: (${args.x}, ${args.y})` };
+        case 'open_web_browser':
+          // The browser is already open; report where it is
+          return { success: true, action: name, actionName: name, url: this.page.url() };
+
+        case 'wait_5_seconds':
+          await this.page.waitForTimeout(5000);
+          return { success: true, action: name, actionName: name };
+
+        case 'click_at': {
+          const invalid = coordinateError(args.x, args.y);
+          if (invalid) {
+            return { success: false, actionName: name, error: invalid };
           }
 
           // Convert normalized coordinates (0-999) to actual pixel coordinates
-          const clickX = (args.x / 1000) * this.page.viewportSize().width;
-          const clickY = (args.y / 1000) * this.page.viewportSize().height;
-          await this.page.mouse.click(clickX, clickY);
+          const click = this.toViewportPixels(args.x, args.y);
+          await this.page.mouse.click(click.x, click.y);
           return { success: true, action: name, actionName: name };
+        }
 
-        case 'type_text_at':
+        case 'type_text_at': {
           // Validate coordinates and text
-          if (typeof args.x !== 'number' || typeof args.y !== 'number') {
-            return { success: false, actionName: name, error: 'Invalid coordinate types' };
-          }
-          if (args.x < 0 || args.x > 1000 || args.y < 0 || args.y > 1000) {
-            return { success: false, actionName: name, error: `Coordinates out of bounds: (${args.x}, ${args.y})` };
+          const invalid = coordinateError(args.x, args.y);
+          if (invalid) {
+            return { success: false, actionName: name, error: invalid };
           }
           if (!args.text || typeof args.text !== 'string') {
             return { success: false, actionName: name, error: 'Missing or invalid text' };
           }
 
-          const typeX = (args.x / 1000) * this.page.viewportSize().width;
-          const typeY = (args.y / 1000) * this.page.viewportSize().height;
-          await this.page.mouse.click(typeX, typeY);
-          await this.page.keyboard.type(args.text);
-          if (args.press_enter) {
+          // Resolve credential placeholders only here; the result keeps the placeholder text
+          const usesCredentials = this.credentials && this.credentials.hasPlaceholders(args.text);
+          const textToType = usesCredentials ? this.credentials.substitute(args.text) : args.text;
+
+          const typeAt = this.toViewportPixels(args.x, args.y);
+          await this.page.mouse.click(typeAt.x, typeAt.y);
+
+          // The API default is to replace what the field contains
+          if (args.clear_before_typing !== false) {
+            await this.page.keyboard.press(process.platform === 'darwin' ? 'Meta+A' : 'Control+A');
+            await this.page.keyboard.press('Backspace');
+          }
+          if (usesCredentials) {
+            await this.untraced(() => this.page.keyboard.type(textToType));
+          } else {
+            await this.page.keyboard.type(textToType);
+          }
+          // Like clearing, submitting with Enter is the API default
+          if (args.press_enter !== false) {
             await this.page.keyboard.press('Enter');
           }
-          return { success: true, action: name, actionName: name, text: args.text };
+          return { success: true, action: name, actionName: name, text: args.text, usedCredentials: !!usesCredentials };
+        }
 
-        case 'scroll_document':
-          await this.page.evaluate((direction) => {
-            const distance = direction === 'down' ? 500 : -500;
-            window.scrollBy(0, distance);
-          }, args.direction);
+        case 'scroll_document': {
+          if (!SCROLL_DIRECTIONS[args.direction]) {
+            return { success: false, actionName: name, error: `Invalid scroll direction: ${args.direction}` };
+          }
+          const [dx, dy] = SCROLL_DIRECTIONS[args.direction];
+          await this.page.evaluate(([x, y]) => {
+            // One viewport at a time, like PageUp/PageDown
+            window.scrollBy(x * window.innerWidth, y * window.innerHeight);
+          }, [dx, dy]);
           return { success: true, action: name, actionName: name, direction: args.direction };
+        }
+
+        case 'scroll_at': {
+          const invalid = coordinateError(args.x, args.y);
+          if (invalid) {
+            return { success: false, actionName: name, error: invalid };
+          }
+          if (!SCROLL_DIRECTIONS[args.direction]) {
+            return { success: false, actionName: name, error: `Invalid scroll direction: ${args.direction}` };
+          }
+
+          // Magnitude is normalized like coordinates (0-1000 of the viewport), default 800
+          const magnitude = typeof args.magnitude === 'number' ? args.magnitude : 800;
+          const [dx, dy] = SCROLL_DIRECTIONS[args.direction];
+          const distance = this.toViewportPixels(magnitude, magnitude);
+          const scrollAt = this.toViewportPixels(args.x, args.y);
+          await this.page.mouse.move(scrollAt.x, scrollAt.y);
+          await this.page.mouse.wheel(dx * distance.x, dy * distance.y);
+          return { success: true, action: name, actionName: name, direction: args.direction, magnitude };
+        }
 
         case 'navigate':
           await this.navigate(args.url);
           return { success: true, action: name, actionName: name, url: args.url };
 
-        case 'key_combination':
-          // Parse key combination (e.g., "Control+C")
-          await this.page.keyboard.press(args.keys);
+        case 'search':
+          // Start a fresh search from the search engine's home page
+          await this.navigate(SEARCH_URL);
+          return { success: true, action: name, actionName: name, url: SEARCH_URL };
+
+        case 'key_combination': {
+          // "Control+Shift+T": hold each key in order, release in reverse
+          const keys = TestExecutorAgent.parseKeyCombination(args.keys);
+          if (keys.length === 0) {
+            return { success: false, actionName: name, error: `Invalid key combination: ${args.keys}` };
+          }
+          for (const key of keys) {
+            await this.page.keyboard.down(key);
+          }
+          for (const key of [...keys].reverse()) {
+            await this.page.keyboard.up(key);
+          }
           return { success: true, action: name, actionName: name, keys: args.keys };
+        }
 
         case 'go_back':
           await this.page.goBack();
@@ -291,19 +530,32 @@ class TestExecutorAgent {
           await this.page.goForward();
           return { success: true, action: name, actionName: name };
 
-        case 'hover_at':
-          // Validate coordinates
-          if (typeof args.x !== 'number' || typeof args.y !== 'number') {
-            return { success: false, actionName: name, error: 'Invalid coordinate types' };
+        case 'hover_at': {
+          const invalid = coordinateError(args.x, args.y);
+          if (invalid) {
+            return { success: false, actionName: name, error: invalid };
           }
-          if (args.x < 0 || args.x > 1000 || args.y < 0 || args.y > 1000) {
-            return { success: false, actionName: name, error: `Coordinates out of bounds: (${args.x}, ${args.y})` };
+
+          const hover = this.toViewportPixels(args.x, args.y);
+          await this.page.mouse.move(hover.x, hover.y);
+          return { success: true, action: name, actionName: name };
+        }
+
+        case 'drag_and_drop': {
+          const invalid = coordinateError(args.x, args.y) || coordinateError(args.destination_x, args.destination_y);
+          if (invalid) {
+            return { success: false, actionName: name, error: invalid };
           }
 
-          const hoverX = (args.x / 1000) * this.page.viewportSize().width;
-          const hoverY = (args.y / 1000) * this.page.viewportSize().height;
-          await this.page.mouse.move(hoverX, hoverY);
+          const from = this.toViewportPixels(args.x, args.y);
+          const to = this.toViewportPixels(args.destination_x, args.destination_y);
+          await this.page.mouse.move(from.x, from.y);
+          await this.page.mouse.down();
+          // Intermediate moves so drag handlers see dragover events
+          await this.page.mouse.move(to.x, to.y, { steps: 10 });
+          await this.page.mouse.up();
           return { success: true, action: name, actionName: name };
+        }
 
         default:
           this.logger.error(`Unknown Computer Use action: ${name}`);
@@ -315,7 +567,12 @@ class TestExecutorAgent {
     }
   }
 
-  async cleanup() {
+  /**
+   * Saves the trace, writes the session state and closes the browser.
+   * @param {Object} [options]
+   * @param {boolean} [options.saveSession=true] - Write session-state.json into the user data dir
+   */
+  async cleanup(options = {}) {
     this.logger.info('Cleaning up browser...');
 
     // Stop and save trace before closing context
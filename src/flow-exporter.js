@@ -0,0 +1,181 @@
+#!/usr/bin/env node
+
+const fs = require('fs').promises;
+const path = require('path');
+
+const Logger = require('./utils/logger');
+const { toMermaid, toDot } = require('./utils/flow-diagram');
+const { NEGATIVE_CASES, buildNegativeFlow } = require('./utils/negative-cases');
+
+/**
+ * FlowExporter renders OAuth provider flows and test scenarios as Mermaid and
+ * Graphviz DOT diagrams, either as defined in config or as actually executed in a run.
+ */
+class FlowExporter {
+  /**
+   * @param {Object} logger - Logger instance
+   */
+  constructor(logger) {
+    this.logger = logger;
+    this.oauthConfig = null;
+    this.scenarios = null;
+  }
+
+  async loadConfigs() {
+    const oauthPath = path.join(__dirname, 'scenarios/veria-oauth-flows.json');
+    const scenarioPath = path.join(__dirname, 'scenarios/test-scenarios.json');
+    this.oauthConfig = JSON.parse(await fs.readFile(oauthPath, 'utf8'));
+    this.scenarios = JSON.parse(await fs.readFile(scenarioPath, 'utf8'));
+  }
+
+  /**
+   * Writes `<name>.mmd` and `<name>.dot` into a directory.
+   * @param {string} dir - Output directory
+   * @param {string} name - Base file name
+   * @param {Array|Object} flow - Provider flow or scenario steps
+   * @param {Object} [options] - { title, history }
+   * @returns {Promise<string[]>} Written file paths
+   */
+  async writeDiagrams(dir, name, flow, options = {}) {
+    const mermaidPath = path.join(dir, `${name}.mmd`);
+    const dotPath = path.join(dir, `${name}.dot`);
+    await fs.writeFile(mermaidPath, toMermaid(flow, options));
+    await fs.writeFile(dotPath, toDot(flow, options));
+    return [mermaidPath, dotPath];
+  }
+
+  /**
+   * Renders every provider flow and scenario definition.
+   * @param {string} outDir - Output directory
+   * @returns {Promise<string[]>} Written file paths
+   */
+  async exportDefinitions(outDir) {
+    if (!this.oauthConfig) {
+      await this.loadConfigs();
+    }
+    await fs.mkdir(outDir, { recursive: true });
+
+    const written = [];
+    for (const provider of this.oauthConfig.providers) {
+      written.push(...await this.writeDiagrams(outDir, `oauth-${provider.name}`, provider.flow, {
+        title: `OAuth flow: ${provider.name}${provider.enabled ? '' : ' (disabled)'}`
+      }));
+    }
+    for (const scenario of this.scenarios.scenarios) {
+      written.push(...await this.writeDiagrams(outDir, `scenario-${scenario.name}`, scenario.flow, {
+        title: `Scenario: ${scenario.name}`
+      }));
+    }
+
+    this.logger.success(`Exported ${written.length} diagrams to ${outDir}`);
+    return written;
+  }
+
+  /**
+   * Renders the executed path of every result in a run, highlighting failed states.
+   * @param {string} runDir - Run output directory (diagrams are written here)
+   * @param {Array<Object>} results - Contents of the run's results.json
+   * @returns {Promise<string[]>} Written file paths
+   */
+  async exportResults(runDir, results) {
+    if (!this.oauthConfig) {
+      await this.loadConfigs();
+    }
+
+    const written = [];
+    for (const result of results) {
+      if (!result || result.status === 'skipped') {
+        continue;
+      }
+
+      if (result.provider) {
+        const provider = this.oauthConfig.providers.find(p => p.name === result.provider);
+        if (!provider) continue;
+        if (result.negative) {
+          // Negative cases run a derived graph (expected_error terminal, dashboard as failure)
+          const definition = NEGATIVE_CASES.find(c => c.name === result.negative.case);
+          if (!definition) continue;
+          const flow = buildNegativeFlow(provider.flow, definition.trigger, result.negative.expected.when, definition.name);
+          written.push(...await this.writeDiagrams(runDir, `executed-oauth-${result.provider}-${result.negative.case}`, flow, {
+            title: `${result.provider} (${result.negative.case}): ${result.status}`,
+            history: result.flow || []
+          }));
+          continue;
+        }
+        written.push(...await this.writeDiagrams(runDir, `executed-oauth-${result.provider}`, provider.flow, {
+          title: `${result.provider}: ${result.status}`,
+          history: result.flow || []
+        }));
+      } else if (result.scenario) {
+        const scenario = this.scenarios.scenarios.find(s => s.name === result.scenario);
+        if (!scenario) continue;
+        if (result.browsers) {
+          // Browser matrix: one diagram per engine
+          for (const [engine, engineResult] of Object.entries(result.browsers)) {
+            written.push(...await this.writeDiagrams(runDir, `executed-scenario-${result.scenario}-${engine}`, scenario.flow, {
+              title: `${result.scenario} (${engine}): ${engineResult.status}`,
+              history: engineResult.steps || []
+            }));
+          }
+          continue;
+        }
+        written.push(...await this.writeDiagrams(runDir, `executed-scenario-${result.scenario}`, scenario.flow, {
+          title: `${result.scenario}: ${result.status}`,
+          history: result.steps || []
+        }));
+      }
+    }
+
+    this.logger.debug(`Exported ${written.length} executed-path diagrams to ${runDir}`);
+    return written;
+  }
+
+  /**
+   * Re-renders the executed paths of an existing run from its results.json.
+   * @param {string} runDir - Run output directory
+   */
+  async exportRun(runDir) {
+    const results = JSON.parse(await fs.readFile(path.join(runDir, 'results.json'), 'utf8'));
+    const written = await this.exportResults(runDir, results);
+    this.logger.success(`Exported ${written.length} diagrams to ${runDir}`);
+    return written;
+  }
+}
+
+// CLI
+if (require.main === module) {
+  const args = process.argv.slice(2);
+  const options = {
+    run: args.find((arg, i) => args[i - 1] === '--run'),
+    out: args.find((arg, i) => args[i - 1] === '--out'),
+    debug: args.includes('--debug')
+  };
+
+  if (args.includes('--help')) {
+    console.log(`
+Usage: node src/flow-exporter.js [options]
+
+Options:
+  --out <dir>          Export flow and scenario definitions (default: tmp/flow-diagrams)
+  --run <runDir>       Export the executed paths recorded in <runDir>/results.json
+  --debug              Enable debug logging
+
+Examples:
+  node src/flow-exporter.js
+  node src/flow-exporter.js --run tmp/oauth-test-2025-10-30-140523
+    `);
+    process.exit(0);
+  }
+
+  const exporter = new FlowExporter(new Logger(options.debug));
+  const task = options.run
+    ? exporter.exportRun(path.resolve(options.run))
+    : exporter.exportDefinitions(path.resolve(options.out || path.join(__dirname, '..', 'tmp', 'flow-diagrams')));
+
+  task.catch(error => {
+    console.error('Diagram export failed:', error.message);
+    process.exit(1);
+  });
+}
+
+module.exports = FlowExporter;
@@ -9,7 +9,23 @@ const ComputerUseAgent = require('./agents/computer-use');
 const DiagnosticAgent = require('./agents/diagnostic');
 const FixAgent = require('./agents/fix');
 const StateMachine = require('./utils/state-machine');
+const StateVerifier = require('./utils/state-verifier');
+const CheckpointStore = require('./utils/checkpoint');
+const CredentialVault = require('./utils/credential-vault');
+const MailCatcher = require('./utils/mail-catcher');
+const MockOAuthServer = require('./utils/mock-oauth-server');
+const SessionInspector = require('./utils/session-inspector');
+const { generateNegativeCases } = require('./utils/negative-cases');
+const OAuthSecurityAnalyzer = require('./utils/oauth-security-analyzer');
+const { runPool } = require('./utils/worker-pool');
+const AccountPool = require('./utils/account-pool');
+const SessionProfiles = require('./utils/session-profiles');
+const SafetyPolicy = require('./utils/safety-policy');
+const { Cassette } = require('./utils/cassette');
+const FlowExporter = require('./flow-exporter');
+const { TimeoutError, withTimeout } = require('./utils/timeout');
 const Logger = require('./utils/logger');
+const { parseBrowserOptions, HELP: BROWSER_HELP } = require('./utils/browser-options');
 
 /**
  * OAuthOrchestrator coordinates multi-agent OAuth flow testing with automatic fix capabilities.
@@ -25,12 +41,29 @@ class OAuthOrchestrator {
    * @param {boolean} [options.debug=false] - Enable debug logging
    * @param {boolean} [options.autoFix=false] - Automatically apply fixes without approval
    * @param {number} [options.actionDelay=2000] - Delay between actions in milliseconds
+   * @param {string} [options.baseUrl] - Override the config baseUrl (staging/preview hosts)
+   * @param {string} [options.resume] - Run directory to resume from its checkpoints
+   * @param {boolean} [options.negative=false] - Also run the derived negative cases per provider
+   * @param {number} [options.concurrency=1] - Provider runs in parallel, each with its own browser
+   * @param {string} [options.profile] - Save the signed-in session under this profile name
+   * @param {string} [options.safetyPolicy] - Safety confirmation policy file (default scenarios/safety-policy.json)
+   * @param {string} [options.recordCassettes] - Record Computer Use responses to this directory
+   * @param {string} [options.replayCassettes] - Replay Computer Use responses from this directory
+   * @param {Object} [options.browserOptions] - Engine, headless, viewport, deviceScaleFactor, slowMo
+   *   (see utils/browser-options.js)
    */
   constructor(options = {}) {
     this.options = options;
     this.logger = new Logger(options.debug || false);
     this.config = null;
+    this.verifier = null;
+    this.sessionInspector = null;
+    this.securityAnalyzer = null;
+    this.safetyPolicy = null;
+    this.accountPool = new AccountPool(this.logger);
+    this.profiles = new SessionProfiles(this.logger);
     this.outputDir = null;
+    this.checkpoints = null;
     this.actionDelay = options.actionDelay || 2000; // Configurable delay between actions
   }
 
@@ -38,139 +71,123 @@ class OAuthOrchestrator {
     const configPath = path.join(__dirname, 'scenarios/veria-oauth-flows.json');
     const configData = await fs.readFile(configPath, 'utf8');
     this.config = JSON.parse(configData);
+
+    const baseUrl = this.options.baseUrl || process.env.OAUTH_BASE_URL;
+    if (baseUrl) {
+      this.config.baseUrl = baseUrl;
+    }
+
+    this.verifier = new StateVerifier(this.config, this.logger);
+    this.sessionInspector = new SessionInspector(this.config, this.logger);
+    this.securityAnalyzer = new OAuthSecurityAnalyzer(this.config, this.logger);
+    this.safetyPolicy = await SafetyPolicy.load(this.logger, this.options.safetyPolicy);
     this.logger.success('Configuration loaded');
   }
 
   async setupOutputDirectory() {
-    const timestamp = new Date().toISOString().replace(/[:.]/g, '-').slice(0, -5);
-    this.outputDir = path.join(__dirname, '..', 'tmp', `oauth-test-${timestamp}`);
-    await fs.mkdir(this.outputDir, { recursive: true });
-    this.logger.success(`Output directory: ${this.outputDir}`);
+    if (this.options.resume) {
+      this.outputDir = path.resolve(this.options.resume);
+      await fs.access(this.outputDir).catch(() => {
+        throw new Error(`Resume directory not found: ${this.outputDir}`);
+      });
+      this.logger.success(`Resuming run in: ${this.outputDir}`);
+    } else {
+      const timestamp = new Date().toISOString().replace(/[:.]/g, '-').slice(0, -5);
+      this.outputDir = path.join(__dirname, '..', 'tmp', `oauth-test-${timestamp}`);
+      await fs.mkdir(this.outputDir, { recursive: true });
+      this.logger.success(`Output directory: ${this.outputDir}`);
+    }
+    this.checkpoints = new CheckpointStore(this.outputDir, this.logger);
+  }
+
+  /**
+   * Checks whether the page has left the current state: guarded transitions (consent, 2FA,
+   * error branches) take precedence over the state's verifier.
+   * @returns {Promise<{verified: boolean, nextState: (string|null)}>} nextState is set for branches
+   */
+  async checkStateReached(stateMachine, testExecutor, currentState, providerConfig, providerName) {
+    const branch = await stateMachine.selectTransition(when => this.verifier.evaluate(when, {
+      url: testExecutor.page.url(),
+      page: testExecutor.page,
+      provider: providerName
+    }));
+
+    if (branch) {
+      this.logger.info(`Branch detected: ${currentState} → ${branch.to}`);
+      return { verified: true, nextState: branch.to };
+    }
+
+    const verified = await this.withinBudget(stateMachine, this.verifyStateTransition(
+      currentState,
+      testExecutor.page.url(),
+      providerConfig,
+      stateMachine,
+      testExecutor.page
+    ), 'verifying state');
+    return { verified, nextState: null };
   }
 
   /**
-   * Verifies that the current URL matches expectations for the given state.
+   * Verifies that the current page satisfies the declarative predicates for the given state.
    * @param {string} currentState - The current state in the state machine
    * @param {string} currentUrl - The current page URL
-   * @param {string} providerName - The OAuth provider name
+   * @param {Object} providerConfig - The provider entry from the flow config
    * @param {object} stateMachine - The state machine instance for action counting
-   * @returns {boolean} True if URL matches state expectations, false otherwise
+   * @param {Object} [page] - Playwright page, needed for text and cookie predicates
+   * @returns {Promise<boolean>} True if the state's success predicate holds, false otherwise
+   * @throws {Error} If a fatal failure predicate matches (e.g. email verification blocker)
    */
-  verifyStateTransition(currentState, currentUrl, providerName, stateMachine) {
-    const logger = this.logger;
-
-    switch(currentState) {
-      case 'landing':
-        // Should be on signin page or have clicked provider button
-        return currentUrl.includes('veria.cc') || currentUrl.includes(providerName);
-
-      case 'email_login':
-        if (currentUrl.includes('verify-email')) {
-          logger.error('Email verification required - cannot proceed without email access');
-          logger.error('Email authentication requires clicking verification link in email');
-          throw new Error('Email verification blocker: Cannot test email auth without email access');
-        }
-        // Should still be on veria.cc but not on verify-email page yet
-        return currentUrl.includes('veria.cc') && !currentUrl.includes('verify-email');
-
-      case 'provider_auth':
-        // OAuth login requires multiple actions: username, password, submit (minimum 3)
-        const minOAuthActions = 3;
-
-        if (stateMachine.actionsInCurrentState < minOAuthActions) {
-          logger.debug(`Provider auth needs ${minOAuthActions} actions (username, password, submit), currently: ${stateMachine.actionsInCurrentState}`);
-          return false; // Don't advance yet - let API complete the form
-        }
-
-        // After 3+ actions, MUST be redirected back to veria.cc (OAuth completed)
-        // Form submission happens on action 3, redirect takes a few more seconds
-        const oauthComplete = currentUrl.includes('veria.cc');
-
-        if (!oauthComplete) {
-          // Still on provider domain - wait for redirect (up to max actions limit)
-          if (stateMachine.actionsInCurrentState >= stateMachine.maxActionsPerState - 2) {
-            logger.warn(`Provider auth: ${stateMachine.actionsInCurrentState} actions but still at ${currentUrl}`);
-            logger.warn(`OAuth may have failed - not redirecting to veria.cc`);
-          }
-          return false; // Keep waiting for redirect
-        }
-
-        logger.info(`✓ Provider auth complete - ${stateMachine.actionsInCurrentState} actions, redirected to veria.cc`);
-        return true;
-
-      case 'callback':
-        // Check if we're back on veria.cc
-        if (!currentUrl.includes('veria.cc')) {
-          return false; // Still on OAuth provider
-        }
-
-        // Check for OAuth-specific errors (these indicate server-side issues that need fixing)
-        const oauthErrors = [
-          'OAuthAccountNotLinked',
-          'OAuthCallback',
-          'OAuthSignin'
-        ];
-
-        const hasOAuthError = oauthErrors.some(err => currentUrl.includes(`error=${err}`));
-
-        if (hasOAuthError) {
-          // OAuth error detected - this requires diagnostic and fix
-          const errorType = oauthErrors.find(e => currentUrl.includes(e));
-          logger.warn(`OAuth error detected: ${errorType}`);
-          logger.warn(`URL: ${currentUrl}`);
-          // Return false to trigger error handling and fix cycle
-          return false;
-        }
-
-        // Normal success: on veria.cc, not on signin, not on verify-email
-        const callbackSuccess = !currentUrl.includes('/signin') &&
-                                !currentUrl.includes('verify-email');
-
-        if (!callbackSuccess) {
-          logger.warn(`Callback failed - URL: ${currentUrl}`);
-          logger.warn(`Expected veria.cc (not /signin or verify-email)`);
-        }
-
-        return callbackSuccess;
-
-      case 'dashboard':
-        // MUST be on veria.cc AND have dashboard-like URL
-        const dashboardUrls = ['/dashboard', '/api', '/keys', '/settings', '/profile'];
-        const hasDashboardUrl = dashboardUrls.some(path => currentUrl.includes(path));
-        const notOnSignin = !currentUrl.includes('/signin');
-        const notOnVerify = !currentUrl.includes('verify-email');
+  async verifyStateTransition(currentState, currentUrl, providerConfig, stateMachine, page) {
+    const verification = await this.verifier.verify(currentState, {
+      url: currentUrl,
+      providerConfig,
+      actionsInState: stateMachine.actionsInCurrentState,
+      maxActionsPerState: stateMachine.maxActionsPerState,
+      page
+    });
+
+    if (verification.failure && verification.failure.fatal) {
+      throw new Error(verification.failure.message);
+    }
 
-        const onDashboard = currentUrl.includes('veria.cc') &&
-                           hasDashboardUrl &&
-                           notOnSignin &&
-                           notOnVerify;
+    return verification.passed;
+  }
 
-        if (!onDashboard) {
-          logger.warn(`Dashboard verification failed - URL: ${currentUrl}`);
-          logger.warn(`Expected: veria.cc with /dashboard or /api or /keys`);
-        }
-        return onDashboard;
+  /**
+   * Bounds an operation by the remaining wall-clock budget of the current state and flow.
+   * @param {object} stateMachine - The state machine tracking the budgets
+   * @param {Promise} promise - Operation to bound
+   * @param {string} activity - What the operation does, used in the timeout message
+   * @returns {Promise} Resolves with the operation's result
+   * @throws {TimeoutError} If the state or flow budget runs out first
+   */
+  withinBudget(stateMachine, promise, activity) {
+    const remaining = stateMachine.getRemainingTime();
+    if (!remaining) {
+      return promise;
+    }
 
-      case 'signout':
-        // Should be back on signin/landing page
-        return currentUrl.includes('veria.cc') &&
-               (currentUrl.includes('/signin') || currentUrl === 'https://www.veria.cc/');
+    const message = remaining.scope === 'flow'
+      ? `Flow timed out after ${stateMachine.flowTimeout}ms while ${activity}`
+      : `State ${stateMachine.getCurrentState()} timed out after ${stateMachine.getStateTimeout()}ms while ${activity}`;
 
-      default:
-        logger.warn(`Unknown state for verification: ${currentState}`);
-        return true; // Don't block unknown states
-    }
+    return withTimeout(promise, remaining.ms, message, remaining.scope);
   }
 
   /**
    * Tests a single OAuth provider through its complete authentication flow.
    * Coordinates between TestExecutor, ComputerUse, Diagnostic, and Fix agents.
    * @param {string} providerName - Name of the OAuth provider to test (e.g., 'github', 'google')
+   * @param {Object} [negativeCase] - Negative case from generateNegativeCases; passes when the
+   *   expected error outcome is reached instead of the dashboard
+   * @param {Object} [worker] - Worker slot from the --concurrency pool
+   * @param {number} [worker.index=0] - Slot index, offsets the CDP port
    * @returns {Promise<Object>} Test result containing status, provider name, and execution history
    * @throws {Error} If provider not found in config or max retries exceeded
    */
-  async testProvider(providerName) {
-    this.logger.info(`\n${'='.repeat(60)}\n🖥️  Testing OAuth Provider: ${providerName}\n${'='.repeat(60)}`);
+  async testProvider(providerName, negativeCase = null, worker = { index: 0 }) {
+    const label = negativeCase ? `${providerName} (negative: ${negativeCase.name})` : providerName;
+    this.logger.info(`\n${'='.repeat(60)}\n🖥️  Testing OAuth Provider: ${label}\n${'='.repeat(60)}`);
 
     // Find provider config
     const providerConfig = this.config.providers.find(p => p.name === providerName);
@@ -178,87 +195,260 @@ class OAuthOrchestrator {
       throw new Error(`Provider ${providerName} not found in config`);
     }
 
-    if (!providerConfig.enabled) {
-      this.logger.info(`Provider ${providerName} is disabled, skipping`);
-      return { status: 'skipped', provider: providerName };
-    }
+    // Parallel runs each get their own directory for screenshots, trace and video
+    const checkpointName = negativeCase ? `${providerName}-${negativeCase.name}` : providerName;
+    const outputDir = this.options.concurrency > 1 ? path.join(this.outputDir, checkpointName) : this.outputDir;
 
-    // Initialize agents
-    const testExecutor = new TestExecutorAgent(this.logger, this.outputDir);
-    const computerUse = new ComputerUseAgent(this.logger, process.env.GEMINI_API_KEY);
-    const diagnostic = new DiagnosticAgent(
+    // Initialize agents; replayed runs make no live Gemini calls, so they skip diagnosis
+    const testExecutor = new TestExecutorAgent(this.logger, outputDir);
+    const replaying = !!this.options.replayCassettes;
+    const diagnostic = replaying ? null : new DiagnosticAgent(
       this.logger,
       process.env.GEMINI_API_KEY,
       process.env.VERCEL_TOKEN,
       process.env.VERCEL_PROJECT_ID
     );
-    const fix = new FixAgent(
+    const fix = replaying ? null : new FixAgent(
       this.logger,
       process.env.GEMINI_API_KEY,
       process.env.VERIA_PROJECT_PATH
     );
 
-    // Initialize state machine
-    const stateMachine = new StateMachine(providerName, providerConfig.flow);
+    // Initialize state machine with retry and timeout budgets from the flow config
+    const stateTimeouts = {};
+    for (const [name, definition] of Object.entries(this.config.states || {})) {
+      if (definition.timeout) {
+        stateTimeouts[name] = definition.timeout;
+      }
+    }
+    const stateMachine = new StateMachine(providerName, negativeCase ? negativeCase.flow : providerConfig.flow, {
+      maxRetries: this.config.maxRetries,
+      maxActionsPerState: this.config.maxActionsPerState,
+      stateTimeouts,
+      defaultTimeout: this.config.defaultTimeout,
+      flowTimeout: providerConfig.flowTimeout || this.config.flowTimeout
+    });
 
     // Track flow-level retries to prevent infinite loops
     let flowRetryCount = 0;
     const maxFlowRetries = 3;
 
+    // Resume from the last completed state if a checkpoint exists
+    const negative = negativeCase ? {
+      case: negativeCase.name,
+      description: negativeCase.description,
+      expected: negativeCase.expected
+    } : undefined;
+    const checkpoint = this.options.resume ? await this.checkpoints.load(checkpointName) : null;
+    if (checkpoint && checkpoint.stateMachine.outcome === 'success') {
+      this.logger.info(`Provider ${label} already passed in resumed run, skipping`);
+      return { status: 'passed', provider: providerName, negative, flow: checkpoint.stateMachine.history, resumed: true };
+    }
+
+    let lease = null;
+    let credentials = null;
+    let removeRedactor = null;
+    let sessionReport = null;
+    let signoutReport = null;
+    const safetyDecisions = [];
+
+    // Local SMTP sink for email-login and verification flows
+    const mailCatcher = providerConfig.mailCatcher ? new MailCatcher(this.logger, providerConfig.mailCatcher) : null;
+
+    // Bundled authorization server for the offline "mock" provider
+    const mockServer = providerConfig.mockServer ? new MockOAuthServer(this.logger, {
+      ...providerConfig.mockServer,
+      redirectUris: (providerConfig.mockServer.redirectUris || []).map(uri => this.verifier.interpolate(uri, providerName))
+    }) : null;
+
     try {
-      await testExecutor.initialize();
+      await fs.mkdir(outputDir, { recursive: true });
+      const computerUse = new ComputerUseAgent(this.logger, process.env.GEMINI_API_KEY, {
+        cassette: Cassette.forRun(checkpointName, { record: this.options.recordCassettes, replay: this.options.replayCassettes }, this.logger)
+      });
+
+      // Parallel runs must not share an account: lease one from the provider's pool
+      lease = await this.accountPool.lease(providerName, AccountPool.accountsFor(providerConfig));
+
+      // Test account secrets are substituted at type time and redacted from logs
+      const accountCredentials = CredentialVault.fromTestAccount(lease.account, this.logger);
+      credentials = negativeCase && negativeCase.credentials
+        ? accountCredentials.with(negativeCase.credentials)
+        : accountCredentials;
+      testExecutor.setCredentials(credentials);
+      removeRedactor = this.logger.addRedactor(text => credentials.redact(text));
+      const credentialHint = credentials.placeholders().length > 0
+        ? `\nTo enter the test account credentials, type these placeholders literally: ${credentials.placeholders().join(', ')}. They are replaced with the real values when typed.`
+        : '';
+
+      if (mailCatcher) {
+        await mailCatcher.start();
+      }
+      if (mockServer) {
+        await mockServer.start();
+      }
 
-      // Navigate to base URL
-      await testExecutor.navigate(this.config.baseUrl);
+      await testExecutor.initialize({
+        ...this.options.browserOptions,
+        cdpPort: 9222 + worker.index,
+        userDataDir: lease.sessionDir,
+        storageState: checkpoint ? checkpoint.storageState : undefined
+      });
+
+      if (negativeCase && negativeCase.rewriteQuery) {
+        const callbackPath = this.verifier.interpolate((this.config.session || {}).callbackPath || '/api/auth/callback/{{provider}}', providerName);
+        await testExecutor.rewriteQuery(new URL(callbackPath, this.config.baseUrl).toString(), negativeCase.rewriteQuery);
+      }
+
+      if (checkpoint) {
+        stateMachine.restore(checkpoint.stateMachine);
+        testExecutor.screenshotCount = checkpoint.screenshotCount || 0;
+        this.logger.info(`Resuming ${providerName} at state ${stateMachine.getCurrentState()} (${checkpoint.url})`);
+        await testExecutor.navigate(checkpoint.url);
+      } else {
+        // Navigate to base URL
+        await testExecutor.navigate(this.config.baseUrl);
+      }
 
       // State machine loop
       while (!stateMachine.isComplete()) {
         const currentState = stateMachine.getCurrentState();
-        const stateIndex = stateMachine.currentIndex;
+        const stepNumber = stateMachine.history.length + 1;
         const totalStates = stateMachine.states.length;
+        const stateDefinition = this.config.states[currentState] || {};
 
-        this.logger.step(stateIndex + 1, totalStates, currentState);
+        this.logger.step(stepNumber, totalStates, currentState);
 
-        // Capture current state
-        const capturedState = await testExecutor.captureState();
-
-        // Get Computer Use action directly (no translation gap!)
-        const action = await computerUse.getNextAction(
-          capturedState.screenshot,
-          `Navigate through ${currentState} state for ${providerName} OAuth`,
-          {
-            state: currentState,
-            url: capturedState.metadata.url,
-            provider: providerName
+        // States such as two_factor can't be automated without their credential (e.g. TOTP secret)
+        for (const required of stateDefinition.requiresCredentials || []) {
+          if (!credentials.has(required)) {
+            stateMachine.fail(`Missing credential {{${required}}}`);
+            throw new Error(`State ${currentState} requires {{${required}}} but it is not configured for ${providerName} (see testAccount/testAccounts in veria-oauth-flows.json)`);
           }
-        );
+        }
 
-        if (!action) {
-          this.logger.error('No action received from Computer Use API');
-          if (!stateMachine.retry()) {
-            throw new Error(`Failed to get action for state: ${currentState}`);
+        let verified = false;
+        let nextState = null;
+        let restartFlow = false;
+
+        // States with a handler (e.g. opening an emailed magic link) don't need Computer Use
+        if (stateDefinition.handler) {
+          await this.runStateHandler(stateDefinition, {
+            testExecutor,
+            stateMachine,
+            credentials,
+            mailCatcher,
+            providerName
+          });
+          verified = await this.withinBudget(stateMachine, this.verifyStateTransition(
+            currentState,
+            testExecutor.page.url(),
+            providerConfig,
+            stateMachine,
+            testExecutor.page
+          ), 'verifying state');
+          if (!verified) {
+            stateMachine.fail(`Handler ${stateDefinition.handler} did not reach the expected page`);
+            throw new Error(`State ${currentState} not verified after ${stateDefinition.handler} - URL: ${testExecutor.page.url()}`);
           }
-          continue;
         }
 
-        // Execute Computer Use action directly
-        const result = await testExecutor.executeComputerUseAction(action);
+        // Keep acting inside this state until its verifier passes or the action budget runs out
+        while (!verified && stateMachine.actionsInCurrentState < stateMachine.maxActionsPerState) {
+          // Capture current state
+          const capturedState = await this.withinBudget(stateMachine, testExecutor.captureState(), 'capturing state');
+
+          // Get Computer Use action directly (no translation gap!)
+          const reply = await this.withinBudget(stateMachine, computerUse.getNextAction(
+            capturedState.screenshot,
+            `Navigate through ${currentState} state for ${providerName} OAuth` +
+              (stateDefinition.expect ? `\nExpected outcome: ${stateDefinition.expect}` : '') +
+              (stateDefinition.instructions ? `\n${stateDefinition.instructions}` : '') +
+              (negativeCase && negativeCase.instructions[currentState] ? `\n${negativeCase.instructions[currentState]}` : '') +
+              credentialHint,
+            {
+              state: currentState,
+              url: capturedState.metadata.url,
+              provider: providerName,
+              actionsInState: stateMachine.actionsInCurrentState
+            }
+          ), 'waiting for Computer Use action');
+
+          if (!reply) {
+            this.logger.error('No action received from Computer Use API');
+            if (!stateMachine.retry()) {
+              throw new Error(`Failed to get action for state: ${currentState}`);
+            }
+            continue;
+          }
+
+          // The model stopped acting: the flow graph, not its word, decides where we are
+          if (reply.type !== 'action') {
+            const reached = await this.checkStateReached(stateMachine, testExecutor, currentState, providerConfig, providerName);
+            if (reached.verified) {
+              this.logger.info(`Model reports ${reply.type} in ${currentState}: ${reply.text}`);
+              nextState = reached.nextState;
+              verified = true;
+              continue;
+            }
+
+            if (reply.type === 'done') {
+              this.logger.warn(`Model reports ${currentState} done but it is not verified: ${reply.summary}`);
+              if (!stateMachine.retry()) {
+                throw new Error(`State ${currentState} not verified although the model reported it done: ${reply.summary}`);
+              }
+              continue;
+            }
+
+            // Retrying won't unblock the model or answer its question in an unattended run
+            const reason = reply.type === 'blocked' ? `Model reports it is blocked: ${reply.reason}` : `Model needs input: ${reply.question}`;
+            stateMachine.fail(reason);
+            throw new Error(`${currentState}: ${reason}`);
+          }
 
-        // Report result back to Gemini
-        await computerUse.reportActionResult(result);
+          // Execute Computer Use actions directly, in the order the model emitted them
+          const { results, failed, refusal } = await computerUse.executeActions(reply.actions, {
+            review: async action => {
+              // A confirmation prompt waits for a person, that time isn't the state's
+              const safety = await stateMachine.untimed(() => this.safetyPolicy.review(action, testExecutor.page.url()));
+              safetyDecisions.push(safety);
+              return safety;
+            },
+            execute: async action => {
+              const result = await this.withinBudget(stateMachine, testExecutor.executeComputerUseAction(action), `executing ${action.name}`);
+              stateMachine.recordAction(action, result);
+              return result;
+            }
+          });
 
-        // Check if action succeeded
-        if (result.success) {
-          this.logger.success(`Action ${action.name} executed successfully`);
-          stateMachine.advance();
-        } else {
-          this.logger.error(`Action ${action.name} failed: ${result.error}`);
+          // Report every result back to Gemini
+          await computerUse.reportActionResults(results, testExecutor.page.url());
+
+          if (refusal) {
+            stateMachine.fail(`Safety confirmation refused for ${refusal.action.name}`);
+            throw new Error(`Refused ${refusal.action.name} flagged by the model: ${refusal.safety.explanation} (${refusal.safety.reason})`);
+          }
+
+          // Check if the actions succeeded
+          if (!failed) {
+            this.logger.success(`Action${results.length > 1 ? 's' : ''} ${results.map(result => result.actionName).join(', ')} executed successfully (${stateMachine.actionsInCurrentState}/${stateMachine.maxActionsPerState} in ${currentState})`);
+
+            // Let redirects settle before checking the state's verifier
+            await this.withinBudget(stateMachine, new Promise(resolve => setTimeout(resolve, this.actionDelay)), 'waiting for page to settle');
+
+            const reached = await this.checkStateReached(stateMachine, testExecutor, currentState, providerConfig, providerName);
+            nextState = reached.nextState;
+            verified = reached.verified;
+            continue;
+          }
+
+          this.logger.error(`Action ${failed.actionName} failed: ${failed.error}`);
 
           // Handle error with diagnostic agent if available
-          if (result.error && diagnostic) {
+          if (failed.error && diagnostic) {
             const diagnosticResult = await diagnostic.diagnoseRootCause({
               screenshot: capturedState.screenshot,
-              errorAnalysis: { errorDetected: true, errorMessage: result.error },
+              errorAnalysis: { errorDetected: true, errorMessage: failed.error },
               networkLogs: await testExecutor.getNetworkLogs(),
               pageUrl: capturedState.metadata.url
             });
@@ -278,12 +468,14 @@ class OAuthOrchestrator {
             }
 
             if (approved) {
+              flowRetryCount++;
+              if (flowRetryCount > maxFlowRetries) {
+                throw new Error(`Max flow retries exceeded after fixes for state: ${currentState}`);
+              }
               await fix.applyFix(fixPlan, true);
               this.logger.info('Retrying flow after fix...');
-              stateMachine.reset();
-              computerUse.reset();
-              await testExecutor.navigate(this.config.baseUrl);
-              continue;
+              restartFlow = true;
+              break;
             }
           }
 
@@ -291,58 +483,263 @@ class OAuthOrchestrator {
           if (!stateMachine.retry()) {
             throw new Error(`Max retries exceeded for state: ${currentState}`);
           }
+
+          // Brief pause between actions (configurable)
+          await new Promise(resolve => setTimeout(resolve, this.actionDelay));
+        }
+
+        if (restartFlow) {
+          stateMachine.reset();
+          computerUse.reset();
+          await testExecutor.navigate(this.config.baseUrl);
+          continue;
+        }
+
+        if (!verified) {
+          stateMachine.fail(`Max actions per state exceeded (${stateMachine.maxActionsPerState})`);
+          throw new Error(`State ${currentState} not verified after ${stateMachine.maxActionsPerState} actions`);
+        }
+
+        // A verified callback URL doesn't prove the session works, check cookies and the session endpoint
+        const target = nextState || stateMachine.getNextState();
+        if (stateDefinition.assertSession && target && stateMachine.getNode(target).terminal !== 'failure') {
+          sessionReport = await this.withinBudget(
+            stateMachine,
+            this.assertSession(testExecutor.page, credentials, providerName),
+            'checking session'
+          );
+          if (!sessionReport.passed) {
+            stateMachine.fail(`Session assertions failed: ${sessionReport.failures.map(f => f.check).join(', ')}`);
+            throw new Error(`Session check after ${currentState} failed: ${sessionReport.failures.map(f => f.message).join('; ')}`);
+          }
+          this.logger.success(`Session verified (${sessionReport.sessionCookies.join(', ')})`);
+
+          // Capture the signed-in session now, the flow may sign out before it ends
+          if (this.options.profile && !negativeCase) {
+            await this.profiles.save(this.options.profile, await testExecutor.context.storageState(), {
+              provider: providerName,
+              account: lease.accountId,
+              baseUrl: this.config.baseUrl
+            });
+          }
         }
 
-        // Brief pause between states (configurable)
-        await new Promise(resolve => setTimeout(resolve, this.actionDelay));
+        // Landing on /signin isn't enough, the session must actually be gone
+        if (stateDefinition.assertSignedOut) {
+          signoutReport = await this.withinBudget(
+            stateMachine,
+            this.sessionInspector.assertSignedOut(testExecutor.page),
+            'checking sign-out'
+          );
+          if (!signoutReport.passed) {
+            stateMachine.fail(`Sign-out assertions failed: ${signoutReport.failures.map(f => f.check).join(', ')}`);
+            throw new Error(`Sign-out incomplete: ${signoutReport.failures.map(f => f.message).join('; ')}`);
+          }
+          this.logger.success('Sign-out verified: session cleared and protected page redirects to sign-in');
+        }
+
+        stateMachine.advance(nextState);
+
+        if (stateMachine.isComplete() && !stateMachine.isSuccessful()) {
+          continue; // Don't checkpoint terminal failures, resuming must retry the last good state
+        }
+        await this.checkpoints.save(checkpointName, testExecutor, { stateMachine: stateMachine.snapshot() });
+      }
+
+      if (!stateMachine.isSuccessful()) {
+        throw new Error(`Flow ended in failure state: ${stateMachine.getFailureReason() || stateMachine.history[stateMachine.history.length - 1].state}`);
       }
 
       await testExecutor.cleanup();
+      const security = await this.analyzeSecurity(testExecutor, providerName, providerConfig, sessionReport, credentials);
 
-      this.logger.success(`✅ ${providerName} OAuth test PASSED`);
-      this.logger.success(`✅ Successfully reached dashboard and completed full e2e flow`);
+      if (computerUse.cassette) {
+        computerUse.cassette.assertConsumed();
+      }
+
+      this.logger.success(`✅ ${label} OAuth test PASSED`);
+      if (negativeCase) {
+        this.logger.success(`✅ Expected error outcome reached: ${negativeCase.expected.error}`);
+      } else {
+        this.logger.success(`✅ Successfully reached dashboard and completed full e2e flow`);
+      }
 
       return {
         status: 'passed',
         provider: providerName,
+        account: lease.accountId,
+        negative,
         flow: stateMachine.history,
-        flowRetries: flowRetryCount
+        flowRetries: flowRetryCount,
+        resumed: !!checkpoint,
+        session: sessionReport,
+        signout: signoutReport,
+        security,
+        safetyDecisions
       };
 
     } catch (error) {
-      this.logger.error(`❌ ${providerName} OAuth test FAILED:`, error.message);
+      if (error instanceof TimeoutError && !stateMachine.isComplete()) {
+        stateMachine.fail(error.message);
+      }
+      this.logger.error(`❌ ${label} OAuth test FAILED:`, error.message);
       await testExecutor.cleanup();
-      return { status: 'failed', provider: providerName, error: error.message };
+      const security = await this.analyzeSecurity(testExecutor, providerName, providerConfig, sessionReport, credentials);
+      return {
+        status: 'failed',
+        provider: providerName,
+        account: lease ? lease.accountId : undefined,
+        negative,
+        error: credentials ? credentials.redact(error.message) : error.message,
+        flow: stateMachine.history,
+        flowRetries: flowRetryCount,
+        resumed: !!checkpoint,
+        session: sessionReport,
+        signout: signoutReport,
+        security,
+        safetyDecisions
+      };
+    } finally {
+      if (mailCatcher) {
+        await mailCatcher.stop();
+      }
+      if (mockServer) {
+        await mockServer.stop();
+      }
+      await this.accountPool.release(lease);
+      if (removeRedactor) {
+        removeRedactor();
+      }
     }
   }
 
-  async executeAction(testExecutor, action, providerConfig) {
-    switch (action.type) {
-      case 'click':
-        await testExecutor.click(action.target);
-        break;
+  /**
+   * Runs the OAuth protocol checks over the traffic captured in this run.
+   * @param {TestExecutorAgent} testExecutor - Executor holding the captured requests
+   * @param {string} providerName - Provider name
+   * @param {Object} providerConfig - Provider entry from config.providers
+   * @param {Object|null} sessionReport - Session assertions (source of the cookie flags)
+   * @param {CredentialVault|null} credentials - Vault used to redact evidence URLs
+   * @returns {Promise<Object>} { findings, summary, authorizeRequests, callbackRequests }
+   */
+  async analyzeSecurity(testExecutor, providerName, providerConfig, sessionReport, credentials) {
+    const report = this.securityAnalyzer.analyze({
+      provider: providerName,
+      providerConfig,
+      requests: await testExecutor.getNetworkLogs(),
+      navigations: testExecutor.getNavigations(),
+      cookieFlags: sessionReport ? sessionReport.cookieFlags : null
+    });
+    // Without credentials the run failed before leasing an account
+    return credentials ? credentials.redactAll(report) : report;
+  }
 
-      case 'type':
-        const value = this.resolveEnvVar(action.value, providerConfig);
-        await testExecutor.type(action.target, value);
-        break;
+  /**
+   * Derives the negative cases for a provider (deny consent, wrong password, cancel,
+   * tampered state, expired code).
+   * @param {string} providerName - Provider name
+   * @returns {Array<Object>} Cases to pass to testProvider
+   */
+  negativeCasesFor(providerName) {
+    const providerConfig = this.config.providers.find(p => p.name === providerName);
+    if (!providerConfig) {
+      return [];
+    }
 
-      case 'wait':
-        await testExecutor.waitFor(action.condition || 'networkidle', action.timeout);
-        break;
+    const cases = generateNegativeCases(providerConfig, this.config);
+    this.logger.info(`Derived ${cases.length} negative cases for ${providerName}: ${cases.map(c => c.name).join(', ') || 'none'}`);
+    return cases;
+  }
 
-      default:
-        this.logger.debug(`Unknown action type: ${action.type}`);
+  /**
+   * Runs that start local servers on fixed ports (mail catcher, mock OAuth provider)
+   * can't overlap, so the worker pool runs them one at a time. Runs of a provider with
+   * fewer test accounts than workers also take turns instead of waiting on a lease.
+   * @param {string} providerName - Provider name
+   * @param {number} [concurrency=1] - Worker count
+   * @returns {string|null} Exclusivity key for runPool
+   */
+  exclusiveKey(providerName, concurrency = 1) {
+    const providerConfig = this.config.providers.find(p => p.name === providerName);
+    if (!providerConfig) {
+      return null;
+    }
+    if (providerConfig.mailCatcher || providerConfig.mockServer) {
+      return 'local-services';
+    }
+    if (AccountPool.accountsFor(providerConfig).length < concurrency) {
+      return `accounts-${providerName}`;
+    }
+    return null;
+  }
+
+  /**
+   * Checks the browser session against the provider's test account.
+   * Expected values come from the credentials vault; failures are reported with
+   * placeholders in place of the account's values so results.json stays secret-free.
+   * @param {Object} page - Playwright page on the app's origin
+   * @param {CredentialVault} credentials - Test account vault
+   * @param {string} providerName - Provider name (compared if the app exposes it)
+   * @returns {Promise<Object>} { passed, failures, sessionCookies, cookieFlags, user }
+   */
+  async assertSession(page, credentials, providerName) {
+    const expected = { provider: providerName };
+    for (const field of ['email', 'name']) {
+      if (credentials.has(field)) {
+        expected[field] = credentials.substitute(`{{${field}}}`);
+      }
     }
+
+    const report = await this.sessionInspector.assertSignedIn(page, expected);
+    return credentials.redactAll(report);
   }
 
-  resolveEnvVar(value, providerConfig) {
-    // Resolve environment variables from test account config
-    if (value && value.startsWith('process.env.')) {
-      const envKey = value.replace('process.env.', '');
-      return process.env[envKey] || value;
+  /**
+   * Runs a built-in state handler instead of asking Computer Use for actions.
+   * @param {Object} stateDefinition - State entry from config.states (with `handler`)
+   * @param {Object} context - { testExecutor, stateMachine, credentials, mailCatcher, providerName }
+   * @throws {Error} If the handler is unknown or cannot complete
+   */
+  async runStateHandler(stateDefinition, context) {
+    const { testExecutor, stateMachine, credentials, mailCatcher, providerName } = context;
+
+    switch (stateDefinition.handler) {
+      case 'emailMagicLink': {
+        if (!mailCatcher) {
+          throw new Error(`${stateDefinition.handler} requires "mailCatcher" in the ${providerName} provider config`);
+        }
+        if (!credentials.has('email')) {
+          throw new Error(`${stateDefinition.handler} requires testAccount.email for ${providerName}`);
+        }
+
+        // Only messages sent during this flow count; the plaintext address never reaches the logs
+        const message = await this.withinBudget(
+          stateMachine,
+          mailCatcher.waitForMessage(credentials.substitute('{{email}}'), {
+            since: stateMachine.flowStartedAt,
+            timeout: stateMachine.getStateTimeout() || 30000
+          }),
+          'waiting for verification email'
+        );
+
+        const pattern = new RegExp(stateDefinition.linkPattern || '.');
+        const link = MailCatcher.findLink(message, pattern);
+        if (!link) {
+          throw new Error(`No link matching ${pattern} in email "${message.subject}"`);
+        }
+
+        this.logger.info(`Opening link from email "${message.subject}"`);
+        await testExecutor.navigate(link);
+        stateMachine.recordAction(
+          { name: 'open_email_link', args: { subject: message.subject } },
+          { success: true }
+        );
+        break;
+      }
+
+      default:
+        throw new Error(`Unknown state handler: ${stateDefinition.handler}`);
     }
-    return value;
   }
 
   /**
@@ -356,36 +753,58 @@ class OAuthOrchestrator {
 ${'='.repeat(60)}
 `);
 
-    // Validate required environment variables
-    if (!process.env.GEMINI_API_KEY) {
+    // Validate required environment variables (replayed runs don't call the API)
+    if (!process.env.GEMINI_API_KEY && !this.options.replayCassettes) {
       throw new Error('GEMINI_API_KEY environment variable is required. Please set it in your .env file.');
     }
 
     await this.loadConfig();
     await this.setupOutputDirectory();
 
-    const results = [];
-
+    let providerNames;
     if (this.options.all) {
       // Test all enabled providers
-      for (const provider of this.config.providers) {
-        if (provider.enabled) {
-          const result = await this.testProvider(provider.name);
-          results.push(result);
-        }
-      }
+      providerNames = this.config.providers.filter(p => p.enabled).map(p => p.name);
     } else if (this.options.provider) {
-      // Test specific provider(s)
-      const providers = this.options.provider.split(',');
-      for (const provider of providers) {
-        const result = await this.testProvider(provider.trim());
-        results.push(result);
+      // Test specific provider(s); naming one runs it even when it's disabled
+      providerNames = this.options.provider.split(',').map(name => name.trim());
+      for (const name of providerNames) {
+        const providerConfig = this.config.providers.find(p => p.name === name);
+        if (providerConfig && !providerConfig.enabled) {
+          this.logger.info(`Provider ${name} is disabled, running it because it was named with --provider`);
+        }
       }
     } else {
       this.logger.error('No provider specified. Use --provider <name> or --all');
       return;
     }
 
+    if (this.options.profile) {
+      if (providerNames.length !== 1) {
+        throw new Error('--profile saves a single session, use it with one --provider');
+      }
+      this.profiles.pathFor(this.options.profile); // Validate the name before the run
+    }
+
+    const tasks = [];
+    for (const providerName of providerNames) {
+      tasks.push({ providerName });
+      if (this.options.negative) {
+        tasks.push(...this.negativeCasesFor(providerName).map(negativeCase => ({ providerName, negativeCase })));
+      }
+    }
+
+    const concurrency = this.options.concurrency || 1;
+    if (concurrency > 1) {
+      this.logger.info(`Running ${tasks.length} provider runs with concurrency ${concurrency}`);
+    }
+    const results = await runPool(
+      tasks,
+      concurrency,
+      (task, index) => this.testProvider(task.providerName, task.negativeCase, { index }),
+      { keyOf: task => this.exclusiveKey(task.providerName, concurrency) }
+    );
+
     // Summary
     console.log(`\n${'='.repeat(60)}`);
     console.log('📊 Test Summary');
@@ -398,6 +817,16 @@ ${'='.repeat(60)}
     console.log(`✅ Passed: ${passed}`);
     console.log(`❌ Failed: ${failed}`);
     console.log(`⏭️  Skipped: ${skipped}`);
+
+    const highFindings = results.reduce((sum, r) => sum + (r.security ? r.security.summary.high : 0), 0);
+    if (highFindings > 0) {
+      console.log(`🔒 High-severity security findings: ${highFindings} (see security in results.json)`);
+    }
+    const safetyDecisions = results.flatMap(r => r.safetyDecisions || []);
+    if (safetyDecisions.length > 0) {
+      const refused = safetyDecisions.filter(d => !d.acknowledged).length;
+      console.log(`🛡️  Safety confirmations: ${safetyDecisions.length - refused} approved, ${refused} refused (see safetyDecisions in results.json)`);
+    }
     console.log(`📁 Output: ${this.outputDir}`);
 
     // Save results
@@ -406,6 +835,9 @@ ${'='.repeat(60)}
       JSON.stringify(results, null, 2)
     );
 
+    // Draw the executed paths (Mermaid + DOT) next to the results
+    await new FlowExporter(this.logger).exportResults(this.outputDir, results);
+
     this.logger.saveLogs(path.join(this.outputDir, 'execution.log'));
   }
 }
@@ -416,17 +848,53 @@ if (require.main === module) {
   const options = {
     all: args.includes('--all'),
     provider: args.find((arg, i) => args[i - 1] === '--provider'),
+    baseUrl: args.find((arg, i) => args[i - 1] === '--base-url'),
+    resume: args.find((arg, i) => args[i - 1] === '--resume'),
     debug: args.includes('--debug'),
-    autoFix: args.includes('--auto-fix')
+    autoFix: args.includes('--auto-fix'),
+    negative: args.includes('--negative'),
+    concurrency: Number(args.find((arg, i) => args[i - 1] === '--concurrency')) || 1,
+    profile: args.find((arg, i) => args[i - 1] === '--profile'),
+    safetyPolicy: args.find((arg, i) => args[i - 1] === '--safety-policy'),
+    recordCassettes: args.find((arg, i) => args[i - 1] === '--record-cassettes'),
+    replayCassettes: args.find((arg, i) => args[i - 1] === '--replay-cassettes')
   };
 
+  if (options.recordCassettes && options.replayCassettes) {
+    console.error('Use either --record-cassettes or --replay-cassettes, not both');
+    process.exit(1);
+  }
+
+  try {
+    options.browserOptions = parseBrowserOptions(args);
+  } catch (error) {
+    console.error(error.message);
+    process.exit(1);
+  }
+
   if (!options.all && !options.provider) {
     console.log(`
 Usage: node src/orchestrator.js [options]
 
 Options:
   --all                Test all enabled OAuth providers
-  --provider <name>    Test specific provider (github, google, etc.)
+  --provider <name>    Test specific provider (github, google, etc.), even if disabled
+  --base-url <url>     Override baseUrl from config (staging/preview hosts)
+  --resume <runDir>    Resume a previous run from its last completed state
+  --negative           Also run negative cases (deny consent, wrong password, cancel,
+                       tampered state, expired code) and expect an error outcome
+  --concurrency <n>    Run up to n providers/cases in parallel (separate browsers,
+                       CDP ports 9222+ and output subdirectories)
+  --profile <name>     Save the signed-in session as a named profile (single provider)
+  --safety-policy <file>
+                       Confirmation policy for actions the model flags as risky
+                       (default src/scenarios/safety-policy.json)
+  --record-cassettes <dir>
+                       Record Computer Use responses to <dir>/<run>.json
+  --replay-cassettes <dir>
+                       Replay recorded responses without Computer Use API calls;
+                       fails on any request that differs from the recording
+${BROWSER_HELP}
   --debug              Enable debug logging
   --auto-fix           Automatically apply fixes without approval
 
@@ -434,6 +902,12 @@ Examples:
   node src/orchestrator.js --provider github
   node src/orchestrator.js --all --debug
   node src/orchestrator.js --provider github --auto-fix
+  node src/orchestrator.js --provider google --base-url https://staging.veria.cc
+  node src/orchestrator.js --provider google --resume tmp/oauth-test-2025-10-30-140523
+  node src/orchestrator.js --provider github --negative
+  node src/orchestrator.js --all --negative --concurrency 3
+  node src/orchestrator.js --provider github --profile github-admin
+  node src/orchestrator.js --provider mock --headless --browser firefox --viewport 1280x720
     `);
     process.exit(0);
   }
@@ -9,6 +9,14 @@ const ComputerUseAgent = require('./agents/computer-use');
 const DiagnosticAgent = require('./agents/diagnostic');
 const FixAgent = require('./agents/fix');
 const Logger = require('./utils/logger');
+const { parseBrowserOptions, HELP: BROWSER_HELP } = require('./utils/browser-options');
+const CheckpointStore = require('./utils/checkpoint');
+const SessionProfiles = require('./utils/session-profiles');
+const SafetyPolicy = require('./utils/safety-policy');
+const { Cassette } = require('./utils/cassette');
+const { runPool } = require('./utils/worker-pool');
+const { compareEngineResults } = require('./utils/browser-matrix');
+const FlowExporter = require('./flow-exporter');
 
 /**
  * ScenarioRunner - Universal E2E testing orchestrator using Gemini Computer Use
@@ -20,29 +28,99 @@ class ScenarioRunner {
     this.logger = new Logger(options.debug || false);
     this.scenarios = null;
     this.outputDir = null;
+    this.runDir = null; // One directory per invocation, a subdirectory per scenario
+    this.profiles = new SessionProfiles(this.logger);
+    this.safetyPolicy = null;
   }
 
   async loadScenarios() {
     const scenarioPath = path.join(__dirname, 'scenarios/test-scenarios.json');
     const scenarioData = await fs.readFile(scenarioPath, 'utf8');
     this.scenarios = JSON.parse(scenarioData);
+    this.safetyPolicy = await SafetyPolicy.load(this.logger, this.options.safetyPolicy);
     this.logger.success('Test scenarios loaded');
   }
 
+  /**
+   * Creates the output directory for one scenario inside the run directory.
+   * @param {string} scenarioName - Scenario name
+   * @returns {Promise<{outputDir: string, checkpoints: CheckpointStore}>}
+   */
   async setupOutputDirectory(scenarioName) {
-    const timestamp = new Date().toISOString().replace(/[:.]/g, '-').slice(0, -5);
-    this.outputDir = path.join(__dirname, '..', 'tmp', `test-${scenarioName}-${timestamp}`);
-    await fs.mkdir(this.outputDir, { recursive: true });
-    this.logger.success(`Output directory: ${this.outputDir}`);
+    if (!this.runDir) {
+      await this.setupRunDirectory();
+    }
+    const outputDir = path.join(this.runDir, scenarioName);
+    await fs.mkdir(outputDir, { recursive: true });
+    return { outputDir, checkpoints: new CheckpointStore(outputDir, this.logger) };
+  }
+
+  /**
+   * Creates the run directory shared by every scenario of the invocation (or reopens it
+   * with --resume). Scenarios write into their own subdirectory; results.json goes on top.
+   */
+  async setupRunDirectory() {
+    if (this.options.resume) {
+      this.runDir = path.resolve(this.options.resume);
+      await fs.access(this.runDir).catch(() => {
+        throw new Error(`Resume directory not found: ${this.runDir}`);
+      });
+      this.logger.success(`Resuming run in: ${this.runDir}`);
+    } else {
+      const timestamp = new Date().toISOString().replace(/[:.]/g, '-').slice(0, -5);
+      this.runDir = path.join(__dirname, '..', 'tmp', `test-run-${timestamp}`);
+      await fs.mkdir(this.runDir, { recursive: true });
+      this.logger.success(`Output directory: ${this.runDir}`);
+    }
+    this.outputDir = this.runDir;
+  }
+
+  /**
+   * Folds per-engine runs of matrix scenarios into one result per scenario, with the
+   * engine results side by side and each failure classified (see utils/browser-matrix.js).
+   * @param {Array<{name: string, engine: string|null}>} tasks - Runs in pool order
+   * @param {Array<Object>} runs - runScenario results, same order as tasks
+   * @returns {Array<Object>} One result per scenario
+   */
+  mergeBrowserRuns(tasks, runs) {
+    const results = [];
+    const matrices = new Map();
+
+    tasks.forEach((task, i) => {
+      if (!task.engine) {
+        results.push(runs[i]);
+        return;
+      }
+      if (!matrices.has(task.name)) {
+        const merged = { scenario: task.name, description: runs[i].description, browsers: {} };
+        matrices.set(task.name, merged);
+        results.push(merged);
+      }
+      matrices.get(task.name).browsers[task.engine] = runs[i];
+    });
+
+    for (const merged of matrices.values()) {
+      const engineResults = Object.values(merged.browsers);
+      merged.matrix = compareEngineResults(merged.browsers);
+      merged.status = merged.matrix.status;
+      merged.startTime = Math.min(...engineResults.map(r => r.startTime));
+      merged.endTime = Math.max(...engineResults.map(r => r.endTime));
+      merged.duration = merged.endTime - merged.startTime;
+    }
+    return results;
   }
 
   /**
    * Execute a test scenario
    * @param {string} scenarioName - Name of scenario to run
+   * @param {Object} [worker] - Worker slot from the --concurrency pool
+   * @param {number} [worker.index=0] - Slot index, offsets the CDP port
+   * @param {string} [engine] - Browser engine from the scenario's `browsers` matrix
    * @returns {Promise<Object>} Test results
    */
-  async runScenario(scenarioName) {
-    this.logger.info(`\n${'='.repeat(60)}\n🧪 Running Scenario: ${scenarioName}\n${'='.repeat(60)}`);
+  async runScenario(scenarioName, worker = { index: 0 }, engine = null) {
+    const runName = engine ? `${scenarioName}-${engine}` : scenarioName;
+    this.logger.info(`\n${'='.repeat(60)}\n🧪 Running Scenario: ${scenarioName}${engine ? ` (${engine})` : ''}\n${'='.repeat(60)}`);
 
     // Find scenario config
     const scenario = this.scenarios.scenarios.find(s => s.name === scenarioName);
@@ -55,18 +133,19 @@ class ScenarioRunner {
       return { status: 'skipped', scenario: scenarioName };
     }
 
-    await this.setupOutputDirectory(scenarioName);
+    const { outputDir, checkpoints } = await this.setupOutputDirectory(runName);
 
     // Initialize agents
-    const testExecutor = new TestExecutorAgent(this.logger, this.outputDir);
-    const computerUse = new ComputerUseAgent(this.logger, process.env.GEMINI_API_KEY);
-    const diagnostic = new DiagnosticAgent(
+    const testExecutor = new TestExecutorAgent(this.logger, outputDir);
+    // Replayed runs make no live Gemini calls, so they skip diagnosis and fixes
+    const replaying = !!this.options.replayCassettes;
+    const diagnostic = replaying ? null : new DiagnosticAgent(
       this.logger,
       process.env.GEMINI_API_KEY,
       process.env.VERCEL_TOKEN,
       process.env.VERCEL_PROJECT_ID
     );
-    const fix = new FixAgent(
+    const fix = replaying ? null : new FixAgent(
       this.logger,
       process.env.GEMINI_API_KEY,
       process.env.VERIA_PROJECT_PATH || process.cwd()
@@ -74,17 +153,61 @@ class ScenarioRunner {
 
     const results = {
       scenario: scenarioName,
+      ...(engine && { browser: engine }),
       description: scenario.description,
       steps: [],
+      safetyDecisions: [],
       status: 'running',
       startTime: Date.now()
     };
 
+    // Resume after the last completed step if a checkpoint exists
+    const checkpoint = this.options.resume ? await checkpoints.load(runName) : null;
+    let firstStep = 0;
+
+    // Start already signed in: --profile overrides the scenario's "profile"
+    const profile = this.options.profile || scenario.profile;
+    if (profile) {
+      results.profile = profile;
+    }
+    // A profile's session stays in the profile instead of the shared session-state.json
+    const cleanupOptions = { saveSession: !profile };
+
     try {
-      await testExecutor.initialize();
+      // Inside the try: a missing cassette fails this scenario, not the whole run
+      const computerUse = new ComputerUseAgent(this.logger, process.env.GEMINI_API_KEY, {
+        cassette: Cassette.forRun(runName, { record: this.options.recordCassettes, replay: this.options.replayCassettes }, this.logger)
+      });
+
+      let storageState;
+      if (checkpoint) {
+        storageState = checkpoint.storageState;
+      } else if (profile) {
+        storageState = await this.profiles.load(profile);
+        this.logger.info(`Starting ${scenarioName} with session profile ${profile}`);
+      }
 
-      // Navigate to base URL
-      await testExecutor.navigate(scenario.baseUrl);
+      await testExecutor.initialize({
+        ...this.options.browserOptions,
+        ...(engine && { browser: engine }),
+        cdpPort: 9222 + worker.index,
+        // Parallel workers keep their session-state.json apart, next to their results
+        ...(this.options.concurrency > 1 && { userDataDir: outputDir }),
+        storageState
+      });
+
+      if (checkpoint && !scenario.viewports) {
+        firstStep = checkpoint.stepIndex + 1;
+        results.steps = checkpoint.steps;
+        results.safetyDecisions = checkpoint.steps.flatMap(step => step.safetyDecisions || []);
+        results.resumed = true;
+        testExecutor.screenshotCount = checkpoint.screenshotCount || 0;
+        this.logger.info(`Resuming ${scenarioName} at step ${firstStep + 1} (${checkpoint.url})`);
+        await testExecutor.navigate(checkpoint.url);
+      } else {
+        // Navigate to base URL
+        await testExecutor.navigate(scenario.baseUrl);
+      }
 
       // Handle viewport testing (responsive design)
       if (scenario.viewports) {
@@ -92,7 +215,7 @@ class ScenarioRunner {
       }
 
       // Execute each step in the flow
-      for (let i = 0; i < scenario.flow.length; i++) {
+      for (let i = firstStep; i < scenario.flow.length; i++) {
         const step = scenario.flow[i];
         const stepNumber = i + 1;
         const totalSteps = scenario.flow.length;
@@ -109,12 +232,13 @@ class ScenarioRunner {
         );
 
         results.steps.push(stepResult);
+        results.safetyDecisions.push(...stepResult.safetyDecisions);
 
         if (!stepResult.success) {
           this.logger.error(`Step ${step.state} failed: ${stepResult.error}`);
 
           // Attempt diagnosis and fix
-          if (this.options.autoFix) {
+          if (this.options.autoFix && diagnostic) {
             await this.attemptAutoFix(stepResult, diagnostic, fix, testExecutor);
           }
 
@@ -125,6 +249,8 @@ class ScenarioRunner {
 
         this.logger.success(`✓ ${step.state} completed`);
 
+        await checkpoints.save(runName, testExecutor, { stepIndex: i, steps: results.steps });
+
         // Brief pause between steps
         await new Promise(resolve => setTimeout(resolve, 2000));
       }
@@ -133,9 +259,14 @@ class ScenarioRunner {
         results.status = 'passed';
       }
 
-      await testExecutor.cleanup();
+      await testExecutor.cleanup(cleanupOptions);
+
+      // A failed step already fails the run; a passing one must have replayed everything
+      if (computerUse.cassette && results.status === 'passed') {
+        computerUse.cassette.assertConsumed();
+      }
 
-      this.logger.success(`✅ Scenario ${scenarioName} completed: ${results.status.toUpperCase()}`);
+      this.logger.success(`✅ Scenario ${runName} completed: ${results.status.toUpperCase()}`);
 
       results.endTime = Date.now();
       results.duration = results.endTime - results.startTime;
@@ -143,8 +274,8 @@ class ScenarioRunner {
       return results;
 
     } catch (error) {
-      this.logger.error(`❌ Scenario ${scenarioName} FAILED:`, error.message);
-      await testExecutor.cleanup();
+      this.logger.error(`❌ Scenario ${runName} FAILED:`, error.message);
+      await testExecutor.cleanup(cleanupOptions);
 
       results.status = 'failed';
       results.error = error.message;
@@ -164,7 +295,8 @@ class ScenarioRunner {
       goal: step.goal,
       success: false,
       actions: [],
-      validations: []
+      validations: [],
+      safetyDecisions: []
     };
 
     try {
@@ -188,7 +320,7 @@ class ScenarioRunner {
       }
 
       // Get action from Gemini Computer Use
-      const action = await computerUse.getNextAction(
+      const reply = await computerUse.getNextAction(
         currentState.screenshot,
         enhancedGoal,
         {
@@ -198,38 +330,62 @@ class ScenarioRunner {
         }
       );
 
-      if (!action) {
+      if (!reply) {
         throw new Error('No action received from Computer Use API');
       }
+      if (reply.type === 'blocked') {
+        throw new Error(`Model reports the step is blocked: ${reply.reason}`);
+      }
+      if (reply.type === 'question') {
+        throw new Error(`Model needs input to continue: ${reply.question}`);
+      }
 
-      this.logger.debug(`[${step.state}] Action: ${action.name}`);
-
-      // Execute action
-      const executionResult = await testExecutor.executeComputerUseAction(action);
-
-      stepResult.actions.push({
-        name: action.name,
-        args: action.args,
-        success: executionResult.success
-      });
+      let postActionState = currentState;
+      if (reply.type === 'done') {
+        // Nothing left to do on this page; validations still decide whether the step passed
+        this.logger.info(`[${step.state}] Model reports done: ${reply.summary}`);
+        stepResult.summary = reply.summary;
+      } else {
+        this.logger.debug(`[${step.state}] Actions: ${reply.actions.map(action => action.name).join(', ')}`);
+
+        // Execute the turn's actions in order
+        const { results, failed, refusal } = await computerUse.executeActions(reply.actions, {
+          review: async action => {
+            const safety = await this.safetyPolicy.review(action, currentState.metadata.url);
+            stepResult.safetyDecisions.push(safety);
+            return safety;
+          },
+          execute: action => testExecutor.executeComputerUseAction(action)
+        });
 
-      if (!executionResult.success) {
-        throw new Error(`Action ${action.name} failed: ${executionResult.error}`);
-      }
+        reply.actions.forEach((action, i) => {
+          if (!results[i].skipped && !results[i].refused) {
+            stepResult.actions.push({
+              name: action.name,
+              args: action.args,
+              success: results[i].success
+            });
+          }
+        });
 
-      // Preserve safety decision
-      if (action._safetyDecision) {
-        executionResult._safetyDecision = action._safetyDecision;
-      }
+        if (!refusal && !failed) {
+          // Wait for page to settle
+          await new Promise(resolve => setTimeout(resolve, 3000));
 
-      // Wait for page to settle
-      await new Promise(resolve => setTimeout(resolve, 3000));
+          // Capture post-action state
+          postActionState = await testExecutor.captureState();
+        }
 
-      // Capture post-action state
-      const postActionState = await testExecutor.captureState();
+        // Report every result back to Gemini, including failed and skipped ones
+        await computerUse.reportActionResults(results, testExecutor.page.url());
 
-      // Report result back to Gemini
-      await computerUse.reportActionResult(executionResult, postActionState.metadata.url);
+        if (refusal) {
+          throw new Error(`Refused ${refusal.action.name} flagged by the model: ${refusal.safety.explanation} (${refusal.safety.reason})`);
+        }
+        if (failed) {
+          throw new Error(`Action ${failed.actionName} failed: ${failed.error}`);
+        }
+      }
 
       // Perform validations if specified
       if (step.validation) {
@@ -291,20 +447,21 @@ class ScenarioRunner {
         const screenshot = await testExecutor.takeScreenshot(`validation-${Date.now()}`);
 
         // Ask Gemini to detect errors on the page
-        const errorCheckGoal = "Look at this page and determine if there are any error messages visible. Respond with 'yes' if errors are present, 'no' if not.";
+        const errorCheckGoal = 'Do not take any action. Are any error messages visible on this page? ' +
+          'Answer with exactly "DONE: YES" if errors are present or "DONE: NO" if not.';
 
-        const action = await computerUse.getNextAction(
+        const reply = await computerUse.getNextAction(
           screenshot,
           errorCheckGoal,
           { validationType: 'errorDetection' }
         );
 
-        if (!action) {
+        if (!reply) {
           throw new Error('No response from AI for error detection');
         }
+        await this.skipValidationActions(reply, computerUse, state.metadata.url);
 
-        // Parse Gemini's response - check if response contains affirmative indicators
-        const hasErrors = this.parseValidationResponse(action, ['yes', 'error', 'errors', 'found']);
+        const hasErrors = this.parseValidationResponse(reply);
 
         results.push({
           type: 'hasErrors',
@@ -327,19 +484,21 @@ class ScenarioRunner {
       try {
         const screenshot = await testExecutor.takeScreenshot(`validation-${Date.now()}`);
 
-        const successCheckGoal = "Look at this page and determine if there is a success message visible. Respond with 'yes' if a success message is present, 'no' if not.";
+        const successCheckGoal = 'Do not take any action. Is a success message visible on this page? ' +
+          'Answer with exactly "DONE: YES" if one is present or "DONE: NO" if not.';
 
-        const action = await computerUse.getNextAction(
+        const reply = await computerUse.getNextAction(
           screenshot,
           successCheckGoal,
           { validationType: 'successDetection' }
         );
 
-        if (!action) {
+        if (!reply) {
           throw new Error('No response from AI for success detection');
         }
+        await this.skipValidationActions(reply, computerUse, state.metadata.url);
 
-        const hasSuccess = this.parseValidationResponse(action, ['yes', 'success', 'successful', 'complete']);
+        const hasSuccess = this.parseValidationResponse(reply);
 
         results.push({
           type: 'hasSuccess',
@@ -369,17 +528,38 @@ class ScenarioRunner {
   }
 
   /**
-   * Parse validation response from AI
-   * @param {Object} action - AI response action
-   * @param {Array<string>} indicators - Positive indicator keywords
-   * @returns {boolean} Whether validation passed
+   * Answers the function calls of a validation reply without running them: validations
+   * only look at the page, but the model expects a response to every call it made.
+   * @param {Object} reply - Typed result from getNextAction
+   * @param {ComputerUseAgent} computerUse - Agent that asked the question
+   * @param {string} url - Current page URL
    */
-  parseValidationResponse(action, indicators) {
-    // Check if action has a text response
-    const responseText = JSON.stringify(action).toLowerCase();
+  async skipValidationActions(reply, computerUse, url) {
+    if (reply.type !== 'action') {
+      return;
+    }
+    const results = reply.actions.map(action => ({
+      success: false,
+      actionName: action.name,
+      skipped: true,
+      error: 'Not executed: validations only observe the page'
+    }));
+    await computerUse.reportActionResults(results, url);
+  }
 
-    // Look for positive indicators
-    return indicators.some(indicator => responseText.includes(indicator));
+  /**
+   * Reads the explicit YES/NO answer to a validation question. Keywords anywhere in the
+   * reply aren't enough: "DONE: No errors found" mentions errors but answers no.
+   * @param {Object} reply - Typed result from getNextAction
+   * @returns {boolean} True for YES, false for NO
+   * @throws {Error} If the reply doesn't start with YES or NO
+   */
+  parseValidationResponse(reply) {
+    const answer = reply.type === 'done' ? reply.summary.match(/^\W*(yes|no)\b/i) : null;
+    if (!answer) {
+      throw new Error(`Expected a YES/NO answer, got: ${reply.text || reply.type}`);
+    }
+    return answer[1].toLowerCase() === 'yes';
   }
 
   /**
@@ -425,6 +605,7 @@ class ScenarioRunner {
           ...stepResult,
           viewport: viewport.name
         });
+        results.safetyDecisions.push(...stepResult.safetyDecisions);
 
         if (!stepResult.success) {
           results.status = 'failed';
@@ -479,31 +660,43 @@ class ScenarioRunner {
 ${'='.repeat(60)}
 `);
 
-    if (!process.env.GEMINI_API_KEY) {
+    if (!process.env.GEMINI_API_KEY && !this.options.replayCassettes) {
       throw new Error('GEMINI_API_KEY environment variable is required');
     }
 
     await this.loadScenarios();
 
-    const results = [];
-
+    let scenarioNames;
     if (this.options.all) {
       // Run all enabled scenarios
-      for (const scenario of this.scenarios.scenarios) {
-        if (scenario.enabled) {
-          const result = await this.runScenario(scenario.name);
-          results.push(result);
-        }
-      }
+      scenarioNames = this.scenarios.scenarios.filter(s => s.enabled).map(s => s.name);
     } else if (this.options.scenario) {
       // Run specific scenario
-      const result = await this.runScenario(this.options.scenario);
-      results.push(result);
+      scenarioNames = [this.options.scenario];
     } else {
       this.logger.error('No scenario specified. Use --scenario <name> or --all');
       return;
     }
 
+    // Scenarios with a `browsers` matrix run once per engine
+    const tasks = [];
+    for (const name of scenarioNames) {
+      const scenario = this.scenarios.scenarios.find(s => s.name === name);
+      const engines = scenario && scenario.enabled && scenario.browsers && scenario.browsers.length > 0
+        ? scenario.browsers
+        : [null];
+      tasks.push(...engines.map(engine => ({ name, engine })));
+    }
+
+    // Each worker runs its own browser and Computer Use conversation; results merge below
+    const concurrency = this.options.concurrency || 1;
+    await this.setupRunDirectory();
+    if (concurrency > 1 || tasks.some(task => task.engine)) {
+      this.logger.info(`Running ${tasks.length} scenario runs with concurrency ${concurrency}`);
+    }
+    const runs = await runPool(tasks, concurrency, (task, index) => this.runScenario(task.name, { index }, task.engine));
+    const results = this.mergeBrowserRuns(tasks, runs);
+
     // Summary
     console.log(`\n${'='.repeat(60)}`);
     console.log('📊 Test Summary');
@@ -517,11 +710,21 @@ ${'='.repeat(60)}
     console.log(`❌ Failed: ${failed}`);
     console.log(`⏭️  Skipped: ${skipped}`);
 
+    for (const result of results.filter(r => r.browsers)) {
+      console.log(`\n🌐 ${result.scenario}: ${Object.entries(result.matrix.summary).map(([engine, status]) => `${engine} ${status}`).join(' | ')}`);
+      for (const failure of result.matrix.failures) {
+        console.log(`   ${failure.browser} failed at ${failure.step} (${failure.scope}): ${failure.error || 'unknown error'}`);
+      }
+    }
+
     // Save detailed results
     if (this.outputDir) {
       const resultsPath = path.join(this.outputDir, 'results.json');
       await fs.writeFile(resultsPath, JSON.stringify(results, null, 2));
       console.log(`📁 Results saved: ${resultsPath}`);
+
+      // Draw the executed paths (Mermaid + DOT) next to the results
+      await new FlowExporter(this.logger).exportResults(this.outputDir, results);
     }
   }
 }
@@ -533,9 +736,27 @@ if (require.main === module) {
     all: args.includes('--all'),
     scenario: args.find((arg, i) => args[i - 1] === '--scenario'),
     debug: args.includes('--debug'),
-    autoFix: args.includes('--auto-fix')
+    autoFix: args.includes('--auto-fix'),
+    resume: args.find((arg, i) => args[i - 1] === '--resume'),
+    concurrency: Number(args.find((arg, i) => args[i - 1] === '--concurrency')) || 1,
+    profile: args.find((arg, i) => args[i - 1] === '--profile'),
+    safetyPolicy: args.find((arg, i) => args[i - 1] === '--safety-policy'),
+    recordCassettes: args.find((arg, i) => args[i - 1] === '--record-cassettes'),
+    replayCassettes: args.find((arg, i) => args[i - 1] === '--replay-cassettes')
   };
 
+  if (options.recordCassettes && options.replayCassettes) {
+    console.error('Use either --record-cassettes or --replay-cassettes, not both');
+    process.exit(1);
+  }
+
+  try {
+    options.browserOptions = parseBrowserOptions(args);
+  } catch (error) {
+    console.error(error.message);
+    process.exit(1);
+  }
+
   if (!options.all && !options.scenario) {
     console.log(`
 Usage: node src/scenario-runner.js [options]
@@ -545,6 +766,20 @@ Options:
   --scenario <name>    Run specific scenario
   --debug              Enable debug logging
   --auto-fix           Automatically apply fixes
+  --resume <runDir>    Resume a scenario run (tmp/test-run-<timestamp>) after the last
+                       completed step of each scenario
+  --concurrency <n>    Run up to n scenarios in parallel (separate browsers, CDP ports 9222+)
+  --profile <name>     Start signed in with a saved session profile (see
+                       node src/utils/session-profiles.js list)
+  --safety-policy <file>
+                       Confirmation policy for actions the model flags as risky
+                       (default src/scenarios/safety-policy.json)
+  --record-cassettes <dir>
+                       Record Computer Use responses to <dir>/<run>.json
+  --replay-cassettes <dir>
+                       Replay recorded responses without Computer Use API calls;
+                       fails on any request that differs from the recording
+${BROWSER_HELP}
 
 Available scenarios:
   - form-validation
@@ -559,6 +794,10 @@ Examples:
   node src/scenario-runner.js --scenario form-validation
   node src/scenario-runner.js --all --debug
   node src/scenario-runner.js --scenario checkout-flow --auto-fix
+  node src/scenario-runner.js --scenario checkout-flow --resume tmp/test-run-2025-10-30-140523
+  node src/scenario-runner.js --all --concurrency 3
+  node src/scenario-runner.js --scenario checkout-flow --profile github-admin
+  node src/scenario-runner.js --all --headless --browser webkit --device-scale-factor 2
     `);
     process.exit(0);
   }
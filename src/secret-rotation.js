@@ -10,6 +10,7 @@ const { promisify } = require('util');
 const TestExecutorAgent = require('./agents/test-executor');
 const ComputerUseAgent = require('./agents/computer-use');
 const SecretCaptureAgent = require('./agents/secret-capture');
+const SafetyPolicy = require('./utils/safety-policy');
 const Logger = require('./utils/logger');
 
 const execAsync = promisify(exec);
@@ -39,6 +40,7 @@ class SecretRotationOrchestrator {
 
     this.logger = new Logger(this.options.debug);
     this.config = null;
+    this.safetyPolicy = null;
     this.outputDir = null;
     this.rotatedSecrets = new Map();
     this.oldSecrets = new Map();
@@ -49,6 +51,7 @@ class SecretRotationOrchestrator {
     const configPath = path.join(__dirname, 'scenarios/secret-rotation-flows.json');
     const configData = await fs.readFile(configPath, 'utf8');
     this.config = JSON.parse(configData);
+    this.safetyPolicy = await SafetyPolicy.load(this.logger);
     this.logger.success('Secret rotation configuration loaded');
   }
 
@@ -185,11 +188,18 @@ class SecretRotationOrchestrator {
           const screenshot = await testExecutor.takeScreenshot(`${serviceName}-${step}`);
 
           const result = await computerUse.executeTask({
-            instruction: task.description,
+            executor: testExecutor,
+            instruction: task.description + (task.expect ? `\nExpected outcome: ${task.expect}` : ''),
             screenshot: screenshot,
-            timeout: task.timeout || this.config.defaultTimeout
+            timeout: task.timeout || this.config.defaultTimeout,
+            context: { service: serviceName, step },
+            safetyPolicy: this.safetyPolicy
           });
 
+          if (!result.completed) {
+            throw new Error(`${step} ${result.status} after ${result.steps} actions: ${result.error}`);
+          }
+
           // Capture secret if this is a capture step
           if (task.outputVar) {
             const capturedSecret = await secretCapture.captureFromUI(
@@ -0,0 +1,223 @@
+const fs = require('fs').promises;
+const fsSync = require('fs');
+const os = require('os');
+const path = require('path');
+
+/**
+ * AccountPool - Leases test accounts so parallel runs never share one.
+ *
+ * A provider lists several accounts under `testAccounts` (or a single `testAccount`).
+ * A lease is an exclusive lock file `<provider>-<accountId>.lock` in the lease
+ * directory, created with O_EXCL so two processes can't both win it. Each leased
+ * account also gets its own browser session directory.
+ *
+ * Leases are released when the run finishes, on process exit and on SIGINT/SIGTERM.
+ * If a process dies without any of those (SIGKILL, power loss), its lock records a
+ * pid that no longer exists and the next lease attempt reclaims it.
+ */
+class AccountPool {
+  /**
+   * @param {Object} logger - Logger instance
+   * @param {Object} [options]
+   * @param {string} [options.leaseDir] - Lock file directory (default tmp/account-leases)
+   * @param {string} [options.sessionRoot] - Parent of per-account session dirs (default tmp/browser-sessions)
+   * @param {number} [options.timeout=300000] - How long to wait for a free account
+   * @param {number} [options.pollInterval=2000] - Delay between attempts while all accounts are leased
+   */
+  constructor(logger, options = {}) {
+    const tmpDir = path.join(__dirname, '..', '..', 'tmp');
+    this.logger = logger;
+    this.leaseDir = options.leaseDir || path.join(tmpDir, 'account-leases');
+    this.sessionRoot = options.sessionRoot || path.join(tmpDir, 'browser-sessions');
+    this.timeout = options.timeout || 300000;
+    this.pollInterval = options.pollInterval || 2000;
+    this.active = new Set();
+    this.exitHandlersInstalled = false;
+  }
+
+  /**
+   * Lists a provider's accounts with stable IDs.
+   * @param {Object} providerConfig - Provider entry from config.providers
+   * @returns {Array<{id: string, account: Object}>} `account` is the testAccount entry without `id`
+   */
+  static accountsFor(providerConfig) {
+    const entries = providerConfig.testAccounts || (providerConfig.testAccount ? [providerConfig.testAccount] : [{}]);
+    const accounts = entries.map((entry, i) => {
+      const { id, ...account } = entry;
+      return { id: String(id || i + 1), account };
+    });
+
+    // Skip pool entries whose environment variables aren't set on this machine; if none
+    // are complete, keep them all so the usual missing-credential warnings show up
+    const configured = accounts.filter(({ account }) => AccountPool.isConfigured(account));
+    return configured.length > 0 ? configured : accounts;
+  }
+
+  /**
+   * @param {Object} account - testAccount entry
+   * @returns {boolean} True if every `process.env.*` reference (except totpSecret) is set
+   */
+  static isConfigured(account) {
+    return Object.entries(account).every(([name, reference]) =>
+      name === 'totpSecret' ||
+      typeof reference !== 'string' ||
+      !reference.startsWith('process.env.') ||
+      !!process.env[reference.replace('process.env.', '')]);
+  }
+
+  /**
+   * Leases the first free account of a provider, waiting until one is released.
+   * @param {string} providerName - Provider name
+   * @param {Array<{id: string, account: Object}>} accounts - From accountsFor()
+   * @returns {Promise<Object>} Lease { provider, accountId, account, lockPath, sessionDir }
+   * @throws {Error} If no account becomes free within the timeout
+   */
+  async lease(providerName, accounts) {
+    await fs.mkdir(this.leaseDir, { recursive: true });
+    this.installExitHandlers();
+
+    const deadline = Date.now() + this.timeout;
+    while (true) {
+      for (const { id, account } of accounts) {
+        const lockPath = path.join(this.leaseDir, `${providerName}-${id}.lock`);
+        if (await this.tryLock(lockPath)) {
+          const sessionDir = path.join(this.sessionRoot, `${providerName}-${id}`);
+          await fs.mkdir(sessionDir, { recursive: true });
+          const lease = { provider: providerName, accountId: id, account, lockPath, sessionDir };
+          this.active.add(lease);
+          this.logger.info(`Leased ${providerName} test account ${id}`);
+          return lease;
+        }
+      }
+
+      if (Date.now() >= deadline) {
+        throw new Error(`No free ${providerName} test account after ${this.timeout}ms (${accounts.length} in pool, see ${this.leaseDir})`);
+      }
+      this.logger.debug(`All ${accounts.length} ${providerName} test accounts are leased, waiting...`);
+      await new Promise(resolve => setTimeout(resolve, this.pollInterval));
+    }
+  }
+
+  /**
+   * Releases a lease. Safe to call more than once.
+   * @param {Object} lease - Lease from lease()
+   */
+  async release(lease) {
+    if (!lease || !this.active.has(lease)) {
+      return;
+    }
+    this.active.delete(lease);
+    await fs.unlink(lease.lockPath).catch(error => {
+      if (error.code !== 'ENOENT') throw error;
+    });
+    this.logger.debug(`Released ${lease.provider} test account ${lease.accountId}`);
+  }
+
+  async tryLock(lockPath) {
+    const owner = JSON.stringify({ pid: process.pid, host: os.hostname(), leasedAt: new Date().toISOString() });
+    try {
+      await fs.writeFile(lockPath, owner, { flag: 'wx' });
+      return true;
+    } catch (error) {
+      if (error.code !== 'EEXIST') {
+        throw error;
+      }
+    }
+
+    const stale = await this.staleContents(lockPath);
+    if (stale === null) {
+      return false;
+    }
+
+    // Move the stale lock aside atomically: of several processes reclaiming it, only one
+    // rename succeeds. Unlinking and recreating would let two of them both take it.
+    const aside = `${lockPath}.stale-${process.pid}-${Date.now()}`;
+    try {
+      await fs.rename(lockPath, aside);
+    } catch (error) {
+      if (error.code === 'ENOENT') return false; // Reclaimed or released by someone else
+      throw error;
+    }
+
+    // Between our check and the rename another process may have reclaimed it and written
+    // a fresh lock; put that one back (link never overwrites) and keep waiting
+    const moved = await fs.readFile(aside, 'utf8').catch(() => null);
+    if (moved !== stale) {
+      await fs.link(aside, lockPath).catch(() => {});
+      await fs.unlink(aside).catch(() => {});
+      return false;
+    }
+    await fs.unlink(aside).catch(() => {});
+
+    this.logger.warn(`Reclaimed stale account lease ${path.basename(lockPath)}`);
+    try {
+      await fs.writeFile(lockPath, owner, { flag: 'wx' });
+      return true;
+    } catch (error) {
+      if (error.code !== 'EEXIST') throw error;
+      return false;
+    }
+  }
+
+  /**
+   * A lock is stale when it was taken on this host by a process that no longer runs.
+   * Locks from other hosts (shared volumes) are never reclaimed automatically.
+   * @returns {Promise<string|null>} The stale lock's contents, null if it isn't stale
+   */
+  async staleContents(lockPath) {
+    let contents;
+    try {
+      contents = await fs.readFile(lockPath, 'utf8');
+    } catch (error) {
+      if (error.code === 'ENOENT') {
+        return null; // Released meanwhile
+      }
+      throw error;
+    }
+
+    let owner;
+    try {
+      owner = JSON.parse(contents);
+    } catch {
+      // Unreadable: half-written by a crashed process, or being written right now
+      const stats = await fs.stat(lockPath).catch(() => null);
+      return stats && Date.now() - stats.mtimeMs > 10000 ? contents : null;
+    }
+    if (owner.host !== os.hostname() || !owner.pid) {
+      return null;
+    }
+    try {
+      process.kill(owner.pid, 0);
+      return null;
+    } catch (error) {
+      return error.code === 'ESRCH' ? contents : null;
+    }
+  }
+
+  releaseAllSync() {
+    for (const lease of this.active) {
+      try {
+        fsSync.unlinkSync(lease.lockPath);
+      } catch {
+        // Already gone
+      }
+    }
+    this.active.clear();
+  }
+
+  installExitHandlers() {
+    if (this.exitHandlersInstalled) {
+      return;
+    }
+    this.exitHandlersInstalled = true;
+    process.on('exit', () => this.releaseAllSync());
+    for (const [signal, code] of [['SIGINT', 130], ['SIGTERM', 143]]) {
+      process.once(signal, () => {
+        this.releaseAllSync();
+        process.exit(code);
+      });
+    }
+  }
+}
+
+module.exports = AccountPool;
@@ -0,0 +1,88 @@
+/**
+ * Cross-browser comparison for scenarios with a `browsers` matrix.
+ *
+ * Each engine runs the whole scenario; a failure is then classified against the other
+ * engines at the same step:
+ *   - universal        every engine failed at this step (the app, not the browser)
+ *   - engine-specific  at least one other engine passed this step
+ *   - inconclusive     the other engines failed earlier and never reached it
+ * Failures outside a step (launch errors, timeouts before the first step) use the
+ * pseudo-step "setup".
+ */
+
+/**
+ * @param {Object} result - ScenarioRunner result for one engine
+ * @returns {string|null} Step the engine failed at, or null if it passed
+ */
+function failedStepOf(result) {
+  if (result.status !== 'failed') {
+    return null;
+  }
+  if (result.failedStep) {
+    return result.failedStep;
+  }
+  const failedStep = (result.steps || []).find(step => !step.success);
+  return failedStep ? failedStep.state : 'setup';
+}
+
+function passedStep(result, state) {
+  return (result.steps || []).some(step => step.state === state && step.success);
+}
+
+/**
+ * Compares per-engine results of one scenario.
+ * @param {Object<string, Object>} byEngine - Results keyed by engine (chromium, firefox, webkit)
+ * @returns {{status: string, failures: Array<Object>, summary: Object}} `status` is passed only
+ *   when every engine passed; each failure has browser, step, error, scope and sharedWith
+ */
+function compareEngineResults(byEngine) {
+  const engines = Object.keys(byEngine);
+  const failures = [];
+
+  for (const engine of engines) {
+    const step = failedStepOf(byEngine[engine]);
+    if (!step) {
+      continue;
+    }
+
+    const others = engines.filter(other => other !== engine);
+    const sharedWith = others.filter(other => failedStepOf(byEngine[other]) === step);
+    const passedElsewhere = others.filter(other => passedStep(byEngine[other], step));
+
+    let scope;
+    if (passedElsewhere.length > 0) {
+      scope = 'engine-specific';
+    } else if (sharedWith.length === others.length) {
+      scope = 'universal';
+    } else {
+      scope = 'inconclusive';
+    }
+
+    failures.push({
+      browser: engine,
+      step,
+      error: byEngine[engine].error || stepError(byEngine[engine], step),
+      scope,
+      sharedWith,
+      passedIn: passedElsewhere
+    });
+  }
+
+  const summary = {};
+  for (const engine of engines) {
+    summary[engine] = byEngine[engine].status;
+  }
+
+  return {
+    status: failures.length === 0 ? 'passed' : 'failed',
+    failures,
+    summary
+  };
+}
+
+function stepError(result, state) {
+  const step = (result.steps || []).find(s => s.state === state && !s.success);
+  return step ? step.error : undefined;
+}
+
+module.exports = { compareEngineResults };
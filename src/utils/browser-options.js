@@ -0,0 +1,66 @@
+/**
+ * Browser launch options shared by the orchestrator and scenario runner CLIs
+ * (`--headless`, `--browser`, `--viewport`, `--device-scale-factor`, `--slow-mo`).
+ * The result is passed straight to TestExecutorAgent.initialize().
+ */
+
+const ENGINES = ['chromium', 'firefox', 'webkit'];
+
+const DEFAULT_VIEWPORT = { width: 1920, height: 1080 };
+
+const HELP = `  --headless           Run the browser without a window (CI)
+  --browser <engine>   chromium (default), firefox or webkit
+  --viewport <WxH>     Viewport size in CSS pixels (default 1920x1080)
+  --device-scale-factor <n>
+                       Device pixel ratio, e.g. 2 for retina screenshots
+  --slow-mo <ms>       Delay every browser operation (watching headed runs)`;
+
+/**
+ * @param {string} value - e.g. "1280x720"
+ * @returns {{width: number, height: number}}
+ */
+function parseViewport(value) {
+  const match = /^(\d+)x(\d+)$/i.exec(String(value).trim());
+  if (!match || Number(match[1]) === 0 || Number(match[2]) === 0) {
+    throw new Error(`Invalid viewport "${value}", expected WIDTHxHEIGHT (e.g. 1280x720)`);
+  }
+  return { width: Number(match[1]), height: Number(match[2]) };
+}
+
+/**
+ * Reads the browser flags from CLI arguments; `HEADLESS=1` in the environment also enables
+ * headless mode.
+ * @param {Array<string>} args - process.argv.slice(2)
+ * @returns {Object} { headless, browser, viewport, deviceScaleFactor, slowMo }
+ * @throws {Error} On an unknown engine or malformed numbers
+ */
+function parseBrowserOptions(args) {
+  const value = flag => args.find((arg, i) => args[i - 1] === flag);
+  const number = flag => {
+    const raw = value(flag);
+    if (raw === undefined) {
+      return undefined;
+    }
+    const parsed = Number(raw);
+    if (!Number.isFinite(parsed) || parsed < 0) {
+      throw new Error(`${flag} expects a non-negative number, got "${raw}"`);
+    }
+    return parsed;
+  };
+
+  const browser = value('--browser') || 'chromium';
+  if (!ENGINES.includes(browser)) {
+    throw new Error(`Unknown browser "${browser}" (${ENGINES.join(', ')})`);
+  }
+
+  const viewport = value('--viewport');
+  return {
+    headless: args.includes('--headless') || ['1', 'true'].includes(process.env.HEADLESS),
+    browser,
+    viewport: viewport ? parseViewport(viewport) : undefined,
+    deviceScaleFactor: number('--device-scale-factor') || undefined,
+    slowMo: number('--slow-mo')
+  };
+}
+
+module.exports = { ENGINES, DEFAULT_VIEWPORT, HELP, parseViewport, parseBrowserOptions };
@@ -0,0 +1,182 @@
+const fs = require('fs').promises;
+const fsSync = require('fs');
+const path = require('path');
+const { dHash, hammingDistance } = require('./perceptual-hash');
+
+/**
+ * Error raised when a replayed request doesn't match the recorded one.
+ */
+class CassetteMismatchError extends Error {
+  constructor(message, details) {
+    super(message);
+    this.name = 'CassetteMismatchError';
+    this.details = details; // { index, field, expected, actual }
+  }
+}
+
+/**
+ * Drops query and fragment values, which change on every run (OAuth state, code, nonce),
+ * and keeps their names: https://host/path?code=&state=
+ */
+function stableUrl(url) {
+  try {
+    const parsed = new URL(url);
+    const keys = [...new Set(parsed.searchParams.keys())].sort();
+    return `${parsed.origin}${parsed.pathname}${keys.length > 0 ? `?${keys.map(key => `${key}=`).join('&')}` : ''}`;
+  } catch {
+    return url;
+  }
+}
+
+/**
+ * Cassette - Records Computer Use requests and responses for offline replay.
+ *
+ * A request is identified by its goal, context and a perceptual hash of the screenshot
+ * (screenshots themselves aren't stored); `context.url` is compared without query values.
+ * Replay serves the recorded responses in order and throws CassetteMismatchError as soon
+ * as a request differs: another goal or context, a screenshot more than `threshold` bits
+ * away from the recorded hash, or more requests than were recorded. A run that behaves
+ * differently from the recording fails instead of silently receiving the wrong actions,
+ * and so does one that ends early (assertConsumed).
+ */
+class Cassette {
+  /**
+   * @param {string} filePath - Cassette JSON file
+   * @param {string} mode - 'record' or 'replay'
+   * @param {Object} logger - Logger instance
+   * @param {Object} [options]
+   * @param {number} [options.threshold=10] - Max differing hash bits (of 64) in replay
+   */
+  constructor(filePath, mode, logger, options = {}) {
+    if (!['record', 'replay'].includes(mode)) {
+      throw new Error(`Invalid cassette mode "${mode}" (record or replay)`);
+    }
+    this.filePath = filePath;
+    this.mode = mode;
+    this.logger = logger;
+    this.threshold = options.threshold !== undefined ? options.threshold : 10;
+    this.position = 0;
+
+    if (mode === 'replay') {
+      if (!fsSync.existsSync(filePath)) {
+        throw new Error(`Cassette not found: ${filePath} (record it first with --record-cassettes)`);
+      }
+      this.data = JSON.parse(fsSync.readFileSync(filePath, 'utf8'));
+      this.logger.info(`Replaying ${this.data.interactions.length} Computer Use responses from ${filePath}`);
+    } else {
+      this.data = { version: 1, recordedAt: new Date().toISOString(), interactions: [] };
+    }
+  }
+
+  /**
+   * Cassette for one provider or scenario run from the `--record-cassettes` /
+   * `--replay-cassettes` directories.
+   * @param {string} name - Run name (provider, provider-case, scenario or scenario-engine)
+   * @param {Object} dirs - { record, replay } directories; at most one is set
+   * @param {Object} logger - Logger instance
+   * @returns {Cassette|null} Null when neither mode is enabled
+   */
+  static forRun(name, dirs, logger) {
+    if (dirs.replay) {
+      return new Cassette(path.join(path.resolve(dirs.replay), `${name}.json`), 'replay', logger);
+    }
+    if (dirs.record) {
+      return new Cassette(path.join(path.resolve(dirs.record), `${name}.json`), 'record', logger);
+    }
+    return null;
+  }
+
+  get isReplay() {
+    return this.mode === 'replay';
+  }
+
+  /**
+   * @param {string} goal - Goal sent to the model
+   * @param {Object} context - Context sent to the model
+   * @param {string} screenshot - Base64 PNG
+   * @returns {Object} Request fingerprint { goal, context, screenshotHash }
+   */
+  fingerprint(goal, context, screenshot) {
+    const normalized = JSON.parse(JSON.stringify(context || {}));
+    if (typeof normalized.url === 'string') {
+      normalized.url = stableUrl(normalized.url);
+    }
+    return {
+      goal,
+      context: normalized,
+      screenshotHash: dHash(screenshot)
+    };
+  }
+
+  /**
+   * Returns the recorded response for the next request.
+   * @param {Object} request - From fingerprint()
+   * @returns {Object} Recorded API response ({ candidates })
+   * @throws {CassetteMismatchError} If the request differs from the recording
+   */
+  replay(request) {
+    const index = this.position;
+    const interaction = this.data.interactions[index];
+    const fail = (field, expected, actual) => {
+      throw new CassetteMismatchError(
+        `Cassette mismatch at request ${index + 1} (${path.basename(this.filePath)}): ${field} differs\n` +
+        `  recorded: ${JSON.stringify(expected)}\n  actual:   ${JSON.stringify(actual)}`,
+        { index, field, expected, actual }
+      );
+    };
+
+    if (!interaction) {
+      fail('request count', `${this.data.interactions.length} requests`, `request ${index + 1} (goal: ${request.goal})`);
+    }
+    if (interaction.request.goal !== request.goal) {
+      fail('goal', interaction.request.goal, request.goal);
+    }
+    if (JSON.stringify(interaction.request.context) !== JSON.stringify(request.context)) {
+      fail('context', interaction.request.context, request.context);
+    }
+    const distance = hammingDistance(interaction.request.screenshotHash, request.screenshotHash);
+    if (distance > this.threshold) {
+      fail(`screenshot (${distance} of 64 bits, threshold ${this.threshold})`, interaction.request.screenshotHash, request.screenshotHash);
+    }
+
+    this.position++;
+    this.logger.debug(`Cassette: replayed request ${index + 1}/${this.data.interactions.length}`);
+    return interaction.response;
+  }
+
+  /**
+   * Appends a request/response pair and writes the cassette.
+   * @param {Object} request - From fingerprint()
+   * @param {Object} response - API response
+   */
+  async record(request, response) {
+    this.data.interactions.push({ request, response: { candidates: response.candidates } });
+    this.position++;
+    await fs.mkdir(path.dirname(this.filePath), { recursive: true });
+    await fs.writeFile(this.filePath, JSON.stringify(this.data, null, 2));
+  }
+
+  /**
+   * @returns {number} Recorded requests not replayed yet (replay mode)
+   */
+  remaining() {
+    return this.isReplay ? this.data.interactions.length - this.position : 0;
+  }
+
+  /**
+   * Fails a replayed run that finished before using every recorded response: it took a
+   * shorter path than the recording, so it didn't reproduce the recorded run.
+   * @throws {CassetteMismatchError} If recorded responses are left
+   */
+  assertConsumed() {
+    const left = this.remaining();
+    if (left > 0) {
+      throw new CassetteMismatchError(
+        `Cassette mismatch (${path.basename(this.filePath)}): ${left} recorded responses were not replayed, the run took a shorter path than the recording`,
+        { index: this.position, field: 'request count', expected: `${this.data.interactions.length} requests`, actual: `${this.position} requests` }
+      );
+    }
+  }
+}
+
+module.exports = { Cassette, CassetteMismatchError };
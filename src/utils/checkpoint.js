@@ -0,0 +1,62 @@
+const fs = require('fs').promises;
+const path = require('path');
+
+/**
+ * CheckpointStore - Persists resumable progress for a run directory.
+ * One checkpoint file per provider or scenario, written after each completed state,
+ * containing the Playwright storageState, the current URL and runner-specific progress.
+ * Checkpoints contain live session cookies and must stay inside tmp/.
+ */
+class CheckpointStore {
+  /**
+   * @param {string} runDir - Output directory of the run
+   * @param {Object} logger - Logger instance
+   */
+  constructor(runDir, logger) {
+    this.runDir = runDir;
+    this.logger = logger;
+  }
+
+  pathFor(name) {
+    return path.join(this.runDir, `checkpoint-${name}.json`);
+  }
+
+  /**
+   * Saves a checkpoint for the given provider or scenario.
+   * @param {string} name - Provider or scenario name
+   * @param {Object} testExecutor - Initialized TestExecutorAgent
+   * @param {Object} progress - Runner-specific progress (state machine snapshot, step index, ...)
+   */
+  async save(name, testExecutor, progress) {
+    const checkpoint = {
+      name,
+      url: testExecutor.page.url(),
+      screenshotCount: testExecutor.screenshotCount,
+      storageState: await testExecutor.context.storageState(),
+      savedAt: new Date().toISOString(),
+      ...progress
+    };
+
+    await fs.writeFile(this.pathFor(name), JSON.stringify(checkpoint, null, 2));
+    this.logger.debug(`Checkpoint saved: ${this.pathFor(name)}`);
+  }
+
+  /**
+   * Loads the checkpoint for the given provider or scenario.
+   * @param {string} name - Provider or scenario name
+   * @returns {Promise<Object|null>} Checkpoint, or null if none was saved
+   */
+  async load(name) {
+    try {
+      const data = await fs.readFile(this.pathFor(name), 'utf8');
+      return JSON.parse(data);
+    } catch (error) {
+      if (error.code === 'ENOENT') {
+        return null;
+      }
+      throw error;
+    }
+  }
+}
+
+module.exports = CheckpointStore;
@@ -0,0 +1,140 @@
+const { generateTOTP } = require('./totp');
+const { redactDeep } = require('./redact');
+
+/**
+ * CredentialVault - Keeps test account secrets out of the model's reach.
+ *
+ * The model is told to type placeholders such as `{{username}}` and `{{password}}`;
+ * TestExecutorAgent substitutes the real values only at the moment of typing, so
+ * conversation history, logs and results only ever contain the placeholders.
+ *
+ * A `totpSecret` in the test account is never exposed as a placeholder itself; it
+ * backs a `{{totp}}` placeholder that yields the current RFC 6238 code.
+ */
+class CredentialVault {
+  /**
+   * @param {Object<string, string|function(): string>} secrets - Placeholder name → plaintext
+   *   value, or a function producing the value at type time
+   * @param {Array<string>} [redactOnly=[]] - Extra values to redact that have no placeholder
+   */
+  constructor(secrets = {}, redactOnly = []) {
+    // Non-enumerable so the vault never serializes its values (JSON.stringify, logger data)
+    Object.defineProperty(this, 'secrets', { value: { ...secrets }, enumerable: false });
+    Object.defineProperty(this, 'redactOnly', { value: [...redactOnly], enumerable: false });
+  }
+
+  /**
+   * Builds a vault from a `testAccount` config entry, resolving `process.env.*` references.
+   * Entries whose environment variable is unset are left out.
+   * @param {Object} testAccount - e.g. { username: 'process.env.TEST_GITHUB_USER', ... }
+   * @param {Object} [logger] - Logger for warnings about missing variables
+   * @returns {CredentialVault}
+   */
+  static fromTestAccount(testAccount = {}, logger = null) {
+    const values = {};
+    for (const [name, reference] of Object.entries(testAccount)) {
+      if (typeof reference === 'string' && reference.startsWith('process.env.')) {
+        const envKey = reference.replace('process.env.', '');
+        if (process.env[envKey]) {
+          values[name] = process.env[envKey];
+        } else if (logger && name === 'totpSecret') {
+          logger.debug(`No TOTP secret configured: ${envKey} is not set`);
+        } else if (logger) {
+          logger.warn(`Credential {{${name}}} not configured: ${envKey} is not set`);
+        }
+      } else if (typeof reference === 'string') {
+        values[name] = reference;
+      }
+    }
+
+    const { totpSecret, ...secrets } = values;
+    if (totpSecret) {
+      secrets.totp = () => generateTOTP(totpSecret);
+    }
+    return new CredentialVault(secrets, totpSecret ? [totpSecret] : []);
+  }
+
+  /**
+   * @param {string} name - Placeholder name without braces
+   * @returns {boolean} True if the vault can fill the placeholder
+   */
+  has(name) {
+    return name in this.secrets;
+  }
+
+  /**
+   * Returns a copy of the vault with some values replaced (e.g. a wrong password for
+   * negative tests). Replaced values stay redacted.
+   * @param {Object<string, string>} overrides - Placeholder name → plaintext value
+   * @returns {CredentialVault}
+   */
+  with(overrides) {
+    const replaced = Object.keys(overrides)
+      .map(name => this.secrets[name])
+      .filter(value => typeof value === 'string' && value);
+    return new CredentialVault({ ...this.secrets, ...overrides }, [...this.redactOnly, ...replaced]);
+  }
+
+  /**
+   * @returns {Array<string>} Available placeholders, e.g. ['{{username}}', '{{password}}']
+   */
+  placeholders() {
+    return Object.keys(this.secrets).map(name => `{{${name}}}`);
+  }
+
+  /**
+   * @param {string} text - Text the model asked to type
+   * @returns {boolean} True if the text references at least one placeholder
+   */
+  hasPlaceholders(text) {
+    return typeof text === 'string' && /\{\{\w+\}\}/.test(text);
+  }
+
+  /**
+   * Replaces placeholders with their plaintext values. Only call this right before typing.
+   * @param {string} text - Text containing placeholders
+   * @returns {string} Text with real values
+   * @throws {Error} If a placeholder has no configured value
+   */
+  substitute(text) {
+    return text.replace(/\{\{(\w+)\}\}/g, (match, name) => {
+      if (!(name in this.secrets)) {
+        throw new Error(`Credential ${match} is not configured`);
+      }
+      const value = this.secrets[name];
+      return typeof value === 'function' ? value() : value;
+    });
+  }
+
+  /**
+   * Replaces any plaintext secret found in the text with its placeholder.
+   * @param {string} text - Arbitrary text (log message, URL, model output)
+   * @returns {string} Redacted text
+   */
+  redact(text) {
+    if (typeof text !== 'string') {
+      return text;
+    }
+    let redacted = text;
+    for (const [name, value] of Object.entries(this.secrets)) {
+      if (typeof value === 'string' && value) {
+        redacted = redacted.split(value).join(`{{${name}}}`);
+      }
+    }
+    for (const value of this.redactOnly) {
+      redacted = redacted.split(value).join('[redacted]');
+    }
+    return redacted;
+  }
+
+  /**
+   * Redacts every string inside a report or result object.
+   * @param {*} value - Object, array or string
+   * @returns {*} Redacted copy with the same structure
+   */
+  redactAll(value) {
+    return redactDeep(value, text => this.redact(text));
+  }
+}
+
+module.exports = CredentialVault;
@@ -0,0 +1,180 @@
+const StateMachine = require('./state-machine');
+
+/**
+ * Renders flow graphs and executed paths as Mermaid flowcharts and Graphviz DOT.
+ *
+ * Executed paths are the `history` entries of a StateMachine (or the `flow` array
+ * of an orchestrator result / `steps` of a scenario result): visited states are
+ * highlighted green, failed states red, and the transitions actually taken are drawn bold.
+ */
+
+/**
+ * Normalizes a provider flow, a scenario step list or a state list into a graph.
+ * @param {Array|Object} flow - Provider flow (array or graph) or scenario `flow` steps
+ * @returns {{initial: string, states: Object}} Flow graph
+ */
+function toGraph(flow) {
+  if (Array.isArray(flow)) {
+    return StateMachine.normalize(flow.map(step => (typeof step === 'string' ? step : step.state)));
+  }
+  return StateMachine.normalize(flow);
+}
+
+/**
+ * Summarizes the executed path into visited/failed states and taken edges.
+ * @param {Array<{state: string, success: boolean}>} [history] - Executed path
+ */
+function summarizePath(history = []) {
+  const passed = new Set();
+  const failed = new Set();
+  const edges = new Set();
+
+  history.forEach((entry, i) => {
+    if (entry.success) {
+      passed.add(entry.state);
+    } else {
+      failed.add(entry.state);
+    }
+    const next = history[i + 1];
+    if (next) {
+      edges.add(`${entry.state}->${next.state}`);
+    }
+  });
+
+  // A state that failed and later passed (retried after a fix) counts as passed
+  for (const state of passed) {
+    failed.delete(state);
+  }
+
+  return { passed, failed, edges };
+}
+
+/**
+ * Lists graph edges plus executed edges the graph does not declare (e.g. after a fix restart).
+ */
+function collectEdges(graph, path) {
+  const edges = [];
+  for (const [from, node] of Object.entries(graph.states)) {
+    for (const transition of node.transitions || []) {
+      edges.push({ from, to: transition.to, label: describeGuard(transition.when) });
+    }
+  }
+  for (const key of path.edges) {
+    const [from, to] = key.split('->');
+    if (!edges.some(e => e.from === from && e.to === to) && graph.states[from] && graph.states[to]) {
+      edges.push({ from, to, label: '' });
+    }
+  }
+  return edges;
+}
+
+/**
+ * Turns a `when` predicate into a short edge label.
+ */
+function describeGuard(when) {
+  if (!when) {
+    return '';
+  }
+  return Object.entries(when)
+    .map(([key, value]) => {
+      if (Array.isArray(value)) return `${key}: ${value.map(v => (typeof v === 'object' ? JSON.stringify(v) : v)).join(' | ')}`;
+      if (value && typeof value === 'object') return `${key}: ${JSON.stringify(value)}`;
+      return `${key}: ${value}`;
+    })
+    .join(', ');
+}
+
+function nodeId(state) {
+  return `s_${state.replace(/\W/g, '_')}`;
+}
+
+/**
+ * Renders a flow as a Mermaid flowchart.
+ * @param {Array|Object} flow - Provider flow or scenario steps
+ * @param {Object} [options]
+ * @param {string} [options.title] - Diagram title
+ * @param {Array} [options.history] - Executed path to highlight
+ * @returns {string} Mermaid source
+ */
+function toMermaid(flow, options = {}) {
+  const graph = toGraph(flow);
+  const path = summarizePath(options.history);
+  const escape = text => text.replace(/"/g, '#quot;');
+  const lines = [];
+
+  if (options.title) {
+    lines.push('---', `title: ${JSON.stringify(options.title)}`, '---');
+  }
+  lines.push('flowchart TD');
+  lines.push('  start(( )) --> ' + nodeId(graph.initial));
+
+  for (const [state, node] of Object.entries(graph.states)) {
+    const shape = node.terminal ? `{{"${escape(state)}"}}` : `["${escape(state)}"]`;
+    lines.push(`  ${nodeId(state)}${shape}`);
+  }
+
+  const executed = [];
+  collectEdges(graph, path).forEach((edge, i) => {
+    const label = edge.label ? `|"${escape(edge.label)}"|` : '';
+    lines.push(`  ${nodeId(edge.from)} -->${label} ${nodeId(edge.to)}`);
+    if (path.edges.has(`${edge.from}->${edge.to}`)) {
+      executed.push(i + 1); // +1 for the start edge
+    }
+  });
+
+  lines.push('  classDef passed fill:#d4edda,stroke:#28a745,color:#155724');
+  lines.push('  classDef failed fill:#f8d7da,stroke:#dc3545,color:#721c24');
+  if (path.passed.size > 0) {
+    lines.push(`  class ${[...path.passed].map(nodeId).join(',')} passed`);
+  }
+  if (path.failed.size > 0) {
+    lines.push(`  class ${[...path.failed].map(nodeId).join(',')} failed`);
+  }
+  if (executed.length > 0) {
+    lines.push(`  linkStyle ${executed.join(',')} stroke-width:3px`);
+  }
+
+  return lines.join('\n') + '\n';
+}
+
+/**
+ * Renders a flow as a Graphviz DOT digraph.
+ * @param {Array|Object} flow - Provider flow or scenario steps
+ * @param {Object} [options]
+ * @param {string} [options.title] - Graph name
+ * @param {Array} [options.history] - Executed path to highlight
+ * @returns {string} DOT source
+ */
+function toDot(flow, options = {}) {
+  const graph = toGraph(flow);
+  const path = summarizePath(options.history);
+  const quote = text => `"${String(text).replace(/\\/g, '\\\\').replace(/"/g, '\\"')}"`;
+  const lines = [];
+
+  lines.push(`digraph ${quote(options.title || 'flow')} {`);
+  lines.push('  rankdir=TB;');
+  lines.push('  node [shape=box, style="rounded,filled", fillcolor=white, fontname="Helvetica"];');
+  lines.push('  edge [fontname="Helvetica", fontsize=10];');
+  lines.push('  __start [shape=point];');
+  lines.push(`  __start -> ${quote(graph.initial)};`);
+
+  for (const [state, node] of Object.entries(graph.states)) {
+    const attrs = [];
+    if (node.terminal) attrs.push('shape=doubleoctagon');
+    if (path.failed.has(state)) attrs.push('fillcolor="#f8d7da"', 'color="#dc3545"');
+    else if (path.passed.has(state)) attrs.push('fillcolor="#d4edda"', 'color="#28a745"');
+    lines.push(`  ${quote(state)}${attrs.length ? ` [${attrs.join(', ')}]` : ''};`);
+  }
+
+  for (const edge of collectEdges(graph, path)) {
+    const attrs = [];
+    if (edge.label) attrs.push(`label=${quote(edge.label)}`);
+    if (path.edges.has(`${edge.from}->${edge.to}`)) attrs.push('penwidth=3');
+    lines.push(`  ${quote(edge.from)} -> ${quote(edge.to)}${attrs.length ? ` [${attrs.join(', ')}]` : ''};`);
+  }
+
+  lines.push('}');
+  return lines.join('\n') + '\n';
+}
+
+module.exports = { toGraph, toMermaid, toDot, describeGuard };
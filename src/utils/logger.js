@@ -1,34 +1,73 @@
+const { redactDeep } = require('./redact');
+
 class Logger {
   constructor(verbose = false) {
     this.verbose = verbose;
     this.logs = [];
+    this.redactors = [];
+  }
+
+  /**
+   * Registers a function applied to every message and data payload before it is
+   * printed or stored (e.g. CredentialVault.redact).
+   * @param {function(string): string} redactor - Returns the redacted text
+   * @returns {function(): void} Removes the redactor again
+   */
+  addRedactor(redactor) {
+    this.redactors.push(redactor);
+    return () => {
+      this.redactors = this.redactors.filter(registered => registered !== redactor);
+    };
+  }
+
+  redact(value) {
+    if (this.redactors.length === 0 || value === null || value === undefined) {
+      return value;
+    }
+    if (typeof value === 'string') {
+      return this.redactors.reduce((text, redactor) => redactor(text), value);
+    }
+    if (typeof value === 'object') {
+      return redactDeep(value, text => this.redact(text));
+    }
+    return value;
   }
 
   info(message, data = null) {
+    message = this.redact(message);
+    data = this.redact(data);
     const log = { level: 'INFO', message, data, timestamp: new Date().toISOString() };
     this.logs.push(log);
     console.log(`ℹ️  ${message}`, data || '');
   }
 
   success(message, data = null) {
+    message = this.redact(message);
+    data = this.redact(data);
     const log = { level: 'SUCCESS', message, data, timestamp: new Date().toISOString() };
     this.logs.push(log);
     console.log(`✅ ${message}`, data || '');
   }
 
   error(message, data = null) {
+    message = this.redact(message);
+    data = this.redact(data);
     const log = { level: 'ERROR', message, data, timestamp: new Date().toISOString() };
     this.logs.push(log);
     console.error(`❌ ${message}`, data || '');
   }
 
   warn(message, data = null) {
+    message = this.redact(message);
+    data = this.redact(data);
     const log = { level: 'WARN', message, data, timestamp: new Date().toISOString() };
     this.logs.push(log);
     console.warn(`⚠️  ${message}`, data || '');
   }
 
   debug(message, data = null) {
+    message = this.redact(message);
+    data = this.redact(data);
     const log = { level: 'DEBUG', message, data, timestamp: new Date().toISOString() };
     this.logs.push(log);
     if (this.verbose) {
@@ -0,0 +1,341 @@
+#!/usr/bin/env node
+
+const net = require('net');
+const http = require('http');
+
+/**
+ * MailCatcher - Minimal local SMTP sink with an inbox API.
+ *
+ * Point the app under test at it (e.g. NextAuth `EMAIL_SERVER=smtp://localhost:1025`)
+ * and every message is accepted and kept in memory instead of being delivered.
+ * The orchestrator queries the inbox directly; `GET /messages` on the optional HTTP
+ * port exposes the same data for manual inspection.
+ */
+class MailCatcher {
+  /**
+   * @param {Object} logger - Logger instance
+   * @param {Object} [options]
+   * @param {number} [options.smtpPort=1025] - SMTP listen port
+   * @param {number} [options.httpPort] - Inbox HTTP API port (disabled if not set)
+   * @param {string} [options.host='127.0.0.1'] - Interface to bind
+   */
+  constructor(logger, options = {}) {
+    this.logger = logger;
+    this.smtpPort = options.smtpPort !== undefined
+      ? options.smtpPort // 0 picks a free port
+      : Number(process.env.MAIL_CATCHER_SMTP_PORT) || 1025;
+    this.httpPort = options.httpPort || Number(process.env.MAIL_CATCHER_HTTP_PORT) || null;
+    this.host = options.host || '127.0.0.1';
+    this.messages = [];
+    this.smtpServer = null;
+    this.httpServer = null;
+    this.waiters = [];
+  }
+
+  async start() {
+    this.smtpServer = net.createServer(socket => this.handleConnection(socket));
+    await new Promise((resolve, reject) => {
+      this.smtpServer.once('error', reject);
+      this.smtpServer.listen(this.smtpPort, this.host, resolve);
+    });
+    this.smtpPort = this.smtpServer.address().port;
+    this.logger.success(`Mail catcher listening on smtp://${this.host}:${this.smtpPort}`);
+
+    if (this.httpPort) {
+      this.httpServer = http.createServer((req, res) => this.handleHttp(req, res));
+      await new Promise((resolve, reject) => {
+        this.httpServer.once('error', reject);
+        this.httpServer.listen(this.httpPort, this.host, resolve);
+      });
+      this.logger.info(`Mail catcher inbox: http://${this.host}:${this.httpPort}/messages`);
+    }
+  }
+
+  async stop() {
+    for (const waiter of this.waiters) {
+      clearTimeout(waiter.timer);
+      waiter.reject(new Error('Mail catcher stopped'));
+    }
+    this.waiters = [];
+    if (this.smtpServer) {
+      await new Promise(resolve => this.smtpServer.close(resolve));
+      this.smtpServer = null;
+    }
+    if (this.httpServer) {
+      await new Promise(resolve => this.httpServer.close(resolve));
+      this.httpServer = null;
+    }
+  }
+
+  /**
+   * Speaks just enough SMTP for nodemailer and similar clients (no auth, no TLS).
+   */
+  handleConnection(socket) {
+    let buffer = '';
+    let inData = false;
+    let envelope = { from: null, to: [] };
+
+    const reply = line => socket.write(`${line}\r\n`);
+    reply('220 mail-catcher ESMTP ready');
+
+    socket.on('data', chunk => {
+      buffer += chunk.toString('utf8');
+
+      while (buffer.length > 0) {
+        if (inData) {
+          const end = buffer.indexOf('\r\n.\r\n');
+          if (end === -1) {
+            return;
+          }
+          const raw = buffer.slice(0, end).replace(/^\.\./gm, '.');
+          buffer = buffer.slice(end + 5);
+          inData = false;
+          this.store(envelope, raw);
+          envelope = { from: null, to: [] };
+          reply('250 OK: message accepted');
+          continue;
+        }
+
+        const lineEnd = buffer.indexOf('\r\n');
+        if (lineEnd === -1) {
+          return;
+        }
+        const line = buffer.slice(0, lineEnd);
+        buffer = buffer.slice(lineEnd + 2);
+        const command = line.slice(0, 4).toUpperCase();
+
+        switch (command) {
+          case 'EHLO':
+            socket.write('250-mail-catcher\r\n250-8BITMIME\r\n250 SMTPUTF8\r\n');
+            break;
+          case 'HELO':
+            reply('250 mail-catcher');
+            break;
+          case 'MAIL':
+            envelope.from = this.extractAddress(line);
+            reply('250 OK');
+            break;
+          case 'RCPT':
+            envelope.to.push(this.extractAddress(line));
+            reply('250 OK');
+            break;
+          case 'DATA':
+            inData = true;
+            reply('354 End data with <CR><LF>.<CR><LF>');
+            break;
+          case 'RSET':
+            envelope = { from: null, to: [] };
+            reply('250 OK');
+            break;
+          case 'NOOP':
+            reply('250 OK');
+            break;
+          case 'QUIT':
+            reply('221 Bye');
+            socket.end();
+            return;
+          default:
+            reply('502 Command not implemented');
+        }
+      }
+    });
+
+    socket.on('error', error => this.logger.debug(`Mail catcher socket error: ${error.message}`));
+  }
+
+  extractAddress(line) {
+    const match = line.match(/<([^>]*)>/);
+    return (match ? match[1] : line.split(':').slice(1).join(':')).trim().toLowerCase();
+  }
+
+  store(envelope, raw) {
+    const parsed = MailCatcher.parseMessage(raw);
+    const message = {
+      id: this.messages.length + 1,
+      from: envelope.from,
+      to: envelope.to,
+      subject: parsed.headers.subject || '',
+      text: parsed.text,
+      html: parsed.html,
+      receivedAt: Date.now()
+    };
+    this.messages.push(message);
+    this.logger.debug(`Mail catcher received message #${message.id}: ${message.subject}`);
+
+    for (const waiter of [...this.waiters]) {
+      if (this.matches(message, waiter.recipient, waiter.since)) {
+        this.waiters.splice(this.waiters.indexOf(waiter), 1);
+        clearTimeout(waiter.timer);
+        waiter.resolve(message);
+      }
+    }
+  }
+
+  matches(message, recipient, since = 0) {
+    return message.receivedAt >= since &&
+      (!recipient || message.to.includes(recipient.toLowerCase()));
+  }
+
+  /**
+   * Returns the most recent message sent to the recipient.
+   * @param {string} [recipient] - Address to match (any if omitted)
+   * @param {Object} [options]
+   * @param {number} [options.since=0] - Only messages received at or after this epoch ms
+   * @returns {Object|null} Message with from, to, subject, text and html
+   */
+  getLatestMessage(recipient, options = {}) {
+    for (let i = this.messages.length - 1; i >= 0; i--) {
+      if (this.matches(this.messages[i], recipient, options.since)) {
+        return this.messages[i];
+      }
+    }
+    return null;
+  }
+
+  /**
+   * Resolves with the latest matching message, waiting for one to arrive if needed.
+   * @param {string} [recipient] - Address to match (any if omitted)
+   * @param {Object} [options]
+   * @param {number} [options.since=0] - Only messages received at or after this epoch ms
+   * @param {number} [options.timeout=30000] - How long to wait in milliseconds
+   * @returns {Promise<Object>} Message
+   * @throws {Error} If no message arrives in time
+   */
+  waitForMessage(recipient, options = {}) {
+    const existing = this.getLatestMessage(recipient, options);
+    if (existing) {
+      return Promise.resolve(existing);
+    }
+
+    const timeout = options.timeout || 30000;
+    return new Promise((resolve, reject) => {
+      const waiter = { recipient, since: options.since || 0, resolve, reject };
+      waiter.timer = setTimeout(() => {
+        this.waiters.splice(this.waiters.indexOf(waiter), 1);
+        reject(new Error(`No email received within ${timeout}ms`));
+      }, timeout);
+      this.waiters.push(waiter);
+    });
+  }
+
+  clear() {
+    this.messages = [];
+  }
+
+  handleHttp(req, res) {
+    const url = new URL(req.url, `http://${req.headers.host}`);
+    let body;
+
+    if (req.method === 'GET' && url.pathname === '/messages') {
+      const to = url.searchParams.get('to');
+      body = this.messages.filter(m => this.matches(m, to));
+    } else if (req.method === 'GET' && url.pathname === '/messages/latest') {
+      body = this.getLatestMessage(url.searchParams.get('to'));
+    } else if (req.method === 'DELETE' && url.pathname === '/messages') {
+      this.clear();
+      body = { cleared: true };
+    } else {
+      res.writeHead(404, { 'Content-Type': 'application/json' });
+      res.end(JSON.stringify({ error: 'Not found' }));
+      return;
+    }
+
+    res.writeHead(200, { 'Content-Type': 'application/json' });
+    res.end(JSON.stringify(body, null, 2));
+  }
+
+  /**
+   * Finds the first link in a message matching a pattern (HTML part first, then text).
+   * @param {Object} message - Message from the inbox
+   * @param {RegExp} [pattern] - Pattern the link must match
+   * @returns {string|null} Link URL
+   */
+  static findLink(message, pattern = /./) {
+    const sources = [message.html, message.text].filter(Boolean);
+    for (const source of sources) {
+      const links = source.match(/https?:\/\/[^\s"'<>]+/g) || [];
+      const link = links.map(l => l.replace(/&amp;/g, '&')).find(l => pattern.test(l));
+      if (link) {
+        return link;
+      }
+    }
+    return null;
+  }
+
+  /**
+   * Parses a raw RFC 5322 message into headers and decoded text/html bodies.
+   * Handles multipart bodies, quoted-printable and base64 transfer encodings.
+   */
+  static parseMessage(raw) {
+    const { headers, body } = MailCatcher.splitHeaders(raw);
+    const result = { headers, text: '', html: '' };
+    MailCatcher.collectParts(headers, body, result);
+    return result;
+  }
+
+  static splitHeaders(raw) {
+    const separator = raw.search(/\r?\n\r?\n/);
+    const headerBlock = separator === -1 ? raw : raw.slice(0, separator);
+    const body = separator === -1 ? '' : raw.slice(separator).replace(/^\r?\n\r?\n/, '');
+    const headers = {};
+
+    for (const line of headerBlock.replace(/\r?\n[ \t]+/g, ' ').split(/\r?\n/)) {
+      const colon = line.indexOf(':');
+      if (colon > 0) {
+        headers[line.slice(0, colon).trim().toLowerCase()] = line.slice(colon + 1).trim();
+      }
+    }
+    return { headers, body };
+  }
+
+  static collectParts(headers, body, result) {
+    const contentType = headers['content-type'] || 'text/plain';
+    const boundaryMatch = contentType.match(/boundary="?([^";]+)"?/i);
+
+    if (/^multipart\//i.test(contentType) && boundaryMatch) {
+      const parts = body.split(`--${boundaryMatch[1]}`).slice(1);
+      for (const part of parts) {
+        if (part.startsWith('--')) {
+          break;
+        }
+        const nested = MailCatcher.splitHeaders(part.replace(/^\r?\n/, ''));
+        MailCatcher.collectParts(nested.headers, nested.body, result);
+      }
+      return;
+    }
+
+    const encoding = (headers['content-transfer-encoding'] || '').toLowerCase();
+    let decoded = body;
+    if (encoding === 'quoted-printable') {
+      decoded = Buffer.from(
+        body.replace(/=\r?\n/g, '').replace(/=([0-9A-F]{2})/gi, (_, hex) => String.fromCharCode(parseInt(hex, 16))),
+        'latin1'
+      ).toString('utf8');
+    } else if (encoding === 'base64') {
+      decoded = Buffer.from(body.replace(/\s/g, ''), 'base64').toString('utf8');
+    }
+
+    if (/^text\/html/i.test(contentType)) {
+      result.html += decoded;
+    } else if (/^text\//i.test(contentType)) {
+      result.text += decoded;
+    }
+  }
+}
+
+// CLI: run standalone next to a dev server
+if (require.main === module) {
+  const Logger = require('./logger');
+  const args = process.argv.slice(2);
+  const catcher = new MailCatcher(new Logger(args.includes('--debug')), {
+    smtpPort: Number(args.find((arg, i) => args[i - 1] === '--smtp-port')) || undefined,
+    httpPort: Number(args.find((arg, i) => args[i - 1] === '--http-port')) || 1080
+  });
+
+  catcher.start().catch(error => {
+    console.error('Mail catcher failed to start:', error.message);
+    process.exit(1);
+  });
+}
+
+module.exports = MailCatcher;
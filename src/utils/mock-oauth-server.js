@@ -0,0 +1,379 @@
+#!/usr/bin/env node
+
+const http = require('http');
+const crypto = require('crypto');
+
+const BASE_PATH = '/mock-oauth';
+
+/**
+ * MockOAuthServer - Local OAuth 2.0 / OIDC authorization server for offline flow testing.
+ *
+ * Serves a login form, a consent screen, token and userinfo endpoints, OIDC discovery
+ * and the JWKS for its RS256 id_tokens under /mock-oauth. Behaviors can inject protocol errors so failure paths can be
+ * exercised without GitHub or Google:
+ *   error: 'access_denied'          - authorize redirects back with error=access_denied
+ *   error: 'invalid_client'         - authorize shows an error page, token returns 401
+ *   error: 'redirect_uri_mismatch'  - authorize refuses the redirect_uri
+ *   skipConsent: true               - issue the code right after login
+ */
+class MockOAuthServer {
+  /**
+   * @param {Object} logger - Logger instance
+   * @param {Object} [options]
+   * @param {number} [options.port=4010] - Listen port (0 picks a free port)
+   * @param {string} [options.host='127.0.0.1'] - Interface to bind
+   * @param {string} [options.clientId='mock-client'] - Registered client ID
+   * @param {string} [options.clientSecret='mock-secret'] - Registered client secret
+   * @param {Array<string>} [options.redirectUris=[]] - Registered redirect URIs (exact match)
+   * @param {Object} [options.user] - Account accepted by the login form and returned by userinfo
+   * @param {Object} [options.behavior={}] - Injected behaviors (see class documentation)
+   */
+  constructor(logger, options = {}) {
+    this.logger = logger;
+    this.port = options.port !== undefined ? options.port : 4010;
+    this.host = options.host || '127.0.0.1';
+    this.clientId = options.clientId || 'mock-client';
+    this.clientSecret = options.clientSecret || 'mock-secret';
+    this.redirectUris = options.redirectUris || [];
+    this.user = {
+      sub: 'mock-user-1',
+      username: 'tester',
+      password: 'password',
+      email: 'tester@example.com',
+      name: 'Mock Tester',
+      ...options.user
+    };
+    this.behavior = { ...options.behavior };
+    this.server = null;
+    this.pending = new Map(); // login transaction id → authorize request
+    this.codes = new Map();   // authorization code → { request, expiresAt }
+    this.tokens = new Map();  // access token → user
+    // id_tokens are signed with a key per server instance, published at jwks_uri
+    this.signingKey = crypto.generateKeyPairSync('rsa', { modulusLength: 2048 });
+    this.keyId = crypto.randomBytes(8).toString('hex');
+  }
+
+  get issuer() {
+    return `http://localhost:${this.port}${BASE_PATH}`;
+  }
+
+  async start() {
+    this.server = http.createServer((req, res) => {
+      this.handle(req, res).catch(error => {
+        this.logger.error(`Mock OAuth server error: ${error.message}`);
+        this.sendJson(res, 500, { error: 'server_error', error_description: error.message });
+      });
+    });
+    await new Promise((resolve, reject) => {
+      this.server.once('error', reject);
+      this.server.listen(this.port, this.host, resolve);
+    });
+    this.port = this.server.address().port;
+    this.logger.success(`Mock OAuth provider listening on ${this.issuer}`);
+  }
+
+  async stop() {
+    if (this.server) {
+      await new Promise(resolve => this.server.close(resolve));
+      this.server = null;
+    }
+  }
+
+  /**
+   * Replaces the injected behaviors (e.g. between negative test cases).
+   * @param {Object} behavior - { error, skipConsent }
+   */
+  setBehavior(behavior = {}) {
+    this.behavior = { ...behavior };
+  }
+
+  async handle(req, res) {
+    const url = new URL(req.url, this.issuer);
+    const route = `${req.method} ${url.pathname.replace(BASE_PATH, '')}`;
+    const body = req.method === 'POST' ? await this.readBody(req) : {};
+
+    switch (route) {
+      case 'GET /.well-known/openid-configuration':
+        return this.sendJson(res, 200, {
+          issuer: this.issuer,
+          authorization_endpoint: `${this.issuer}/authorize`,
+          token_endpoint: `${this.issuer}/token`,
+          userinfo_endpoint: `${this.issuer}/userinfo`,
+          jwks_uri: `${this.issuer}/jwks`,
+          response_types_supported: ['code'],
+          grant_types_supported: ['authorization_code'],
+          subject_types_supported: ['public'],
+          id_token_signing_alg_values_supported: ['RS256'],
+          code_challenge_methods_supported: ['S256', 'plain'],
+          token_endpoint_auth_methods_supported: ['client_secret_basic', 'client_secret_post']
+        });
+      case 'GET /jwks':
+        return this.sendJson(res, 200, {
+          keys: [{ ...this.signingKey.publicKey.export({ format: 'jwk' }), kid: this.keyId, alg: 'RS256', use: 'sig' }]
+        });
+      case 'GET /authorize':
+        return this.authorize(url.searchParams, res);
+      case 'POST /login':
+        return this.login(body, res);
+      case 'POST /consent':
+        return this.consent(body, res);
+      case 'POST /token':
+        return this.token(req, body, res);
+      case 'GET /userinfo':
+        return this.userinfo(req, res);
+      default:
+        return this.sendJson(res, 404, { error: 'not_found' });
+    }
+  }
+
+  authorize(params, res) {
+    const request = {
+      clientId: params.get('client_id'),
+      redirectUri: params.get('redirect_uri'),
+      state: params.get('state'),
+      scope: params.get('scope') || '',
+      nonce: params.get('nonce'),
+      codeChallenge: params.get('code_challenge'),
+      codeChallengeMethod: params.get('code_challenge_method') || 'plain'
+    };
+
+    // Client and redirect URI errors must not redirect (RFC 6749 section 4.1.2.1)
+    if (this.behavior.error === 'invalid_client' || request.clientId !== this.clientId) {
+      return this.sendPage(res, 400, 'Error: invalid_client', `<p id="error">invalid_client: unknown client_id</p>`);
+    }
+    if (this.behavior.error === 'redirect_uri_mismatch' || !this.redirectUris.includes(request.redirectUri)) {
+      return this.sendPage(res, 400, 'Error: redirect_uri_mismatch',
+        `<p id="error">redirect_uri_mismatch: ${this.escape(request.redirectUri || '(missing)')} is not registered</p>`);
+    }
+    if (params.get('response_type') !== 'code') {
+      return this.redirectWithError(res, request, 'unsupported_response_type');
+    }
+    if (this.behavior.error === 'access_denied') {
+      return this.redirectWithError(res, request, 'access_denied');
+    }
+
+    const transaction = crypto.randomBytes(16).toString('hex');
+    this.pending.set(transaction, request);
+
+    return this.sendPage(res, 200, 'Sign in to Mock OAuth', `
+      <h1>Sign in to Mock OAuth</h1>
+      <form method="post" action="${BASE_PATH}/login">
+        <input type="hidden" name="transaction" value="${transaction}">
+        <label>Username <input name="username" autocomplete="username"></label>
+        <label>Password <input name="password" type="password" autocomplete="current-password"></label>
+        <button type="submit">Sign in</button>
+      </form>`);
+  }
+
+  login(body, res) {
+    const request = this.pending.get(body.transaction);
+    if (!request) {
+      return this.sendPage(res, 400, 'Error', '<p id="error">Unknown or expired login transaction</p>');
+    }
+
+    const validUser = (body.username === this.user.username || body.username === this.user.email) &&
+                      body.password === this.user.password;
+    if (!validUser) {
+      return this.sendPage(res, 401, 'Sign in to Mock OAuth', `
+        <h1>Sign in to Mock OAuth</h1>
+        <p id="error">Incorrect username or password.</p>
+        <form method="post" action="${BASE_PATH}/login">
+          <input type="hidden" name="transaction" value="${body.transaction}">
+          <label>Username <input name="username" autocomplete="username"></label>
+          <label>Password <input name="password" type="password" autocomplete="current-password"></label>
+          <button type="submit">Sign in</button>
+        </form>`);
+    }
+
+    if (this.behavior.skipConsent) {
+      this.pending.delete(body.transaction);
+      return this.issueCode(res, request);
+    }
+
+    return this.sendPage(res, 200, 'Authorize application', `
+      <h1>Authorize ${this.escape(request.clientId)}</h1>
+      <p>The application is requesting: ${this.escape(request.scope || 'basic profile')}</p>
+      <form method="post" action="${BASE_PATH}/consent">
+        <input type="hidden" name="transaction" value="${body.transaction}">
+        <button type="submit" name="decision" value="allow">Authorize</button>
+        <button type="submit" name="decision" value="deny">Cancel</button>
+      </form>`);
+  }
+
+  consent(body, res) {
+    const request = this.pending.get(body.transaction);
+    if (!request) {
+      return this.sendPage(res, 400, 'Error', '<p id="error">Unknown or expired login transaction</p>');
+    }
+    this.pending.delete(body.transaction);
+
+    if (body.decision !== 'allow') {
+      return this.redirectWithError(res, request, 'access_denied');
+    }
+    return this.issueCode(res, request);
+  }
+
+  issueCode(res, request) {
+    const code = crypto.randomBytes(16).toString('hex');
+    this.codes.set(code, { request, expiresAt: Date.now() + 60000 });
+
+    const target = new URL(request.redirectUri);
+    target.searchParams.set('code', code);
+    if (request.state) {
+      target.searchParams.set('state', request.state);
+    }
+    return this.redirect(res, target.toString());
+  }
+
+  token(req, body, res) {
+    const credentials = this.clientCredentials(req, body);
+    if (this.behavior.error === 'invalid_client' ||
+        credentials.clientId !== this.clientId ||
+        credentials.clientSecret !== this.clientSecret) {
+      return this.sendJson(res, 401, { error: 'invalid_client' });
+    }
+    if (body.grant_type !== 'authorization_code') {
+      return this.sendJson(res, 400, { error: 'unsupported_grant_type' });
+    }
+
+    const issued = this.codes.get(body.code);
+    this.codes.delete(body.code); // Codes are single use
+    if (!issued || issued.expiresAt < Date.now()) {
+      return this.sendJson(res, 400, { error: 'invalid_grant', error_description: 'Code expired or already used' });
+    }
+    if (issued.request.redirectUri !== body.redirect_uri) {
+      return this.sendJson(res, 400, { error: 'invalid_grant', error_description: 'redirect_uri does not match' });
+    }
+    if (issued.request.codeChallenge && !this.verifyPkce(issued.request, body.code_verifier)) {
+      return this.sendJson(res, 400, { error: 'invalid_grant', error_description: 'PKCE verification failed' });
+    }
+
+    const accessToken = crypto.randomBytes(24).toString('hex');
+    this.tokens.set(accessToken, this.user);
+
+    const response = {
+      access_token: accessToken,
+      token_type: 'Bearer',
+      expires_in: 3600,
+      scope: issued.request.scope
+    };
+    if (issued.request.scope.split(' ').includes('openid')) {
+      response.id_token = this.signIdToken(issued.request);
+    }
+    return this.sendJson(res, 200, response);
+  }
+
+  userinfo(req, res) {
+    const token = (req.headers.authorization || '').replace(/^Bearer\s+/i, '');
+    const user = this.tokens.get(token);
+    if (!user) {
+      return this.sendJson(res, 401, { error: 'invalid_token' });
+    }
+    return this.sendJson(res, 200, this.publicProfile(user));
+  }
+
+  publicProfile(user) {
+    const { password, ...profile } = user;
+    return { ...profile, id: profile.sub, login: profile.username, preferred_username: profile.username };
+  }
+
+  verifyPkce(request, verifier) {
+    if (!verifier) {
+      return false;
+    }
+    const expected = request.codeChallengeMethod === 'S256'
+      ? crypto.createHash('sha256').update(verifier).digest('base64url')
+      : verifier;
+    return expected === request.codeChallenge;
+  }
+
+  signIdToken(request) {
+    const now = Math.floor(Date.now() / 1000);
+    const encode = value => Buffer.from(JSON.stringify(value)).toString('base64url');
+    const header = encode({ alg: 'RS256', typ: 'JWT', kid: this.keyId });
+    const payload = encode({
+      iss: this.issuer,
+      aud: this.clientId,
+      iat: now,
+      exp: now + 3600,
+      nonce: request.nonce || undefined,
+      ...this.publicProfile(this.user)
+    });
+    const signature = crypto.sign('sha256', Buffer.from(`${header}.${payload}`), this.signingKey.privateKey).toString('base64url');
+    return `${header}.${payload}.${signature}`;
+  }
+
+  clientCredentials(req, body) {
+    const basic = (req.headers.authorization || '').match(/^Basic\s+(.+)$/i);
+    if (basic) {
+      const [clientId, clientSecret] = Buffer.from(basic[1], 'base64').toString('utf8').split(':').map(decodeURIComponent);
+      return { clientId, clientSecret };
+    }
+    return { clientId: body.client_id, clientSecret: body.client_secret };
+  }
+
+  redirectWithError(res, request, error) {
+    const target = new URL(request.redirectUri);
+    target.searchParams.set('error', error);
+    if (request.state) {
+      target.searchParams.set('state', request.state);
+    }
+    return this.redirect(res, target.toString());
+  }
+
+  readBody(req) {
+    return new Promise((resolve, reject) => {
+      let data = '';
+      req.on('data', chunk => { data += chunk; });
+      req.on('end', () => {
+        if ((req.headers['content-type'] || '').includes('application/json')) {
+          try {
+            resolve(JSON.parse(data || '{}'));
+          } catch (error) {
+            reject(error);
+          }
+        } else {
+          resolve(Object.fromEntries(new URLSearchParams(data)));
+        }
+      });
+      req.on('error', reject);
+    });
+  }
+
+  redirect(res, location) {
+    res.writeHead(302, { Location: location });
+    res.end();
+  }
+
+  sendJson(res, status, body) {
+    res.writeHead(status, { 'Content-Type': 'application/json', 'Cache-Control': 'no-store' });
+    res.end(JSON.stringify(body));
+  }
+
+  sendPage(res, status, title, content) {
+    res.writeHead(status, { 'Content-Type': 'text/html; charset=utf-8' });
+    res.end(`<!doctype html><html><head><title>${this.escape(title)}</title></head><body>${content}</body></html>`);
+  }
+
+  escape(text) {
+    return String(text).replace(/[&<>"']/g, c => ({ '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' }[c]));
+  }
+}
+
+// CLI: run standalone next to a dev server
+if (require.main === module) {
+  const Logger = require('./logger');
+  const args = process.argv.slice(2);
+  const server = new MockOAuthServer(new Logger(args.includes('--debug')), {
+    port: Number(args.find((arg, i) => args[i - 1] === '--port')) || 4010,
+    redirectUris: args.filter((arg, i) => args[i - 1] === '--redirect-uri'),
+    behavior: { error: args.find((arg, i) => args[i - 1] === '--error') }
+  });
+
+  server.start().catch(error => {
+    console.error('Mock OAuth provider failed to start:', error.message);
+    process.exit(1);
+  });
+}
+
+module.exports = MockOAuthServer;
@@ -0,0 +1,219 @@
+const crypto = require('crypto');
+const StateMachine = require('./state-machine');
+const AccountPool = require('./account-pool');
+
+/**
+ * Negative OAuth cases derived from a provider's flow config (`--negative`).
+ *
+ * Each case reuses the provider's flow graph with three changes:
+ *   - an `expected_error` terminal success state, entered through a guard on the
+ *     trigger state and every state reachable from it once the expected error shows
+ *   - `dashboard` becomes a terminal failure (signing in means the app accepted it)
+ *   - optional per-state instructions, credential overrides and callback tampering
+ *
+ * The default "app error" outcome builds on the callback `failures` predicates in
+ * config.states (the OAuth error query codes), plus the NextAuth error page.
+ *
+ * Providers can tune or disable cases through `providers[].negative`:
+ *   "negative": { "wrong_password": { "expect": { ...predicate } }, "cancel_at_provider": false }
+ */
+
+const WRONG_PASSWORD_EXPECT = {
+  not: { host: '{{baseHost}}' },
+  anyOf: [
+    { text: 'Incorrect username or password' },
+    { text: 'Wrong password' }
+  ]
+};
+
+const NEGATIVE_CASES = [
+  {
+    name: 'deny_consent',
+    description: 'User denies consent on the provider authorization screen',
+    requires: ['consent'],
+    trigger: 'consent',
+    instructions: {
+      consent: 'This is a negative test: do NOT authorize the application. Click "Cancel", "Deny" or "Don\'t allow".'
+    },
+    expect: 'appError',
+    expectedError: 'OAuth callback error (access_denied)'
+  },
+  {
+    name: 'wrong_password',
+    description: 'Provider rejects a wrong password',
+    requires: ['provider_auth'],
+    trigger: 'provider_auth',
+    credentials: { password: () => `wrong-${crypto.randomBytes(6).toString('hex')}` },
+    instructions: {
+      provider_auth: 'This is a negative test: sign in once with the credentials given and stop when the provider reports an error. Do not try to recover the account.'
+    },
+    expect: WRONG_PASSWORD_EXPECT,
+    expectedError: 'Provider login error, no session'
+  },
+  {
+    name: 'cancel_at_provider',
+    description: 'User cancels sign-in at the provider',
+    requires: ['provider_auth'],
+    trigger: 'provider_auth',
+    instructions: {
+      provider_auth: 'This is a negative test: do NOT sign in. Use the provider\'s "Cancel" or "Back to application" link; if there is none, use the browser back button.'
+    },
+    expect: 'appSignedOut',
+    expectedError: 'Back on the app without a session'
+  },
+  {
+    name: 'tampered_state',
+    description: 'Callback arrives with a tampered state parameter',
+    requires: ['provider_auth', 'callback'],
+    trigger: 'provider_auth',
+    rewriteQuery: { state: () => crypto.randomBytes(16).toString('hex') },
+    expect: 'appError',
+    expectedError: 'State mismatch rejected by the app (OAuthCallback)'
+  },
+  {
+    name: 'expired_code',
+    description: 'Callback arrives with an expired authorization code',
+    requires: ['provider_auth', 'callback'],
+    trigger: 'provider_auth',
+    rewriteQuery: { code: () => `expired-${crypto.randomBytes(10).toString('hex')}` },
+    expect: 'appError',
+    expectedError: 'Code exchange rejected by the provider (invalid_grant)'
+  }
+];
+
+/**
+ * Predicate for "the app reported an OAuth error", derived from the callback failures.
+ * @param {Object} config - Parsed flow configuration
+ * @returns {Object} Verifier predicate
+ */
+function appErrorPredicate(config) {
+  const callback = (config.states || {}).callback || {};
+  return {
+    anyOf: [
+      ...(callback.failures || []).map(failure => failure.when),
+      { host: '{{baseHost}}', pathIncludes: ['/api/auth/error', '/auth/error'] }
+    ]
+  };
+}
+
+/**
+ * Predicate for "back on the app's sign-in page or an error page, not signed in".
+ * @param {Object} config - Parsed flow configuration
+ * @returns {Object} Verifier predicate
+ */
+function appSignedOutPredicate(config) {
+  const signInPaths = ((config.session || {}).signInPaths || ['/signin']).filter(p => p !== '/');
+  return {
+    anyOf: [
+      appErrorPredicate(config),
+      { host: '{{baseHost}}', pathIncludes: signInPaths }
+    ]
+  };
+}
+
+/**
+ * States reachable from `start`, including itself.
+ */
+function reachableFrom(graph, start) {
+  const seen = new Set([start]);
+  const queue = [start];
+  while (queue.length > 0) {
+    for (const transition of graph.states[queue.shift()].transitions || []) {
+      if (!seen.has(transition.to)) {
+        seen.add(transition.to);
+        queue.push(transition.to);
+      }
+    }
+  }
+  return seen;
+}
+
+/**
+ * Builds the flow graph for a negative case from the provider's flow.
+ * @param {Array<string>|Object} flow - Provider flow from config
+ * @param {string} trigger - First state where the expected error may appear
+ * @param {Object} when - Expected error predicate
+ * @param {string} caseName - Case name (used in terminal reasons)
+ * @returns {Object} Flow graph
+ */
+function buildNegativeFlow(flow, trigger, when, caseName) {
+  const graph = StateMachine.normalize(flow);
+  const watched = reachableFrom(graph, trigger);
+  const states = {};
+
+  for (const [name, node] of Object.entries(graph.states)) {
+    if (node.terminal) {
+      states[name] = { ...node };
+    } else if (name === 'dashboard') {
+      states[name] = { terminal: 'failure', reason: `Negative case ${caseName} signed in instead of failing` };
+    } else {
+      const transitions = [...(node.transitions || [])];
+      if (watched.has(name)) {
+        transitions.unshift({ to: 'expected_error', when });
+      }
+      states[name] = { ...node, transitions };
+    }
+  }
+  states.expected_error = { terminal: 'success', reason: `Expected error outcome for ${caseName}` };
+
+  return { initial: graph.initial, states };
+}
+
+/**
+ * Derives the negative cases that apply to a provider.
+ * @param {Object} providerConfig - Provider entry from config.providers
+ * @param {Object} config - Parsed flow configuration
+ * @returns {Array<Object>} Cases with name, description, expected, flow, instructions,
+ *   credentials and rewriteQuery (values resolved)
+ */
+function generateNegativeCases(providerConfig, config) {
+  const graph = StateMachine.normalize(providerConfig.flow);
+  const overrides = providerConfig.negative || {};
+  const cases = [];
+
+  for (const definition of NEGATIVE_CASES) {
+    const override = overrides[definition.name];
+    if (override === false || !definition.requires.every(state => graph.states[state])) {
+      continue;
+    }
+    if (definition.credentials && !AccountPool.accountsFor(providerConfig).every(({ account }) => 'password' in account)) {
+      continue;
+    }
+
+    let when = (override && override.expect) || definition.expect;
+    if (when === 'appError') {
+      when = appErrorPredicate(config);
+    } else if (when === 'appSignedOut') {
+      when = appSignedOutPredicate(config);
+    }
+
+    cases.push({
+      name: definition.name,
+      description: definition.description,
+      expected: {
+        outcome: 'error',
+        error: (override && override.expectedError) || definition.expectedError,
+        when
+      },
+      flow: buildNegativeFlow(providerConfig.flow, definition.trigger, when, definition.name),
+      instructions: { ...definition.instructions, ...(override && override.instructions) },
+      credentials: resolveValues(definition.credentials),
+      rewriteQuery: resolveValues(definition.rewriteQuery)
+    });
+  }
+
+  return cases;
+}
+
+function resolveValues(values) {
+  if (!values) {
+    return null;
+  }
+  const resolved = {};
+  for (const [key, value] of Object.entries(values)) {
+    resolved[key] = typeof value === 'function' ? value() : value;
+  }
+  return resolved;
+}
+
+module.exports = { NEGATIVE_CASES, generateNegativeCases, buildNegativeFlow };
@@ -0,0 +1,164 @@
+/**
+ * OAuthSecurityAnalyzer - Protocol checks over the traffic captured during an OAuth run.
+ *
+ * Looks at the authorize requests (any request carrying `client_id` and `response_type`)
+ * and the app's callback requests, plus every main-frame URL and the session cookie
+ * flags recorded by the session assertions. Each finding has a severity:
+ *   high:   exploitable as-is (no state, tokens in URLs, redirect_uri mismatch, cookie readable by JS)
+ *   medium: missing defense in depth (no PKCE, plain PKCE, SameSite=None)
+ *   low:    hardening suggestions
+ *   info:   context only (e.g. Secure flag skipped on an http:// dev server)
+ */
+class OAuthSecurityAnalyzer {
+  /**
+   * @param {Object} config - Parsed flow configuration (veria-oauth-flows.json)
+   * @param {Object} logger - Logger instance
+   * @param {Object} [options]
+   * @param {string} [options.baseUrl] - Overrides config.baseUrl (staging/preview hosts)
+   */
+  constructor(config, logger, options = {}) {
+    this.logger = logger;
+    this.baseUrl = options.baseUrl || config.baseUrl;
+    this.callbackPath = (config.session || {}).callbackPath || '/api/auth/callback/{{provider}}';
+  }
+
+  /**
+   * Analyzes one provider run.
+   * @param {Object} capture
+   * @param {string} capture.provider - Provider name
+   * @param {Object} [capture.providerConfig] - Provider entry (optional `redirectUri` override)
+   * @param {Array<{url: string}>} capture.requests - Requests from TestExecutorAgent.getNetworkLogs()
+   * @param {Array<string>} [capture.navigations] - Main-frame URLs, including fragments
+   * @param {Array<Object>} [capture.cookieFlags] - Session cookie flags { name, secure, httpOnly, sameSite }
+   * @returns {Object} { findings, summary, authorizeRequests, callbackRequests }
+   */
+  analyze({ provider, providerConfig = {}, requests = [], navigations = [], cookieFlags = null }) {
+    const findings = [];
+    const add = (id, severity, message, evidence) => {
+      if (!findings.some(f => f.id === id && f.evidence === evidence)) {
+        findings.push({ id, severity, message, evidence });
+      }
+    };
+
+    const expectedRedirect = providerConfig.redirectUri ||
+      new URL(this.callbackPath.replace(/\{\{provider\}\}/g, provider), this.baseUrl).toString();
+    const urls = [...new Set([...requests.map(r => r.url), ...navigations])];
+    const parsed = urls.map(url => this.parse(url)).filter(Boolean);
+
+    const authorizeRequests = parsed.filter(u => u.searchParams.has('client_id') && u.searchParams.has('response_type'));
+    const callbackRequests = parsed.filter(u => `${u.origin}${u.pathname}` === expectedRedirect);
+    const authorizeStates = new Set();
+
+    for (const url of authorizeRequests) {
+      const params = url.searchParams;
+      const evidence = this.describe(url);
+
+      if (!params.get('state')) {
+        add('missing-state', 'high', 'Authorize request has no state parameter (CSRF on the callback)', evidence);
+      } else {
+        authorizeStates.add(params.get('state'));
+      }
+
+      if (!params.get('code_challenge')) {
+        add('missing-pkce', 'medium', 'Authorize request has no PKCE code_challenge', evidence);
+      } else if (params.get('code_challenge_method') !== 'S256') {
+        add('weak-pkce', 'medium', `PKCE uses code_challenge_method=${params.get('code_challenge_method') || 'plain'} instead of S256`, evidence);
+      }
+
+      const redirectUri = params.get('redirect_uri');
+      if (!redirectUri) {
+        add('missing-redirect-uri', 'low', 'Authorize request relies on the registered default redirect_uri', evidence);
+      } else if (redirectUri !== expectedRedirect) {
+        add('redirect-uri-mismatch', 'high', `redirect_uri ${redirectUri} does not exactly match ${expectedRedirect}`, evidence);
+      }
+
+      if (/token/.test(params.get('response_type'))) {
+        add('implicit-flow', 'high', `response_type=${params.get('response_type')} returns tokens through the browser`, evidence);
+      }
+    }
+
+    for (const url of callbackRequests) {
+      const state = url.searchParams.get('state');
+      if (authorizeStates.size > 0 && state && !authorizeStates.has(state)) {
+        add('state-mismatch', 'info', 'Callback state differs from every authorize state (expected only in tampered-state runs)', this.describe(url));
+      }
+    }
+
+    for (const url of parsed) {
+      const fragment = new URLSearchParams(url.hash.replace(/^#/, ''));
+      for (const name of ['access_token', 'id_token', 'refresh_token']) {
+        if (url.searchParams.has(name)) {
+          add('token-in-url', 'high', `${name} sent in a query string`, this.describe(url));
+        }
+        if (fragment.has(name)) {
+          add('token-in-url', 'high', `${name} returned in a URL fragment`, this.describe(url));
+        }
+      }
+    }
+
+    if (cookieFlags) {
+      this.checkCookies(cookieFlags, add);
+    }
+
+    const summary = { high: 0, medium: 0, low: 0, info: 0 };
+    for (const finding of findings) {
+      summary[finding.severity]++;
+      const log = finding.severity === 'high' || finding.severity === 'medium' ? 'warn' : 'debug';
+      this.logger[log](`[security:${finding.severity}] ${finding.message}`);
+    }
+
+    return {
+      findings,
+      summary,
+      authorizeRequests: authorizeRequests.length,
+      callbackRequests: callbackRequests.length
+    };
+  }
+
+  checkCookies(cookieFlags, add) {
+    const https = new URL(this.baseUrl).protocol === 'https:';
+
+    if (cookieFlags.length === 0) {
+      add('no-session-cookie', 'info', 'No session cookie captured, cookie flags not checked', null);
+    }
+    for (const cookie of cookieFlags) {
+      if (!cookie.secure) {
+        if (https) {
+          add('cookie-not-secure', 'high', `Session cookie ${cookie.name} is missing the Secure flag`, cookie.name);
+        } else {
+          add('cookie-not-secure', 'info', `Session cookie ${cookie.name} is not Secure (http:// base URL)`, cookie.name);
+        }
+      }
+      if (!cookie.httpOnly) {
+        add('cookie-not-httponly', 'high', `Session cookie ${cookie.name} is readable from JavaScript (no HttpOnly)`, cookie.name);
+      }
+      if (!cookie.sameSite || cookie.sameSite === 'None') {
+        add('cookie-samesite-none', 'medium', `Session cookie ${cookie.name} has SameSite=${cookie.sameSite || 'unset'}`, cookie.name);
+      }
+    }
+  }
+
+  parse(url) {
+    try {
+      return new URL(url);
+    } catch {
+      return null;
+    }
+  }
+
+  /**
+   * Shortens a URL for evidence, masking parameter values that carry secrets.
+   */
+  describe(url) {
+    const copy = new URL(url.toString());
+    for (const name of ['code', 'access_token', 'id_token', 'refresh_token', 'code_verifier', 'client_secret']) {
+      if (copy.searchParams.has(name)) {
+        copy.searchParams.set(name, '***');
+      }
+    }
+    copy.hash = copy.hash ? '#***' : '';
+    return copy.toString();
+  }
+}
+
+module.exports = OAuthSecurityAnalyzer;
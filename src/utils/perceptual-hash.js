@@ -0,0 +1,144 @@
+const zlib = require('zlib');
+
+const PNG_SIGNATURE = Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]);
+
+// Channels per pixel for 8-bit PNG color types
+const CHANNELS = { 0: 1, 2: 3, 4: 2, 6: 4 };
+
+/**
+ * Decodes an 8-bit, non-interlaced PNG (what Playwright screenshots are) to grayscale.
+ * @param {Buffer} png - PNG file contents
+ * @returns {{width: number, height: number, gray: Float32Array}} Luma per pixel, 0-255
+ * @throws {Error} For other PNG variants (palette, 16-bit, interlaced)
+ */
+function decodeGrayscale(png) {
+  if (!png.subarray(0, 8).equals(PNG_SIGNATURE)) {
+    throw new Error('Not a PNG image');
+  }
+
+  let width, height, colorType;
+  const data = [];
+  for (let offset = 8; offset < png.length;) {
+    const length = png.readUInt32BE(offset);
+    const type = png.toString('ascii', offset + 4, offset + 8);
+    const chunk = png.subarray(offset + 8, offset + 8 + length);
+
+    if (type === 'IHDR') {
+      width = chunk.readUInt32BE(0);
+      height = chunk.readUInt32BE(4);
+      colorType = chunk[9];
+      if (chunk[8] !== 8 || !CHANNELS[colorType] || chunk[12] !== 0) {
+        throw new Error(`Unsupported PNG (bit depth ${chunk[8]}, color type ${colorType}, interlace ${chunk[12]})`);
+      }
+    } else if (type === 'IDAT') {
+      data.push(chunk);
+    } else if (type === 'IEND') {
+      break;
+    }
+    offset += 12 + length; // length + type + data + CRC
+  }
+
+  const channels = CHANNELS[colorType];
+  const stride = width * channels;
+  const raw = zlib.inflateSync(Buffer.concat(data));
+  const gray = new Float32Array(width * height);
+  let previous = Buffer.alloc(stride);
+
+  for (let y = 0; y < height; y++) {
+    const filter = raw[y * (stride + 1)];
+    const line = Buffer.from(raw.subarray(y * (stride + 1) + 1, (y + 1) * (stride + 1)));
+    unfilter(filter, line, previous, channels);
+
+    for (let x = 0; x < width; x++) {
+      const i = x * channels;
+      gray[y * width + x] = channels >= 3
+        ? 0.299 * line[i] + 0.587 * line[i + 1] + 0.114 * line[i + 2]
+        : line[i];
+    }
+    previous = line;
+  }
+
+  return { width, height, gray };
+}
+
+/**
+ * Reverses PNG scanline filtering in place (RFC 2083 section 6).
+ */
+function unfilter(filter, line, previous, bpp) {
+  for (let i = 0; i < line.length; i++) {
+    const left = i >= bpp ? line[i - bpp] : 0;
+    const up = previous[i];
+    const upLeft = i >= bpp ? previous[i - bpp] : 0;
+    let predictor;
+    switch (filter) {
+      case 0: predictor = 0; break;
+      case 1: predictor = left; break;
+      case 2: predictor = up; break;
+      case 3: predictor = (left + up) >> 1; break;
+      case 4: {
+        const p = left + up - upLeft;
+        const pa = Math.abs(p - left);
+        const pb = Math.abs(p - up);
+        const pc = Math.abs(p - upLeft);
+        predictor = pa <= pb && pa <= pc ? left : pb <= pc ? up : upLeft;
+        break;
+      }
+      default:
+        throw new Error(`Invalid PNG filter type ${filter}`);
+    }
+    line[i] = (line[i] + predictor) & 0xff;
+  }
+}
+
+/**
+ * 64-bit difference hash (dHash) of a screenshot: the image is averaged down to 9x8
+ * gray cells and each bit says whether a cell is brighter than its right neighbour.
+ * Visually similar screenshots (a blinking cursor, a different clock) differ in a few
+ * bits; different pages differ in many.
+ * @param {Buffer|string} image - PNG buffer or base64 string
+ * @returns {string} 16 hex characters
+ */
+function dHash(image) {
+  const png = Buffer.isBuffer(image) ? image : Buffer.from(image, 'base64');
+  const { width, height, gray } = decodeGrayscale(png);
+  const columns = 9;
+  const rows = 8;
+  const sums = new Float64Array(columns * rows);
+  const counts = new Uint32Array(columns * rows);
+
+  for (let y = 0; y < height; y++) {
+    const row = Math.min(rows - 1, Math.floor(y * rows / height));
+    for (let x = 0; x < width; x++) {
+      const cell = row * columns + Math.min(columns - 1, Math.floor(x * columns / width));
+      sums[cell] += gray[y * width + x];
+      counts[cell]++;
+    }
+  }
+
+  let hash = 0n;
+  for (let row = 0; row < rows; row++) {
+    for (let column = 0; column < columns - 1; column++) {
+      const left = sums[row * columns + column] / (counts[row * columns + column] || 1);
+      const right = sums[row * columns + column + 1] / (counts[row * columns + column + 1] || 1);
+      hash = (hash << 1n) | (left > right ? 1n : 0n);
+    }
+  }
+  return hash.toString(16).padStart(16, '0');
+}
+
+/**
+ * @param {string} a - Hash from dHash()
+ * @param {string} b - Hash from dHash()
+ * @returns {number} Number of differing bits (0-64)
+ */
+function hammingDistance(a, b) {
+  let diff = BigInt(`0x${a}`) ^ BigInt(`0x${b}`);
+  let bits = 0;
+  while (diff > 0n) {
+    bits += Number(diff & 1n);
+    diff >>= 1n;
+  }
+  return bits;
+}
+
+module.exports = { dHash, hammingDistance, decodeGrayscale };
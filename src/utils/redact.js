@@ -0,0 +1,44 @@
+/**
+ * Returns a copy of a value with every string in it, at any depth, passed through
+ * `redactString`.
+ *
+ * Redacting JSON text instead would miss secrets containing `"` or `\` (JSON escapes
+ * them) and could break the JSON when a replacement does match. Values are copied the way
+ * JSON.stringify sees them (toJSON, enumerable own properties, functions dropped); errors
+ * keep their name and message, and cycles become '[circular]'.
+ *
+ * @param {*} value - Log data, report or result
+ * @param {function(string): string} redactString - Redacts one string
+ * @returns {*} Redacted copy
+ */
+function redactDeep(value, redactString, ancestors = new Set()) {
+  if (typeof value === 'string') {
+    return redactString(value);
+  }
+  if (value === null || typeof value !== 'object') {
+    return value;
+  }
+  if (typeof value.toJSON === 'function') {
+    return redactDeep(value.toJSON(), redactString, ancestors);
+  }
+  if (ancestors.has(value)) {
+    return '[circular]';
+  }
+
+  ancestors.add(value);
+  let copy;
+  if (Array.isArray(value)) {
+    copy = value.map(item => redactDeep(item, redactString, ancestors));
+  } else {
+    copy = value instanceof Error ? { name: value.name, message: redactString(value.message) } : {};
+    for (const [key, item] of Object.entries(value)) {
+      if (typeof item !== 'function') {
+        copy[key] = redactDeep(item, redactString, ancestors);
+      }
+    }
+  }
+  ancestors.delete(value);
+  return copy;
+}
+
+module.exports = { redactDeep };
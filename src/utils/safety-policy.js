@@ -0,0 +1,179 @@
+const fs = require('fs').promises;
+const path = require('path');
+const readline = require('readline');
+
+const DEFAULT_POLICY_PATH = path.join(__dirname, '..', 'scenarios', 'safety-policy.json');
+
+const DECISIONS = ['approve', 'prompt', 'refuse'];
+
+/**
+ * SafetyPolicy - Decides on Computer Use actions that need confirmation.
+ *
+ * The model marks risky actions with `safety_decision: { decision: 'require_confirmation',
+ * explanation }`. The action is categorized by keywords in the explanation (policy
+ * `categories`), then the first rule whose categories and domains match decides:
+ *   - approve: run it and acknowledge the decision in the function response
+ *   - prompt:  ask y/n on the terminal (`nonInteractive` applies without a TTY)
+ *   - refuse:  don't run it; the state or step fails
+ * Every review is returned as a record for the run results.
+ */
+class SafetyPolicy {
+  /**
+   * @param {Object} logger - Logger instance
+   * @param {Object} [policy] - Parsed policy (see scenarios/safety-policy.json)
+   * @param {Object} [options]
+   * @param {boolean} [options.interactive] - Whether prompts can be answered (default: stdin is a TTY)
+   * @param {function(string): Promise<string>} [options.ask] - Prompt implementation (default readline)
+   */
+  constructor(logger, policy = {}, options = {}) {
+    this.logger = logger;
+    this.policy = {
+      default: policy.default || 'prompt',
+      nonInteractive: policy.nonInteractive || 'refuse',
+      categories: policy.categories || {},
+      rules: policy.rules || []
+    };
+    this.interactive = options.interactive !== undefined ? options.interactive : !!process.stdin.isTTY;
+    this.ask = options.ask || (question => this.askOnTerminal(question));
+    this.promptQueue = Promise.resolve(); // Parallel runs take turns at the terminal
+
+    for (const [index, rule] of this.policy.rules.entries()) {
+      if (!DECISIONS.includes(rule.decision)) {
+        throw new Error(`Safety policy rule ${index + 1} has invalid decision "${rule.decision}" (${DECISIONS.join(', ')})`);
+      }
+    }
+  }
+
+  /**
+   * Loads a policy file.
+   * @param {Object} logger - Logger instance
+   * @param {string} [policyPath] - Policy JSON (default src/scenarios/safety-policy.json)
+   * @param {Object} [options] - Constructor options
+   * @returns {Promise<SafetyPolicy>}
+   */
+  static async load(logger, policyPath = DEFAULT_POLICY_PATH, options = {}) {
+    const policy = JSON.parse(await fs.readFile(policyPath, 'utf8'));
+    logger.debug(`Safety policy loaded: ${policyPath}`);
+    return new SafetyPolicy(logger, policy, options);
+  }
+
+  /**
+   * @param {Object} action - Action from ComputerUseAgent.getNextAction
+   * @returns {boolean} True if the model asked for confirmation before this action
+   */
+  static requiresConfirmation(action) {
+    return !!(action && action._safetyDecision && action._safetyDecision.decision === 'require_confirmation');
+  }
+
+  /**
+   * @param {string} explanation - Model's safety explanation
+   * @returns {Array<string>} Matching policy categories
+   */
+  categorize(explanation) {
+    const text = (explanation || '').toLowerCase();
+    return Object.entries(this.policy.categories)
+      .filter(([, keywords]) => keywords.some(keyword => text.includes(keyword.toLowerCase())))
+      .map(([category]) => category);
+  }
+
+  /**
+   * @returns {Object|null} First rule matching the categories and host, with its index
+   */
+  match(categories, host) {
+    for (const [index, rule] of this.policy.rules.entries()) {
+      const categoryMatch = !rule.categories || rule.categories.some(category => categories.includes(category));
+      const domainMatch = !rule.domains || rule.domains.some(pattern => matchesDomain(host, pattern));
+      if (categoryMatch && domainMatch) {
+        return { ...rule, index };
+      }
+    }
+    return null;
+  }
+
+  /**
+   * Decides whether an action flagged by the model may run.
+   * @param {Object} action - Action with `_safetyDecision`
+   * @param {string} url - Current page URL
+   * @returns {Promise<Object>} Record { action, args, explanation, categories, url, rule,
+   *   source, decision, acknowledged, reason, decidedAt }
+   */
+  async review(action, url) {
+    const explanation = action._safetyDecision.explanation || '';
+    const categories = this.categorize(explanation);
+    const host = hostOf(url);
+    const rule = this.match(categories, host);
+
+    let decision = rule ? rule.decision : this.policy.default;
+    let source = rule ? 'policy' : 'default';
+    let reason = rule ? rule.reason : undefined;
+
+    if (decision === 'prompt') {
+      if (this.interactive) {
+        const approved = await this.confirm(action, explanation, host);
+        decision = approved ? 'approve' : 'refuse';
+        source = 'prompt';
+        reason = approved ? 'Approved at the prompt' : 'Refused at the prompt';
+      } else {
+        decision = this.policy.nonInteractive;
+        source = 'non-interactive';
+        reason = `No terminal to confirm on, nonInteractive policy is ${decision}`;
+      }
+    }
+
+    const record = {
+      action: action.name,
+      args: action.args,
+      explanation,
+      categories,
+      url,
+      rule: rule ? rule.index + 1 : null,
+      source,
+      decision: decision === 'approve' ? 'approved' : 'refused',
+      acknowledged: decision === 'approve',
+      reason,
+      decidedAt: new Date().toISOString()
+    };
+
+    const log = record.acknowledged ? this.logger.info.bind(this.logger) : this.logger.warn.bind(this.logger);
+    log(`Safety confirmation for ${action.name} on ${host || 'unknown host'} [${categories.join(', ') || 'uncategorized'}]: ${record.decision} (${source})`);
+    return record;
+  }
+
+  confirm(action, explanation, host) {
+    const question = `\n⚠️  The model asks for confirmation before ${action.name} on ${host}:\n   ${explanation}\n   Allow this action? [y/N] `;
+    const answer = this.promptQueue.then(() => this.ask(question));
+    this.promptQueue = answer.catch(() => {});
+    return answer.then(reply => /^y(es)?$/i.test((reply || '').trim()));
+  }
+
+  askOnTerminal(question) {
+    const rl = readline.createInterface({ input: process.stdin, output: process.stdout });
+    return new Promise(resolve => rl.question(question, reply => {
+      rl.close();
+      resolve(reply);
+    }));
+  }
+}
+
+function hostOf(url) {
+  try {
+    return new URL(url).hostname;
+  } catch {
+    return '';
+  }
+}
+
+/**
+ * "example.com" matches only that host; "*.example.com" matches its subdomains.
+ */
+function matchesDomain(host, pattern) {
+  if (!host) {
+    return false;
+  }
+  if (pattern.startsWith('*.')) {
+    return host.endsWith(pattern.slice(1));
+  }
+  return host === pattern;
+}
+
+module.exports = SafetyPolicy;
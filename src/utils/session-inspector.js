@@ -0,0 +1,218 @@
+/**
+ * SessionInspector - Checks that a login actually produced a working session.
+ *
+ * URL checks pass even when the session is broken (cookie not set, session endpoint
+ * empty, signed in as the wrong user). The inspector reads the browser context's
+ * cookies and calls the app's session endpoint from the page, so the request carries
+ * the same cookies the app would send.
+ *
+ * Configured through the top-level `session` entry of the flow config:
+ *   endpoint: session endpoint path (default NextAuth `/api/auth/session`)
+ *   cookies:  session cookie names; chunked cookies (`name.0`, `name.1`) also match
+ *   protectedPath: page that must redirect to sign-in once signed out (default `/dashboard`)
+ *   signInPaths:   pages that count as signed out (exact path or a sub-path)
+ */
+class SessionInspector {
+  /**
+   * @param {Object} config - Parsed flow configuration (veria-oauth-flows.json)
+   * @param {Object} logger - Logger instance
+   * @param {Object} [options]
+   * @param {string} [options.baseUrl] - Overrides config.baseUrl (staging/preview hosts)
+   */
+  constructor(config, logger, options = {}) {
+    const session = config.session || {};
+    this.logger = logger;
+    this.baseUrl = options.baseUrl || config.baseUrl;
+    this.endpoint = session.endpoint || '/api/auth/session';
+    this.cookieNames = session.cookies || SessionInspector.DEFAULT_COOKIES;
+    this.protectedPath = session.protectedPath || '/dashboard';
+    this.signInPaths = session.signInPaths || ['/signin', '/api/auth/signin', '/login'];
+  }
+
+  /**
+   * Reads session cookies and the session endpoint response.
+   * @param {Object} page - Playwright page on the app's origin
+   * @returns {Promise<Object>} { cookies, sessionCookies, cookieFlags, status, session }
+   */
+  async inspect(page) {
+    const cookies = await page.context().cookies(this.baseUrl);
+    const sessionCookies = cookies.filter(cookie => this.isSessionCookie(cookie.name));
+
+    const response = await page.evaluate(async url => {
+      try {
+        const res = await fetch(url, { credentials: 'include', headers: { Accept: 'application/json' } });
+        const text = await res.text();
+        return { status: res.status, text };
+      } catch (error) {
+        return { status: 0, error: error.message };
+      }
+    }, new URL(this.endpoint, this.baseUrl).toString());
+
+    let session = null;
+    if (response.text) {
+      try {
+        session = JSON.parse(response.text);
+      } catch {
+        this.logger.debug(`Session endpoint returned non-JSON: ${response.text.slice(0, 200)}`);
+      }
+    }
+
+    return {
+      cookies: cookies.map(cookie => cookie.name),
+      sessionCookies: sessionCookies.map(cookie => cookie.name),
+      cookieFlags: sessionCookies.map(({ name, secure, httpOnly, sameSite }) => ({ name, secure, httpOnly, sameSite })),
+      status: response.status,
+      error: response.error,
+      session
+    };
+  }
+
+  /**
+   * Asserts the browser is signed in as the expected user.
+   * @param {Object} page - Playwright page on the app's origin
+   * @param {Object} expected - { email, name, provider } values to compare (undefined skips a field)
+   * @returns {Promise<Object>} { passed, failures, sessionCookies, cookieFlags, user }
+   */
+  async assertSignedIn(page, expected = {}) {
+    const snapshot = await this.inspect(page);
+    const failures = [];
+
+    if (snapshot.sessionCookies.length === 0) {
+      failures.push({
+        check: 'cookie',
+        expected: this.cookieNames,
+        actual: snapshot.cookies,
+        message: 'No session cookie set after login'
+      });
+    }
+
+    const user = snapshot.session && snapshot.session.user;
+    if (snapshot.status !== 200 || !user) {
+      failures.push({
+        check: 'endpoint',
+        expected: `${this.endpoint} returns a user`,
+        actual: snapshot.error || `HTTP ${snapshot.status}: ${JSON.stringify(snapshot.session)}`,
+        message: 'Session endpoint did not return a signed-in user'
+      });
+    } else {
+      failures.push(...this.compareUser(snapshot.session, expected));
+    }
+
+    for (const failure of failures) {
+      this.logger.warn(`Session assertion failed (${failure.check}): ${failure.message}`);
+    }
+
+    return {
+      passed: failures.length === 0,
+      failures,
+      sessionCookies: snapshot.sessionCookies,
+      cookieFlags: snapshot.cookieFlags,
+      user: user || null
+    };
+  }
+
+  /**
+   * Asserts that signing out really ended the session: cookies cleared, the session
+   * endpoint empty, and the protected page bouncing back to sign-in.
+   * Navigates the page away from where it was.
+   * @param {Object} page - Playwright page on the app's origin
+   * @returns {Promise<Object>} { passed, failures, sessionCookies, redirectedTo }
+   */
+  async assertSignedOut(page) {
+    const snapshot = await this.inspect(page);
+    const failures = [];
+
+    if (snapshot.sessionCookies.length > 0) {
+      failures.push({
+        check: 'cookie',
+        expected: [],
+        actual: snapshot.sessionCookies,
+        message: 'Session cookie still set after sign-out'
+      });
+    }
+
+    // NextAuth answers `{}` (older versions `null`) when there is no session
+    const session = snapshot.session;
+    const empty = snapshot.status === 200 && (!session || Object.keys(session).length === 0);
+    if (!empty) {
+      failures.push({
+        check: 'endpoint',
+        expected: `${this.endpoint} returns an empty session`,
+        actual: snapshot.error || `HTTP ${snapshot.status}: ${JSON.stringify(session)}`,
+        message: 'Session endpoint still returns a session after sign-out'
+      });
+    }
+
+    const protectedUrl = new URL(this.protectedPath, this.baseUrl).toString();
+    await page.goto(protectedUrl, { waitUntil: 'domcontentloaded' });
+    const redirectedTo = page.url();
+    const pathname = new URL(redirectedTo).pathname;
+    const onSignIn = this.signInPaths.some(signInPath =>
+      pathname === signInPath || (signInPath !== '/' && pathname.startsWith(`${signInPath}/`)));
+    if (!onSignIn) {
+      failures.push({
+        check: 'redirect',
+        expected: `${this.protectedPath} redirects to ${this.signInPaths.join(' or ')}`,
+        actual: redirectedTo,
+        message: 'Protected page still reachable after sign-out'
+      });
+    }
+
+    for (const failure of failures) {
+      this.logger.warn(`Sign-out assertion failed (${failure.check}): ${failure.message}`);
+    }
+
+    return {
+      passed: failures.length === 0,
+      failures,
+      sessionCookies: snapshot.sessionCookies,
+      redirectedTo
+    };
+  }
+
+  /**
+   * Compares the session user with the expected account.
+   * The provider is only compared when the app exposes it (`session.provider` or
+   * `session.user.provider`); NextAuth does not include it by default.
+   * @returns {Array<Object>} Structured failures
+   */
+  compareUser(session, expected) {
+    const failures = [];
+    const actual = {
+      email: session.user.email,
+      name: session.user.name,
+      provider: session.provider || session.user.provider
+    };
+
+    for (const field of ['email', 'name', 'provider']) {
+      if (expected[field] === undefined || (field === 'provider' && actual.provider === undefined)) {
+        continue;
+      }
+      const matches = field === 'email'
+        ? String(actual.email || '').toLowerCase() === String(expected.email).toLowerCase()
+        : actual[field] === expected[field];
+      if (!matches) {
+        failures.push({
+          check: `user.${field}`,
+          expected: expected[field],
+          actual: actual[field] === undefined ? null : actual[field],
+          message: `Signed in with the wrong ${field}`
+        });
+      }
+    }
+    return failures;
+  }
+
+  isSessionCookie(name) {
+    return this.cookieNames.some(expected => name === expected || name.startsWith(`${expected}.`));
+  }
+}
+
+SessionInspector.DEFAULT_COOKIES = [
+  'next-auth.session-token',
+  '__Secure-next-auth.session-token',
+  'authjs.session-token',
+  '__Secure-authjs.session-token'
+];
+
+module.exports = SessionInspector;
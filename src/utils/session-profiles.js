@@ -0,0 +1,258 @@
+const fs = require('fs').promises;
+const path = require('path');
+
+function isValidName(name) {
+  return /^[\w.-]+$/.test(name || '') && !name.startsWith('.');
+}
+
+/**
+ * SessionProfiles - Named browser sessions (`--profile github-admin`).
+ *
+ * Each profile is `<name>.json` in the profiles directory holding the Playwright
+ * storageState plus where it came from. The orchestrator saves a profile once the
+ * session assertion passes (signed in, before sign-out); scenarios start from one
+ * with `--profile` or `"profile"` in their config. Profiles contain live session
+ * cookies and must stay inside tmp/.
+ */
+class SessionProfiles {
+  /**
+   * @param {Object} logger - Logger instance
+   * @param {Object} [options]
+   * @param {string} [options.dir] - Profiles directory (default tmp/profiles)
+   */
+  constructor(logger, options = {}) {
+    this.logger = logger;
+    this.dir = options.dir || path.join(__dirname, '..', '..', 'tmp', 'profiles');
+  }
+
+  pathFor(name) {
+    if (!isValidName(name)) {
+      throw new Error(`Invalid profile name "${name}" (letters, digits, ".", "_" and "-" only)`);
+    }
+    return path.join(this.dir, `${name}.json`);
+  }
+
+  /**
+   * Saves (or replaces) a profile.
+   * @param {string} name - Profile name
+   * @param {Object} storageState - Playwright storageState
+   * @param {Object} [source] - Where the session came from ({ provider, account, baseUrl })
+   */
+  async save(name, storageState, source = {}) {
+    const profilePath = this.pathFor(name);
+    await fs.mkdir(this.dir, { recursive: true });
+    const profile = { name, savedAt: new Date().toISOString(), source, storageState };
+    await fs.writeFile(profilePath, JSON.stringify(profile, null, 2), { mode: 0o600 });
+    this.logger.success(`Session profile saved: ${name}`);
+  }
+
+  /**
+   * @param {string} name - Profile name
+   * @returns {Promise<Object|null>} Profile { name, savedAt, source, storageState }, or null
+   */
+  async get(name) {
+    try {
+      return JSON.parse(await fs.readFile(this.pathFor(name), 'utf8'));
+    } catch (error) {
+      if (error.code === 'ENOENT') {
+        return null;
+      }
+      throw error;
+    }
+  }
+
+  /**
+   * Loads a profile's storageState for TestExecutorAgent.initialize().
+   * @param {string} name - Profile name
+   * @returns {Promise<Object>} Playwright storageState
+   * @throws {Error} If the profile doesn't exist
+   */
+  async load(name) {
+    const profile = await this.get(name);
+    if (!profile) {
+      throw new Error(`Session profile "${name}" not found in ${this.dir} (create it with: node src/orchestrator.js --provider <name> --profile ${name})`);
+    }
+
+    const { expired } = SessionProfiles.summarizeCookies(profile.storageState.cookies || []);
+    if (expired > 0) {
+      this.logger.warn(`Session profile ${name} has ${expired} expired cookie(s), saved ${profile.savedAt}`);
+    }
+    return profile.storageState;
+  }
+
+  /**
+   * Files whose names aren't valid profile names (copied in by hand) are skipped.
+   * @returns {Promise<Array<Object>>} { name, savedAt, source } per profile, sorted by name
+   */
+  async list() {
+    let files;
+    try {
+      files = await fs.readdir(this.dir);
+    } catch (error) {
+      if (error.code === 'ENOENT') {
+        return [];
+      }
+      throw error;
+    }
+
+    const profiles = [];
+    const names = files.filter(f => f.endsWith('.json')).map(f => path.basename(f, '.json'));
+    for (const profileName of names.filter(isValidName).sort()) {
+      const { name, savedAt, source } = await this.get(profileName);
+      profiles.push({ name, savedAt, source });
+    }
+    return profiles;
+  }
+
+  /**
+   * Describes a profile without exposing cookie values.
+   * @param {string} name - Profile name
+   * @returns {Promise<Object>} { name, savedAt, source, domains, origins, expired }
+   */
+  async inspect(name) {
+    const profile = await this.get(name);
+    if (!profile) {
+      throw new Error(`Session profile "${name}" not found`);
+    }
+
+    const { domains, expired } = SessionProfiles.summarizeCookies(profile.storageState.cookies || []);
+    return {
+      name: profile.name,
+      savedAt: profile.savedAt,
+      source: profile.source,
+      domains,
+      expired,
+      origins: (profile.storageState.origins || []).map(origin => ({
+        origin: origin.origin,
+        localStorage: (origin.localStorage || []).map(item => item.name)
+      }))
+    };
+  }
+
+  /**
+   * @param {string} name - Profile name
+   * @returns {Promise<boolean>} False if there was no such profile
+   */
+  async clear(name) {
+    try {
+      await fs.unlink(this.pathFor(name));
+      this.logger.info(`Session profile cleared: ${name}`);
+      return true;
+    } catch (error) {
+      if (error.code === 'ENOENT') {
+        return false;
+      }
+      throw error;
+    }
+  }
+
+  /**
+   * Writes the profile's storageState as a plain Playwright storage state file
+   * (usable with `npx playwright codegen --load-storage <file>`).
+   * @param {string} name - Profile name
+   * @param {string} destination - Output file
+   */
+  async export(name, destination) {
+    const storageState = await this.load(name);
+    await fs.writeFile(destination, JSON.stringify(storageState, null, 2), { mode: 0o600 });
+    this.logger.success(`Session profile ${name} exported to ${destination}`);
+  }
+
+  /**
+   * Groups cookies by domain with their names and expiry.
+   * @param {Array<Object>} cookies - storageState cookies (`expires` in seconds, -1 for session cookies)
+   * @param {number} [now] - Current time in ms
+   * @returns {{domains: Array<Object>, expired: number}}
+   */
+  static summarizeCookies(cookies, now = Date.now()) {
+    const byDomain = new Map();
+    let expired = 0;
+
+    for (const cookie of cookies) {
+      const entry = byDomain.get(cookie.domain) || { domain: cookie.domain, cookies: [], expires: null, expired: 0 };
+      const persistent = typeof cookie.expires === 'number' && cookie.expires > 0;
+      const isExpired = persistent && cookie.expires * 1000 <= now;
+
+      entry.cookies.push(cookie.name);
+      if (isExpired) {
+        entry.expired++;
+        expired++;
+      } else if (persistent && (entry.expires === null || cookie.expires * 1000 < entry.expires)) {
+        entry.expires = cookie.expires * 1000; // Earliest expiry among live cookies
+      }
+      byDomain.set(cookie.domain, entry);
+    }
+
+    const domains = [...byDomain.values()]
+      .sort((a, b) => a.domain.localeCompare(b.domain))
+      .map(entry => ({ ...entry, expires: entry.expires === null ? 'session' : new Date(entry.expires).toISOString() }));
+    return { domains, expired };
+  }
+}
+
+if (require.main === module) {
+  const Logger = require('./logger');
+  const [command, name, destination] = process.argv.slice(2);
+  const profiles = new SessionProfiles(new Logger(false));
+
+  const commands = {
+    list: async () => {
+      const all = await profiles.list();
+      if (all.length === 0) {
+        console.log(`No session profiles in ${profiles.dir}`);
+      }
+      for (const profile of all) {
+        const source = [profile.source.provider, profile.source.account && `account ${profile.source.account}`]
+          .filter(Boolean).join(', ');
+        console.log(`${profile.name.padEnd(24)} ${profile.savedAt}${source ? `  (${source})` : ''}`);
+      }
+    },
+    inspect: async () => {
+      const report = await profiles.inspect(name);
+      console.log(`Profile: ${report.name}\nSaved:   ${report.savedAt}`);
+      if (report.source.baseUrl) {
+        console.log(`Source:  ${report.source.provider || '?'} on ${report.source.baseUrl}`);
+      }
+      console.log('\nCookies:');
+      for (const domain of report.domains) {
+        const expired = domain.expired > 0 ? `, ${domain.expired} expired` : '';
+        console.log(`  ${domain.domain.padEnd(32)} ${domain.cookies.length} cookie(s), expires ${domain.expires}${expired}`);
+        console.log(`    ${domain.cookies.join(', ')}`);
+      }
+      for (const origin of report.origins) {
+        console.log(`\nlocalStorage ${origin.origin}: ${origin.localStorage.join(', ') || '(empty)'}`);
+      }
+    },
+    clear: async () => {
+      if (!(await profiles.clear(name))) {
+        console.log(`No session profile named ${name}`);
+      }
+    },
+    export: async () => {
+      await profiles.export(name, destination || `${name}-storage-state.json`);
+    }
+  };
+
+  if (!commands[command] || (command !== 'list' && !name)) {
+    console.log(`
+Usage: node src/utils/session-profiles.js <command> [profile]
+
+Commands:
+  list                      List saved session profiles
+  inspect <profile>         Show cookie domains, expiry and localStorage keys
+  clear <profile>           Delete a profile
+  export <profile> [file]   Write the profile as a Playwright storage state file
+
+Profiles are created by: node src/orchestrator.js --provider github --profile github-admin
+and used by:             node src/scenario-runner.js --scenario checkout-flow --profile github-admin
+    `);
+    process.exit(command ? 1 : 0);
+  }
+
+  commands[command]().catch(error => {
+    console.error(error.message);
+    process.exit(1);
+  });
+}
+
+module.exports = SessionProfiles;
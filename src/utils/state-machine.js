@@ -1,40 +1,255 @@
+/**
+ * StateMachine - Executes a provider flow as a state graph.
+ *
+ * A flow is either a linear array of state names (each state transitions to the
+ * next, and finishing the last one completes the flow successfully) or a graph:
+ *
+ *   {
+ *     "initial": "landing",
+ *     "states": {
+ *       "landing":  { "transitions": [{ "to": "dashboard", "when": {...} }, { "to": "provider_auth" }] },
+ *       "callback": { "transitions": [{ "to": "account_not_linked", "when": {...} }, { "to": "dashboard" }] },
+ *       "dashboard": { "transitions": [] },
+ *       "account_not_linked": { "terminal": "failure", "reason": "Account linking error" }
+ *     }
+ *   }
+ *
+ * Transitions with a `when` guard fire as soon as the guard holds (branches such as
+ * consent or 2FA screens). The first transition without a guard is taken once the
+ * state itself has been verified. A state with no unguarded transition ends the flow
+ * successfully; entering a state marked `terminal` ends it with that outcome.
+ */
 class StateMachine {
-  constructor(provider, states) {
+  /**
+   * @param {string} provider - Provider or flow name
+   * @param {Array<string>|Object} flow - Linear state list or flow graph
+   * @param {Object} [options]
+   * @param {number} [options.maxRetries=3] - Retries allowed per state after its first attempt
+   * @param {number} [options.maxActionsPerState=10] - Action budget per state
+   * @param {Object} [options.stateTimeouts={}] - Wall-clock budget in ms keyed by state name
+   * @param {number} [options.defaultTimeout] - Budget for states without their own timeout
+   * @param {number} [options.flowTimeout] - Wall-clock budget in ms for the whole flow
+   */
+  constructor(provider, flow, options = {}) {
     this.provider = provider;
-    this.states = states;
-    this.currentIndex = 0;
+    this.graph = StateMachine.normalize(flow);
+    this.states = Object.keys(this.graph.states);
+    this.current = this.graph.initial;
+    this.currentIndex = this.states.indexOf(this.current);
+    this.outcome = null;             // 'success' | 'failure' once the flow has ended
     this.history = [];
-    this.maxRetries = 3;
+    this.maxRetries = options.maxRetries ?? 3; // 0 is valid: no retries
     this.retryCount = 0;
     this.actionsInCurrentState = 0;  // NEW: Track actions per state
-    this.maxActionsPerState = 10;    // NEW: Prevent infinite loops
+    this.maxActionsPerState = options.maxActionsPerState || 10;    // NEW: Prevent infinite loops
+    this.currentActions = [];        // Actions performed in the current state
+    this.stateTimeouts = options.stateTimeouts || {};
+    this.defaultTimeout = options.defaultTimeout || null;
+    this.flowTimeout = options.flowTimeout || null;
+    this.flowStartedAt = Date.now();
+    this.stateStartedAt = this.flowStartedAt;
+  }
+
+  /**
+   * Converts a linear flow array into the graph format and validates graph flows.
+   * @param {Array<string>|Object} flow - Flow definition from config
+   * @returns {{initial: string, states: Object}} Normalized graph
+   * @throws {Error} If the graph references unknown states
+   */
+  static normalize(flow) {
+    if (Array.isArray(flow)) {
+      const states = {};
+      flow.forEach((name, i) => {
+        states[name] = { transitions: i < flow.length - 1 ? [{ to: flow[i + 1] }] : [] };
+      });
+      return { initial: flow[0], states };
+    }
+
+    if (!flow || !flow.states || !flow.initial) {
+      throw new Error('Flow graph requires "initial" and "states"');
+    }
+    if (!flow.states[flow.initial]) {
+      throw new Error(`Initial state ${flow.initial} is not defined in flow graph`);
+    }
+    for (const [name, node] of Object.entries(flow.states)) {
+      for (const transition of node.transitions || []) {
+        if (!flow.states[transition.to]) {
+          throw new Error(`State ${name} transitions to undefined state ${transition.to}`);
+        }
+      }
+    }
+    return flow;
   }
 
   getCurrentState() {
-    return this.states[this.currentIndex];
+    return this.current;
   }
 
+  /**
+   * Returns the graph node for a state.
+   * @param {string} [state] - State name, defaults to the current state
+   * @returns {Object} Node with transitions, terminal and reason fields
+   */
+  getNode(state = this.current) {
+    return this.graph.states[state] || {};
+  }
+
+  /**
+   * Returns the default (unguarded) next state, or null if the flow ends here.
+   */
   getNextState() {
-    if (this.currentIndex < this.states.length - 1) {
-      return this.states[this.currentIndex + 1];
+    const transition = (this.getNode().transitions || []).find(t => !t.when);
+    return transition ? transition.to : null;
+  }
+
+  /**
+   * Finds the first guarded transition out of the current state whose guard holds.
+   * @param {function(Object): Promise<boolean>} evaluateGuard - Evaluates a `when` predicate
+   * @returns {Promise<Object|null>} Matching transition, or null if no guard holds
+   */
+  async selectTransition(evaluateGuard) {
+    for (const transition of this.getNode().transitions || []) {
+      if (transition.when && await evaluateGuard(transition.when)) {
+        return transition;
+      }
     }
     return null;
   }
 
-  advance() {
-    if (this.currentIndex < this.states.length) {
+  /**
+   * Returns the wall-clock budget for a state.
+   * @param {string} [state] - State name, defaults to the current state
+   * @returns {number|null} Budget in milliseconds, or null if unbounded
+   */
+  getStateTimeout(state = this.current) {
+    return this.stateTimeouts[state] || this.defaultTimeout;
+  }
+
+  /**
+   * Returns the time left before the current state or the whole flow runs out of budget,
+   * whichever comes first.
+   * @returns {{ms: number, scope: string}|null} Remaining budget, or null if unbounded
+   */
+  getRemainingTime() {
+    const now = Date.now();
+    const candidates = [];
+
+    const stateTimeout = this.getStateTimeout();
+    if (stateTimeout) {
+      candidates.push({ ms: this.stateStartedAt + stateTimeout - now, scope: 'state' });
+    }
+    if (this.flowTimeout) {
+      candidates.push({ ms: this.flowStartedAt + this.flowTimeout - now, scope: 'flow' });
+    }
+
+    if (candidates.length === 0) {
+      return null;
+    }
+    return candidates.reduce((min, c) => (c.ms < min.ms ? c : min));
+  }
+
+  /**
+   * Runs an operation whose duration doesn't count against the state and flow budgets,
+   * such as waiting for a person to confirm a flagged action.
+   * @param {function(): Promise<*>} operation - Operation to run with the clocks paused
+   * @returns {Promise<*>} Result of the operation
+   */
+  async untimed(operation) {
+    const pausedAt = Date.now();
+    try {
+      return await operation();
+    } finally {
+      const paused = Date.now() - pausedAt;
+      this.stateStartedAt += paused;
+      this.flowStartedAt += paused;
+    }
+  }
+
+  /**
+   * Records an action executed inside the current state.
+   * @param {object} action - Computer Use action ({ name, args })
+   * @param {object} result - Execution result from TestExecutorAgent
+   */
+  recordAction(action, result) {
+    this.actionsInCurrentState++;
+    this.currentActions.push({
+      name: action.name,
+      args: action.args,
+      success: result.success,
+      error: result.error,
+      timestamp: new Date().toISOString()
+    });
+  }
+
+  /**
+   * Completes the current state and moves to the next one.
+   * @param {string} [to] - Target state; defaults to the unguarded transition
+   * @returns {boolean} True if the machine moved, false if it had already ended
+   */
+  advance(to) {
+    if (this.isComplete()) {
+      return false;
+    }
+
+    const next = to || this.getNextState();
+
+    this.history.push({
+      state: this.current,
+      timestamp: new Date().toISOString(),
+      success: true,
+      actionsPerformed: this.actionsInCurrentState,  // NEW
+      actions: this.currentActions,
+      durationMs: Date.now() - this.stateStartedAt,
+      next
+    });
+    this.retryCount = 0;
+    this.actionsInCurrentState = 0;  // NEW: Reset counter
+    this.currentActions = [];
+
+    if (!next) {
+      this.end('success');
+      return true;
+    }
+
+    this.current = next;
+    this.currentIndex = this.states.indexOf(next);
+    this.stateStartedAt = Date.now();
+
+    const node = this.getNode();
+    if (node.terminal) {
       this.history.push({
-        state: this.getCurrentState(),
+        state: next,
         timestamp: new Date().toISOString(),
-        success: true,
-        actionsPerformed: this.actionsInCurrentState  // NEW
+        success: node.terminal === 'success',
+        terminal: node.terminal,
+        reason: node.reason
       });
-      this.currentIndex++;
-      this.retryCount = 0;
-      this.actionsInCurrentState = 0;  // NEW: Reset counter
-      return true;
+      this.end(node.terminal);
     }
-    return false;
+    return true;
+  }
+
+  /**
+   * Records the current state as failed and ends the flow.
+   * @param {string} reason - Why the state failed
+   */
+  fail(reason) {
+    this.history.push({
+      state: this.current,
+      timestamp: new Date().toISOString(),
+      success: false,
+      reason,
+      actionsPerformed: this.actionsInCurrentState,
+      actions: this.currentActions,
+      durationMs: Date.now() - this.stateStartedAt
+    });
+    this.end('failure');
+  }
+
+  end(outcome) {
+    this.outcome = outcome;
+    this.current = null;
+    this.currentIndex = this.states.length;
   }
 
   /**
@@ -44,31 +259,87 @@ class StateMachine {
    */
   retry() {
     this.retryCount++;
-    if (this.retryCount >= this.maxRetries) {
-      this.history.push({
-        state: this.getCurrentState(),
-        timestamp: new Date().toISOString(),
-        success: false,
-        reason: 'Max retries exceeded'
-      });
+    if (this.retryCount > this.maxRetries) {
+      this.fail('Max retries exceeded');
       return false;
     }
     return true;
   }
 
   /**
-   * Checks if the state machine has completed all states.
-   * The machine is considered complete when we've advanced past the last state.
-   * @returns {boolean} True if all states have been executed, false otherwise
+   * Checks if the state machine has reached the end of the flow.
+   * The machine is complete once it finished a state without outgoing transitions,
+   * entered a terminal state or failed.
+   * @returns {boolean} True if the flow has ended, false otherwise
    */
   isComplete() {
-    return this.currentIndex >= this.states.length;
+    return this.outcome !== null;
+  }
+
+  /**
+   * @returns {boolean} True if the flow ended in a success outcome
+   */
+  isSuccessful() {
+    return this.outcome === 'success';
+  }
+
+  /**
+   * Returns the reason recorded for a failure outcome, if any.
+   */
+  getFailureReason() {
+    const last = this.history[this.history.length - 1];
+    return this.outcome === 'failure' && last ? last.reason : null;
+  }
+
+  /**
+   * @returns {Array<string>} State names in the order they were actually visited
+   */
+  getPath() {
+    return this.history.map(entry => entry.state);
+  }
+
+  /**
+   * Captures the position in the flow so a run can be resumed later.
+   * @returns {{current: string, outcome: string, history: Array}} Serializable snapshot
+   */
+  snapshot() {
+    return {
+      current: this.current,
+      outcome: this.outcome,
+      history: this.history
+    };
+  }
+
+  /**
+   * Restores a snapshot taken by snapshot(). Budgets for the restored state start fresh.
+   * @param {Object} snapshot - Snapshot from a checkpoint
+   * @throws {Error} If the snapshot refers to a state that is not in this flow
+   */
+  restore(snapshot) {
+    if (snapshot.current && !this.graph.states[snapshot.current]) {
+      throw new Error(`Cannot resume: state ${snapshot.current} is not part of the ${this.provider} flow`);
+    }
+    this.current = snapshot.current;
+    this.currentIndex = snapshot.current ? this.states.indexOf(snapshot.current) : this.states.length;
+    this.outcome = snapshot.outcome || null;
+    this.history = [...(snapshot.history || [])]; // Copy: the snapshot may be restored again
+    this.retryCount = 0;
+    this.actionsInCurrentState = 0;
+    this.currentActions = [];
+    this.flowStartedAt = Date.now();
+    this.stateStartedAt = this.flowStartedAt;
   }
 
   reset() {
-    this.currentIndex = 0;
+    this.current = this.graph.initial;
+    this.currentIndex = this.states.indexOf(this.current);
+    this.outcome = null;
     this.retryCount = 0;
+    this.actionsInCurrentState = 0;
+    this.currentActions = [];
     this.history = [];
+    this.flowStartedAt = Date.now();
+    this.stateStartedAt = this.flowStartedAt;
   }
 
   getHistory() {
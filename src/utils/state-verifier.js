@@ -0,0 +1,243 @@
+/**
+ * StateVerifier - Evaluates the declarative success/failure predicates that
+ * each entry in the flow config's `states` map declares.
+ *
+ * A state definition may contain:
+ *   success:  predicate that must hold for the state to be complete
+ *   failures: [{ when: predicate, message, fatal }] checked before success
+ *   minActions / warnBeforeMaxActions: action-count rules (overridable per provider
+ *   through `provider.rules[stateName]`)
+ *
+ * Predicates are plain objects; every key present must hold (logical AND):
+ *   host:         hostname, matches exact host or any subdomain of it
+ *   urlIncludes:  string or array of strings, any must be contained in the URL
+ *   urlEquals:    string or array of strings, URL must equal one of them
+ *   urlMatches:   regular expression source tested against the URL
+ *   pathIncludes: string or array of strings, any must be contained in the pathname
+ *   query:        { name: true | false | value | [values] } query parameter checks
+ *   text:         string or array of strings, all must be visible on the page
+ *   cookie:       cookie name or array of names, any must be present in the context
+ *   allOf / anyOf: arrays of nested predicates
+ *   not:          nested predicate that must NOT hold
+ *
+ * String values support `{{baseHost}}`, `{{baseUrl}}` and `{{provider}}` placeholders.
+ */
+class StateVerifier {
+  /**
+   * @param {Object} config - Parsed flow configuration (veria-oauth-flows.json)
+   * @param {Object} logger - Logger instance
+   * @param {Object} [options]
+   * @param {string} [options.baseUrl] - Overrides config.baseUrl (staging/preview hosts)
+   */
+  constructor(config, logger, options = {}) {
+    this.config = config;
+    this.logger = logger;
+    this.baseUrl = options.baseUrl || config.baseUrl;
+    this.baseHost = new URL(this.baseUrl).hostname.replace(/^www\./, '');
+  }
+
+  /**
+   * Resolves the effective rules for a state, merging provider overrides on top
+   * of the state definition.
+   * @param {string} stateName - State name
+   * @param {Object} [providerConfig] - Provider entry from config.providers
+   * @returns {Object|null} Merged state definition, or null if the state is unknown
+   */
+  getStateDefinition(stateName, providerConfig) {
+    const base = (this.config.states || {})[stateName];
+    if (!base) {
+      return null;
+    }
+    const overrides = (providerConfig && providerConfig.rules && providerConfig.rules[stateName]) || {};
+    return { ...base, ...overrides };
+  }
+
+  /**
+   * Verifies whether the given state is complete.
+   * @param {string} stateName - The current state in the state machine
+   * @param {Object} context
+   * @param {string} context.url - The current page URL
+   * @param {Object} [context.providerConfig] - Provider entry from config.providers
+   * @param {number} [context.actionsInState=0] - Actions performed in this state so far
+   * @param {number} [context.maxActionsPerState] - Action budget for the state
+   * @param {Object} [context.page] - Playwright page, required for text and cookie predicates
+   * @returns {Promise<{passed: boolean, reason?: string, failure?: {message: string, fatal: boolean}}>}
+   */
+  async verify(stateName, context) {
+    const definition = this.getStateDefinition(stateName, context.providerConfig);
+    const provider = context.providerConfig ? context.providerConfig.name : '';
+    const actions = context.actionsInState || 0;
+
+    if (!definition) {
+      this.logger.warn(`Unknown state for verification: ${stateName}`);
+      return { passed: true, reason: 'No definition for state' }; // Don't block unknown states
+    }
+
+    const evalContext = { url: context.url, page: context.page, provider };
+
+    for (const failure of definition.failures || []) {
+      if (await this.evaluate(failure.when, evalContext)) {
+        const message = this.interpolate(failure.message || `Failure condition matched in ${stateName}`, provider);
+        this.logger.warn(message);
+        this.logger.warn(`URL: ${context.url}`);
+        return { passed: false, reason: message, failure: { message, fatal: failure.fatal === true } };
+      }
+    }
+
+    if (definition.minActions && actions < definition.minActions) {
+      const reason = `${stateName} needs ${definition.minActions} actions, currently: ${actions}`;
+      this.logger.debug(reason);
+      return { passed: false, reason };
+    }
+
+    const passed = definition.success ? await this.evaluate(definition.success, evalContext) : true;
+
+    if (!passed) {
+      const reason = `${stateName} verification failed - URL: ${context.url}`;
+      const warnAt = context.maxActionsPerState && definition.warnBeforeMaxActions !== undefined
+        ? context.maxActionsPerState - definition.warnBeforeMaxActions
+        : 0;
+      if (actions >= warnAt) {
+        this.logger.warn(reason);
+        if (definition.expect) {
+          this.logger.warn(`Expected: ${definition.expect}`);
+        }
+      }
+      return { passed: false, reason };
+    }
+
+    this.logger.debug(`✓ ${stateName} verified after ${actions} actions`);
+    return { passed: true };
+  }
+
+  /**
+   * Evaluates a predicate against the current page.
+   * @param {Object} predicate - Predicate object (see class documentation)
+   * @param {Object} ctx - { url, page, provider }
+   * @returns {Promise<boolean>} True if every clause of the predicate holds
+   */
+  async evaluate(predicate, ctx) {
+    if (!predicate) {
+      return true;
+    }
+
+    let parsed;
+    try {
+      parsed = new URL(ctx.url);
+    } catch (error) {
+      parsed = null;
+    }
+
+    for (const [key, expected] of Object.entries(predicate)) {
+      let holds;
+
+      switch (key) {
+        case 'host': {
+          const host = this.interpolate(expected, ctx.provider).replace(/^www\./, '');
+          holds = !!parsed && (parsed.hostname === host || parsed.hostname.endsWith(`.${host}`));
+          break;
+        }
+
+        case 'urlIncludes':
+          holds = this.toList(expected, ctx.provider).some(value => ctx.url.includes(value));
+          break;
+
+        case 'urlEquals':
+          holds = this.toList(expected, ctx.provider).includes(ctx.url);
+          break;
+
+        case 'urlMatches':
+          holds = new RegExp(this.interpolate(expected, ctx.provider)).test(ctx.url);
+          break;
+
+        case 'pathIncludes':
+          holds = !!parsed && this.toList(expected, ctx.provider).some(value => parsed.pathname.includes(value));
+          break;
+
+        case 'query':
+          holds = !!parsed && Object.entries(expected).every(([name, want]) => {
+            const actual = parsed.searchParams.get(name);
+            if (want === true) return actual !== null;
+            if (want === false) return actual === null;
+            return this.toList(want, ctx.provider).includes(actual);
+          });
+          break;
+
+        case 'text':
+          holds = await this.hasVisibleText(ctx.page, this.toList(expected, ctx.provider));
+          break;
+
+        case 'cookie':
+          holds = await this.hasCookie(ctx.page, this.toList(expected, ctx.provider));
+          break;
+
+        case 'allOf':
+          holds = true;
+          for (const nested of expected) {
+            if (!(await this.evaluate(nested, ctx))) {
+              holds = false;
+              break;
+            }
+          }
+          break;
+
+        case 'anyOf':
+          holds = false;
+          for (const nested of expected) {
+            if (await this.evaluate(nested, ctx)) {
+              holds = true;
+              break;
+            }
+          }
+          break;
+
+        case 'not':
+          holds = !(await this.evaluate(expected, ctx));
+          break;
+
+        default:
+          throw new Error(`Unknown verifier predicate: ${key}`);
+      }
+
+      if (!holds) {
+        return false;
+      }
+    }
+
+    return true;
+  }
+
+  async hasVisibleText(page, texts) {
+    if (!page) {
+      this.logger.debug('Text predicate skipped: no page available');
+      return false;
+    }
+    const bodyText = await page.locator('body').innerText().catch(() => '');
+    return texts.every(text => bodyText.includes(text));
+  }
+
+  async hasCookie(page, names) {
+    if (!page) {
+      this.logger.debug('Cookie predicate skipped: no page available');
+      return false;
+    }
+    const cookies = await page.context().cookies();
+    return cookies.some(cookie => names.includes(cookie.name));
+  }
+
+  toList(value, provider) {
+    return (Array.isArray(value) ? value : [value]).map(v => this.interpolate(v, provider));
+  }
+
+  interpolate(value, provider) {
+    if (typeof value !== 'string') {
+      return value;
+    }
+    return value
+      .replace(/\{\{baseHost\}\}/g, this.baseHost)
+      .replace(/\{\{baseUrl\}\}/g, this.baseUrl)
+      .replace(/\{\{provider\}\}/g, provider || '');
+  }
+}
+
+module.exports = StateVerifier;
@@ -0,0 +1,36 @@
+/**
+ * Error raised when a state or flow exceeds its wall-clock budget.
+ */
+class TimeoutError extends Error {
+  constructor(message, scope) {
+    super(message);
+    this.name = 'TimeoutError';
+    this.scope = scope; // 'state' | 'flow' | 'task'
+  }
+}
+
+/**
+ * Races a promise against a timer.
+ * The underlying operation is not cancelled; callers are expected to tear down
+ * the browser after a timeout.
+ * @param {Promise} promise - Operation to bound
+ * @param {number} ms - Budget in milliseconds
+ * @param {string} message - Error message if the budget runs out
+ * @param {string} [scope='state'] - Which budget was exceeded
+ * @returns {Promise} Resolves with the operation's result
+ * @throws {TimeoutError} If the budget runs out first
+ */
+function withTimeout(promise, ms, message, scope = 'state') {
+  if (ms <= 0) {
+    return Promise.reject(new TimeoutError(message, scope));
+  }
+
+  let timer;
+  const timeout = new Promise((_, reject) => {
+    timer = setTimeout(() => reject(new TimeoutError(message, scope)), ms);
+  });
+
+  return Promise.race([promise, timeout]).finally(() => clearTimeout(timer));
+}
+
+module.exports = { TimeoutError, withTimeout };
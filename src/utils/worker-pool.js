@@ -0,0 +1,59 @@
+/**
+ * Runs tasks with at most `concurrency` in flight and returns results in input order.
+ *
+ * Each task is handed the worker slot it runs on (0..concurrency-1), so callers can
+ * derive per-worker resources such as CDP ports. Tasks that share a `keyOf` value
+ * never run at the same time (e.g. runs that start a server on a fixed port).
+ *
+ * @param {Array<*>} items - Task inputs
+ * @param {number} concurrency - Maximum parallel tasks (values below 1 are treated as 1)
+ * @param {function(*, number): Promise<*>} worker - Runs one task: (item, workerIndex) → result
+ * @param {Object} [options]
+ * @param {function(*): (string|null)} [options.keyOf] - Exclusivity key for an item
+ * @returns {Promise<Array<*>>} Results in the order of `items`
+ */
+async function runPool(items, concurrency, worker, options = {}) {
+  const keyOf = options.keyOf || (() => null);
+  const results = new Array(items.length);
+  const pending = items.map((item, index) => index);
+  const busyKeys = new Set();
+  let waiting = [];
+
+  const nextIndex = () => {
+    const position = pending.findIndex(index => {
+      const key = keyOf(items[index]);
+      return key === null || key === undefined || !busyKeys.has(key);
+    });
+    return position === -1 ? null : pending.splice(position, 1)[0];
+  };
+
+  const runWorker = async workerIndex => {
+    while (pending.length > 0) {
+      const index = nextIndex();
+      if (index === null) {
+        // Everything left is blocked on a key held by another worker
+        await new Promise(resolve => waiting.push(resolve));
+        continue;
+      }
+
+      const key = keyOf(items[index]);
+      if (key !== null && key !== undefined) {
+        busyKeys.add(key);
+      }
+      try {
+        results[index] = await worker(items[index], workerIndex);
+      } finally {
+        busyKeys.delete(key);
+        const blocked = waiting;
+        waiting = [];
+        blocked.forEach(resolve => resolve());
+      }
+    }
+  };
+
+  const size = Math.max(1, Math.min(concurrency || 1, items.length));
+  await Promise.all(Array.from({ length: size }, (_, workerIndex) => runWorker(workerIndex)));
+  return results;
+}
+
+module.exports = { runPool };
@@ -0,0 +1,259 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const AccountPool = require('../src/utils/account-pool');
+
+/**
+ * Test suite for test-account leasing
+ */
+
+const mockLogger = {
+  info: () => {},
+  warn: () => {},
+  error: () => {},
+  debug: () => {}
+};
+
+const ACCOUNTS = AccountPool.accountsFor({
+  testAccounts: [
+    { id: 'primary', username: 'alice' },
+    { id: 'secondary', username: 'bob' }
+  ]
+});
+
+function createPool(options = {}) {
+  const root = fs.mkdtempSync(path.join(os.tmpdir(), 'account-pool-'));
+  return new AccountPool(mockLogger, {
+    leaseDir: path.join(root, 'leases'),
+    sessionRoot: path.join(root, 'sessions'),
+    timeout: 200,
+    pollInterval: 20,
+    ...options
+  });
+}
+
+async function testExclusiveLeases() {
+  console.log('\n=== Test: concurrent leases get different accounts ===\n');
+
+  try {
+    const pool = createPool();
+    const [first, second] = await Promise.all([
+      pool.lease('github', ACCOUNTS),
+      pool.lease('github', ACCOUNTS)
+    ]);
+
+    if (first.accountId === second.accountId) {
+      throw new Error(`Both runs leased account ${first.accountId}`);
+    }
+    if (first.sessionDir === second.sessionDir || !fs.existsSync(first.sessionDir)) {
+      throw new Error('Leased accounts must get their own session directory');
+    }
+
+    let timedOut = false;
+    await pool.lease('github', ACCOUNTS).catch(error => {
+      timedOut = /No free github test account/.test(error.message);
+    });
+    if (!timedOut) {
+      throw new Error('Third lease should time out while both accounts are leased');
+    }
+
+    await pool.release(first);
+    await pool.release(first); // idempotent
+    const third = await pool.lease('github', ACCOUNTS);
+    if (third.accountId !== first.accountId) {
+      throw new Error(`Expected released account ${first.accountId}, got ${third.accountId}`);
+    }
+
+    await pool.release(second);
+    await pool.release(third);
+    if (fs.readdirSync(pool.leaseDir).length !== 0) {
+      throw new Error('Lock files left behind after release');
+    }
+
+    console.log('✅ Test passed: leases are exclusive and released accounts are reused');
+    return true;
+
+  } catch (error) {
+    console.error('❌ Test failed:', error.message);
+    return false;
+  }
+}
+
+async function testStaleLockReclaimed() {
+  console.log('\n=== Test: lock left by a dead process is reclaimed ===\n');
+
+  try {
+    const pool = createPool();
+    fs.mkdirSync(pool.leaseDir, { recursive: true });
+
+    // Highest pid on Linux is 4194304, so this one can't be running
+    fs.writeFileSync(path.join(pool.leaseDir, 'github-primary.lock'),
+      JSON.stringify({ pid: 4194305, host: os.hostname(), leasedAt: new Date().toISOString() }));
+    // Live owner (this process) on the other account
+    fs.writeFileSync(path.join(pool.leaseDir, 'github-secondary.lock'),
+      JSON.stringify({ pid: process.pid, host: os.hostname(), leasedAt: new Date().toISOString() }));
+
+    const lease = await pool.lease('github', ACCOUNTS);
+    if (lease.accountId !== 'primary') {
+      throw new Error(`Expected the stale primary lock to be reclaimed, got ${lease.accountId}`);
+    }
+
+    const owner = JSON.parse(fs.readFileSync(lease.lockPath, 'utf8'));
+    if (owner.pid !== process.pid) {
+      throw new Error('Reclaimed lock should record the new owner');
+    }
+
+    await pool.release(lease);
+    console.log('✅ Test passed: stale lock reclaimed, live lock respected');
+    return true;
+
+  } catch (error) {
+    console.error('❌ Test failed:', error.message);
+    return false;
+  }
+}
+
+async function testConcurrentReclaim() {
+  console.log('\n=== Test: only one of two racing processes reclaims a stale lock ===\n');
+
+  try {
+    const first = createPool();
+    const second = new AccountPool(mockLogger, { leaseDir: first.leaseDir, sessionRoot: first.sessionRoot, timeout: 200, pollInterval: 20 });
+    fs.mkdirSync(first.leaseDir, { recursive: true });
+    fs.writeFileSync(path.join(first.leaseDir, 'github-primary.lock'),
+      JSON.stringify({ pid: 4194305, host: os.hostname(), leasedAt: new Date().toISOString() }));
+
+    const primaryOnly = ACCOUNTS.filter(({ id }) => id === 'primary');
+    const outcomes = await Promise.allSettled([
+      first.lease('github', primaryOnly),
+      second.lease('github', primaryOnly)
+    ]);
+
+    const won = outcomes.filter(outcome => outcome.status === 'fulfilled');
+    if (won.length !== 1) {
+      throw new Error(`Expected exactly one reclaim to win, got ${won.length}`);
+    }
+    const leftovers = fs.readdirSync(first.leaseDir).filter(name => name.includes('.stale-'));
+    if (leftovers.length > 0) {
+      throw new Error(`Stale locks moved aside should be removed: ${leftovers.join(', ')}`);
+    }
+
+    await first.release(won[0].value);
+    await second.release(won[0].value);
+    console.log('✅ Test passed: one winner, the other keeps waiting');
+    return true;
+
+  } catch (error) {
+    console.error('❌ Test failed:', error.message);
+    return false;
+  }
+}
+
+async function testLeaseTimeoutFailsOnlyThatRun() {
+  console.log('\n=== Test: a lease timeout fails the provider run, not the whole run ===\n');
+
+  try {
+    process.env.GEMINI_API_KEY = process.env.GEMINI_API_KEY || 'test-key';
+    process.env.VERIA_PROJECT_PATH = process.env.VERIA_PROJECT_PATH || os.tmpdir();
+    const OAuthOrchestrator = require('../src/orchestrator');
+    const orchestrator = new OAuthOrchestrator({ concurrency: 2 });
+    orchestrator.logger = { ...mockLogger, success: () => {}, step: () => {}, addRedactor: () => () => {} };
+    await orchestrator.loadConfig();
+    orchestrator.outputDir = fs.mkdtempSync(path.join(os.tmpdir(), 'orchestrator-'));
+    orchestrator.accountPool = createPool();
+
+    // google has a single account: hold it so the run can't lease one
+    const google = orchestrator.config.providers.find(provider => provider.name === 'google');
+    const held = await orchestrator.accountPool.lease('google', AccountPool.accountsFor(google));
+
+    const result = await orchestrator.testProvider('google', null, { index: 0 });
+    if (result.status !== 'failed' || !/No free google test account/.test(result.error)) {
+      throw new Error(`Expected a failed google result, got ${JSON.stringify(result)}`);
+    }
+    await orchestrator.accountPool.release(held);
+
+    if (orchestrator.exclusiveKey('google', 2) !== 'accounts-google' || orchestrator.exclusiveKey('google', 1) !== null) {
+      throw new Error('Runs of a provider with fewer accounts than workers should take turns');
+    }
+    if (orchestrator.exclusiveKey('mock', 2) !== 'local-services') {
+      throw new Error('Local-service providers keep their shared key');
+    }
+
+    console.log('✅ Test passed: failed result returned, single-account runs serialized');
+    return true;
+
+  } catch (error) {
+    console.error('❌ Test failed:', error.message);
+    return false;
+  }
+}
+
+async function testAccountsFor() {
+  console.log('\n=== Test: pool entries from testAccount / testAccounts ===\n');
+
+  try {
+    const single = AccountPool.accountsFor({ testAccount: { username: 'alice' } });
+    if (single.length !== 1 || single[0].id !== '1' || single[0].account.username !== 'alice') {
+      throw new Error(`Unexpected single-account pool: ${JSON.stringify(single)}`);
+    }
+
+    process.env.ACCOUNT_POOL_TEST_USER = 'alice';
+    delete process.env.ACCOUNT_POOL_TEST_USER_2;
+    const pool = AccountPool.accountsFor({
+      testAccounts: [
+        { id: 'primary', username: 'process.env.ACCOUNT_POOL_TEST_USER', totpSecret: 'process.env.UNSET_TOTP' },
+        { id: 'secondary', username: 'process.env.ACCOUNT_POOL_TEST_USER_2' }
+      ]
+    });
+    if (pool.map(entry => entry.id).join(',') !== 'primary' || 'id' in pool[0].account) {
+      throw new Error(`Unconfigured entry should be skipped: ${JSON.stringify(pool)}`);
+    }
+
+    console.log('✅ Test passed: IDs assigned, unconfigured accounts skipped');
+    return true;
+
+  } catch (error) {
+    console.error('❌ Test failed:', error.message);
+    return false;
+  }
+}
+
+// Run all tests
+async function runTests() {
+  console.log('='.repeat(70));
+  console.log('Running Account Pool Tests');
+  console.log('='.repeat(70));
+
+  const tests = [
+    testExclusiveLeases,
+    testStaleLockReclaimed,
+    testConcurrentReclaim,
+    testLeaseTimeoutFailsOnlyThatRun,
+    testAccountsFor
+  ];
+
+  const results = { passed: 0, failed: 0 };
+  for (const test of tests) {
+    if (await test()) results.passed++;
+    else results.failed++;
+  }
+
+  // Summary
+  console.log('\n' + '='.repeat(70));
+  console.log('Test Summary');
+  console.log('='.repeat(70));
+  console.log(`✅ Passed: ${results.passed}`);
+  console.log(`❌ Failed: ${results.failed}`);
+
+  process.exit(results.failed === 0 ? 0 : 1);
+}
+
+// Run tests if executed directly
+if (require.main === module) {
+  runTests().catch(error => {
+    console.error('Test execution failed:', error);
+    process.exit(1);
+  });
+}
+
+module.exports = { runTests };
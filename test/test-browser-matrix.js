@@ -0,0 +1,155 @@
+const { compareEngineResults } = require('../src/utils/browser-matrix');
+const ScenarioRunner = require('../src/scenario-runner');
+
+/**
+ * Test suite for cross-browser scenario matrices
+ */
+
+const passed = { status: 'passed', steps: [{ state: 'landing', success: true }, { state: 'menu', success: true }] };
+const failedAtMenu = {
+  status: 'failed',
+  failedStep: 'menu',
+  steps: [{ state: 'landing', success: true }, { state: 'menu', success: false, error: 'Menu did not open' }]
+};
+const failedAtLanding = {
+  status: 'failed',
+  failedStep: 'landing',
+  steps: [{ state: 'landing', success: false, error: 'Page did not load' }]
+};
+
+async function testEngineSpecific() {
+  console.log('\n=== Test: failure that other engines pass is engine-specific ===\n');
+
+  try {
+    const comparison = compareEngineResults({ chromium: passed, firefox: passed, webkit: failedAtMenu });
+
+    if (comparison.status !== 'failed' || comparison.failures.length !== 1) {
+      throw new Error(`Unexpected comparison: ${JSON.stringify(comparison)}`);
+    }
+    const [failure] = comparison.failures;
+    if (failure.browser !== 'webkit' || failure.step !== 'menu' || failure.scope !== 'engine-specific') {
+      throw new Error(`Unexpected failure: ${JSON.stringify(failure)}`);
+    }
+    if (failure.error !== 'Menu did not open' || failure.passedIn.join(',') !== 'chromium,firefox') {
+      throw new Error(`Missing error or passing engines: ${JSON.stringify(failure)}`);
+    }
+    if (JSON.stringify(comparison.summary) !== JSON.stringify({ chromium: 'passed', firefox: 'passed', webkit: 'failed' })) {
+      throw new Error(`Unexpected summary: ${JSON.stringify(comparison.summary)}`);
+    }
+
+    console.log('✅ Test passed: webkit-only failure classified as engine-specific');
+    return true;
+
+  } catch (error) {
+    console.error('❌ Test failed:', error.message);
+    return false;
+  }
+}
+
+async function testUniversalAndInconclusive() {
+  console.log('\n=== Test: universal and inconclusive failures ===\n');
+
+  try {
+    const universal = compareEngineResults({ chromium: failedAtMenu, firefox: failedAtMenu });
+    if (universal.failures.some(f => f.scope !== 'universal')) {
+      throw new Error(`Expected universal failures: ${JSON.stringify(universal.failures)}`);
+    }
+
+    const mixed = compareEngineResults({ chromium: failedAtMenu, firefox: failedAtLanding });
+    const chromium = mixed.failures.find(f => f.browser === 'chromium');
+    const firefox = mixed.failures.find(f => f.browser === 'firefox');
+    if (chromium.scope !== 'inconclusive') {
+      throw new Error(`chromium failed at a step firefox never reached, got ${chromium.scope}`);
+    }
+    if (firefox.scope !== 'engine-specific') {
+      throw new Error(`firefox failed at a step chromium passed, got ${firefox.scope}`);
+    }
+
+    const launch = compareEngineResults({ chromium: passed, webkit: { status: 'failed', error: 'Executable doesn\'t exist', steps: [] } });
+    if (launch.failures[0].step !== 'setup' || launch.failures[0].scope !== 'inconclusive') {
+      throw new Error(`Launch failure should be a setup failure: ${JSON.stringify(launch.failures[0])}`);
+    }
+
+    console.log('✅ Test passed: universal, inconclusive and setup failures');
+    return true;
+
+  } catch (error) {
+    console.error('❌ Test failed:', error.message);
+    return false;
+  }
+}
+
+async function testMergeBrowserRuns() {
+  console.log('\n=== Test: per-engine runs merged side by side ===\n');
+
+  try {
+    const runner = new ScenarioRunner({});
+    const tasks = [
+      { name: 'form-validation', engine: null },
+      { name: 'navigation-test', engine: 'chromium' },
+      { name: 'navigation-test', engine: 'webkit' }
+    ];
+    const runs = [
+      { scenario: 'form-validation', status: 'passed' },
+      { ...passed, scenario: 'navigation-test', browser: 'chromium', startTime: 100, endTime: 300 },
+      { ...failedAtMenu, scenario: 'navigation-test', browser: 'webkit', startTime: 150, endTime: 500 }
+    ];
+
+    const results = runner.mergeBrowserRuns(tasks, runs);
+    if (results.length !== 2 || results[0].scenario !== 'form-validation') {
+      throw new Error(`Expected one result per scenario: ${JSON.stringify(results.map(r => r.scenario))}`);
+    }
+    const matrix = results[1];
+    if (Object.keys(matrix.browsers).join(',') !== 'chromium,webkit' || matrix.status !== 'failed') {
+      throw new Error(`Unexpected matrix result: ${JSON.stringify(matrix)}`);
+    }
+    if (matrix.duration !== 400 || matrix.matrix.failures[0].scope !== 'engine-specific') {
+      throw new Error(`Unexpected duration or classification: ${JSON.stringify(matrix.matrix)}`);
+    }
+
+    console.log('✅ Test passed: matrix runs merged');
+    return true;
+
+  } catch (error) {
+    console.error('❌ Test failed:', error.message);
+    return false;
+  }
+}
+
+// Run all tests
+async function runTests() {
+  console.log('='.repeat(70));
+  console.log('Running Browser Matrix Tests');
+  console.log('='.repeat(70));
+
+  const tests = [
+    testEngineSpecific,
+    testUniversalAndInconclusive,
+    testMergeBrowserRuns
+  ];
+
+  const results = { passed: 0, failed: 0 };
+  for (const test of tests) {
+    if (await test()) results.passed++;
+    else results.failed++;
+  }
+
+  // Summary
+  console.log('\n' + '='.repeat(70));
+  console.log('Test Summary');
+  console.log('='.repeat(70));
+  console.log(`✅ Passed: ${results.passed}`);
+  console.log(`❌ Failed: ${results.failed}`);
+
+  process.exit(results.failed === 0 ? 0 : 1);
+}
+
+// Run tests if executed directly
+if (require.main === module) {
+  runTests().catch(error => {
+    console.error('Test execution failed:', error);
+    process.exit(1);
+  });
+}
+
+module.exports = { runTests };
@@ -0,0 +1,277 @@
+const fs = require('fs').promises;
+const os = require('os');
+const path = require('path');
+const zlib = require('zlib');
+const { Cassette, CassetteMismatchError } = require('../src/utils/cassette');
+const { dHash, hammingDistance } = require('../src/utils/perceptual-hash');
+const ComputerUseAgent = require('../src/agents/computer-use');
+const ScenarioRunner = require('../src/scenario-runner');
+
+/**
+ * Test suite for Computer Use cassettes and screenshot hashing
+ */
+
+const mockLogger = {
+  info: () => {},
+  success: () => {},
+  warn: () => {},
+  error: () => {},
+  debug: () => {}
+};
+
+/**
+ * Builds a grayscale PNG (filter 0 scanlines, CRCs not computed) from pixel(x, y) values.
+ */
+function makePng(width, height, pixel) {
+  const chunk = (type, data) => {
+    const length = Buffer.alloc(4);
+    length.writeUInt32BE(data.length);
+    return Buffer.concat([length, Buffer.from(type, 'ascii'), data, Buffer.alloc(4)]);
+  };
+  const header = Buffer.alloc(13);
+  header.writeUInt32BE(width, 0);
+  header.writeUInt32BE(height, 4);
+  header[8] = 8; // bit depth
+  header[9] = 0; // grayscale
+
+  const raw = Buffer.alloc(height * (width + 1));
+  for (let y = 0; y < height; y++) {
+    for (let x = 0; x < width; x++) {
+      raw[y * (width + 1) + 1 + x] = pixel(x, y);
+    }
+  }
+
+  return Buffer.concat([
+    Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]),
+    chunk('IHDR', header),
+    chunk('IDAT', zlib.deflateSync(raw)),
+    chunk('IEND', Buffer.alloc(0))
+  ]).toString('base64');
+}
+
+const loginPage = makePng(90, 80, (x, y) => ((x * 7 + y * 13) % 97) * 2);
+const loginPageWithCursor = makePng(90, 80, (x, y) => (x === 45 && y < 10 ? 255 : ((x * 7 + y * 13) % 97) * 2));
+const dashboard = makePng(90, 80, (x, y) => ((x * 11 + y * 3) % 89) * 2);
+
+const response = name => ({
+  candidates: [{ content: { parts: [{ functionCall: { name, args: { x: 100, y: 200 } } }] } }]
+});
+
+async function withCassette(fn) {
+  const dir = await fs.mkdtemp(path.join(os.tmpdir(), 'cassette-test-'));
+  try {
+    return await fn(path.join(dir, 'github.json'));
+  } finally {
+    await fs.rm(dir, { recursive: true, force: true });
+  }
+}
+
+async function testPerceptualHash() {
+  console.log('\n=== Test: dHash tolerates small changes and separates pages ===\n');
+
+  try {
+    const hash = dHash(loginPage);
+    if (!/^[0-9a-f]{16}$/.test(hash) || dHash(Buffer.from(loginPage, 'base64')) !== hash) {
+      throw new Error(`Expected a stable 16 hex character hash, got ${hash}`);
+    }
+
+    const cursor = hammingDistance(hash, dHash(loginPageWithCursor));
+    const other = hammingDistance(hash, dHash(dashboard));
+    if (cursor > 10) {
+      throw new Error(`A blinking cursor should stay under the threshold, differs in ${cursor} bits`);
+    }
+    if (other <= 10) {
+      throw new Error(`Another page should exceed the threshold, differs in ${other} bits`);
+    }
+
+    console.log(`✅ Test passed: cursor ${cursor} bits, other page ${other} bits`);
+    return true;
+
+  } catch (error) {
+    console.error('❌ Test failed:', error.message);
+    return false;
+  }
+}
+
+async function testRecordAndReplay() {
+  console.log('\n=== Test: recorded responses replay without API calls ===\n');
+
+  try {
+    await withCassette(async file => {
+      const calls = [];
+      const recorder = new ComputerUseAgent(mockLogger, 'test-key', { cassette: new Cassette(file, 'record', mockLogger) });
+      recorder.client = {
+        models: {
+          generateContent: async () => {
+            calls.push('api');
+            return response(calls.length === 1 ? 'click_at' : 'type_text_at');
+          }
+        }
+      };
+
+      await recorder.getNextAction(loginPage, 'Sign in', { url: 'https://github.com/login?state=abc' });
+      await recorder.getNextAction(dashboard, 'Open dashboard', { url: 'https://veria.cc/dashboard' });
+      if (calls.length !== 2) {
+        throw new Error(`Recording should call the API, got ${calls.length} calls`);
+      }
+
+      const replayer = new ComputerUseAgent(mockLogger, undefined, { cassette: new Cassette(file, 'replay', mockLogger) });
+      if (replayer.client !== null) {
+        throw new Error('Replay without an API key should not create a client');
+      }
+
+      const first = await replayer.getNextAction(loginPageWithCursor, 'Sign in', { url: 'https://github.com/login?state=xyz' });
+      const second = await replayer.getNextAction(dashboard, 'Open dashboard', { url: 'https://veria.cc/dashboard' });
+      if (first.actions[0].name !== 'click_at' || second.actions[0].name !== 'type_text_at') {
+        throw new Error(`Replayed actions out of order: ${first.actions[0].name}, ${second.actions[0].name}`);
+      }
+      if (replayer.cassette.remaining() !== 0) {
+        throw new Error('All recorded responses should be consumed');
+      }
+      replayer.cassette.assertConsumed();
+
+      // A run that stops early didn't reproduce the recording
+      const shortRun = new ComputerUseAgent(mockLogger, undefined, { cassette: new Cassette(file, 'replay', mockLogger) });
+      await shortRun.getNextAction(loginPage, 'Sign in', { url: 'https://github.com/login?state=def' });
+      let unfinished = false;
+      try {
+        shortRun.cassette.assertConsumed();
+      } catch (error) {
+        unfinished = error instanceof CassetteMismatchError && error.message.includes('1 recorded responses were not replayed');
+      }
+      if (!unfinished) {
+        throw new Error('Leftover recorded responses should fail the run');
+      }
+
+      const stored = await fs.readFile(file, 'utf8');
+      if (stored.includes(loginPage.slice(0, 40)) || stored.includes('state=abc')) {
+        throw new Error('Cassettes must not store screenshots or query values');
+      }
+    });
+
+    console.log('✅ Test passed: responses replayed in order, leftovers rejected');
+    return true;
+
+  } catch (error) {
+    console.error('❌ Test failed:', error.message);
+    return false;
+  }
+}
+
+async function testReplayMismatch() {
+  console.log('\n=== Test: diverging runs fail with CassetteMismatchError ===\n');
+
+  try {
+    await withCassette(async file => {
+      const recording = new Cassette(file, 'record', mockLogger);
+      await recording.record(recording.fingerprint('Sign in', { state: 'login' }, loginPage), response('click_at'));
+
+      const expectMismatch = (field, goal, context, screenshot, replays = 0) => {
+        const cassette = new Cassette(file, 'replay', mockLogger);
+        for (let i = 0; i < replays; i++) {
+          cassette.replay(cassette.fingerprint('Sign in', { state: 'login' }, loginPage));
+        }
+        try {
+          cassette.replay(cassette.fingerprint(goal, context, screenshot));
+        } catch (error) {
+          if (!(error instanceof CassetteMismatchError) || !error.details.field.startsWith(field)) {
+            throw new Error(`Expected a ${field} mismatch, got: ${error.message}`);
+          }
+          return;
+        }
+        throw new Error(`Expected a ${field} mismatch`);
+      };
+
+      expectMismatch('goal', 'Sign out', { state: 'login' }, loginPage);
+      expectMismatch('context', 'Sign in', { state: 'consent' }, loginPage);
+      expectMismatch('screenshot', 'Sign in', { state: 'login' }, dashboard);
+      expectMismatch('request count', 'Sign in', { state: 'login' }, loginPage, 1);
+    });
+
+    let missing = false;
+    try {
+      new Cassette(path.join(os.tmpdir(), 'no-such-cassette.json'), 'replay', mockLogger);
+    } catch (error) {
+      missing = error.message.includes('--record-cassettes');
+    }
+    if (!missing) {
+      throw new Error('Replaying a missing cassette should explain how to record it');
+    }
+
+    if (Cassette.forRun('github', {}, mockLogger) !== null) {
+      throw new Error('No cassette without --record-cassettes or --replay-cassettes');
+    }
+
+    console.log('✅ Test passed: goal, context, screenshot and count mismatches detected');
+    return true;
+
+  } catch (error) {
+    console.error('❌ Test failed:', error.message);
+    return false;
+  }
+}
+
+async function testMissingCassetteFailsOneScenario() {
+  console.log('\n=== Test: a missing cassette fails only that scenario ===\n');
+
+  const runDir = await fs.mkdtemp(path.join(os.tmpdir(), 'cassette-run-'));
+  try {
+    const runner = new ScenarioRunner({ replayCassettes: path.join(runDir, 'cassettes') });
+    runner.logger = { ...mockLogger, step: () => {} };
+    runner.runDir = runDir;
+    runner.scenarios = { scenarios: [{ name: 'checkout', enabled: true, flow: [{ state: 'cart', goal: 'Open the cart' }] }] };
+
+    const result = await runner.runScenario('checkout');
+    if (result.status !== 'failed' || !result.error.includes('Cassette not found')) {
+      throw new Error(`Expected a failed scenario result: ${JSON.stringify(result)}`);
+    }
+
+    console.log('✅ Test passed: failed result instead of a rejected run');
+    return true;
+
+  } catch (error) {
+    console.error('❌ Test failed:', error.message);
+    return false;
+  } finally {
+    await fs.rm(runDir, { recursive: true, force: true });
+  }
+}
+
+// Run all tests
+async function runTests() {
+  console.log('='.repeat(70));
+  console.log('Running Cassette Tests');
+  console.log('='.repeat(70));
+
+  const tests = [
+    testPerceptualHash,
+    testRecordAndReplay,
+    testReplayMismatch,
+    testMissingCassetteFailsOneScenario
+  ];
+
+  const results = { passed: 0, failed: 0 };
+  for (const test of tests) {
+    if (await test()) results.passed++;
+    else results.failed++;
+  }
+
+  // Summary
+  console.log('\n' + '='.repeat(70));
+  console.log('Test Summary');
+  console.log('='.repeat(70));
+  console.log(`✅ Passed: ${results.passed}`);
+  console.log(`❌ Failed: ${results.failed}`);
+
+  process.exit(results.failed === 0 ? 0 : 1);
+}
+
+// Run tests if executed directly
+if (require.main === module) {
+  runTests().catch(error => {
+    console.error('Test execution failed:', error);
+    process.exit(1);
+  });
+}
+
+module.exports = { runTests };
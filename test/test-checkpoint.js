@@ -0,0 +1,230 @@
+const fs = require('fs').promises;
+const os = require('os');
+const path = require('path');
+const CheckpointStore = require('../src/utils/checkpoint');
+const StateMachine = require('../src/utils/state-machine');
+const ScenarioRunner = require('../src/scenario-runner');
+
+/**
+ * Test suite for checkpoint save/load and StateMachine snapshot/restore
+ */
+
+const mockLogger = {
+  info: () => {},
+  success: () => {},
+  warn: () => {},
+  error: () => {},
+  debug: () => {}
+};
+
+const FLOW = ['login', 'consent', 'callback', 'dashboard'];
+
+/**
+ * TestExecutorAgent stand-in with the fields CheckpointStore reads.
+ */
+function createExecutor(url) {
+  return {
+    page: { url: () => url },
+    screenshotCount: 4,
+    context: {
+      storageState: async () => ({
+        cookies: [{ name: 'session', value: 'abc123', domain: 'veria.cc', path: '/' }],
+        origins: []
+      })
+    }
+  };
+}
+
+/**
+ * Number of retry() calls a machine allows in its current state before failing.
+ */
+function retriesLeft(stateMachine) {
+  let allowed = 0;
+  while (stateMachine.retry()) {
+    allowed++;
+  }
+  return allowed;
+}
+
+async function withRunDir(fn) {
+  const runDir = await fs.mkdtemp(path.join(os.tmpdir(), 'checkpoint-test-'));
+  try {
+    return await fn(runDir);
+  } finally {
+    await fs.rm(runDir, { recursive: true, force: true });
+  }
+}
+
+async function testRoundTrip() {
+  console.log('\n=== Test: snapshot → save → load → restore → continue ===\n');
+
+  try {
+    await withRunDir(async runDir => {
+      const store = new CheckpointStore(runDir, mockLogger);
+      const options = { maxRetries: 3 };
+
+      // Sign in after one retry, then spend a retry on the consent screen
+      const original = new StateMachine('github', FLOW, options);
+      original.retry();
+      original.recordAction({ name: 'click_at', args: { x: 10, y: 20 } }, { success: true });
+      original.advance();
+      original.retry();
+
+      await store.save('github', createExecutor('https://github.com/login/oauth/authorize'), {
+        stateMachine: original.snapshot()
+      });
+      if (await store.load('google') !== null) {
+        throw new Error('Providers without a checkpoint should load as null');
+      }
+
+      const checkpoint = await store.load('github');
+      if (checkpoint.url !== 'https://github.com/login/oauth/authorize' || checkpoint.screenshotCount !== 4 ||
+          checkpoint.storageState.cookies[0].value !== 'abc123') {
+        throw new Error(`Browser state not saved: ${JSON.stringify(checkpoint)}`);
+      }
+
+      const resumed = new StateMachine('github', FLOW, options);
+      resumed.restore(checkpoint.stateMachine);
+      if (resumed.getCurrentState() !== 'consent' || resumed.isComplete()) {
+        throw new Error(`Expected to resume at consent, got ${resumed.getCurrentState()}`);
+      }
+      if (JSON.stringify(resumed.getHistory()) !== JSON.stringify(original.getHistory())) {
+        throw new Error('History should survive the round trip unchanged');
+      }
+      const [login] = resumed.getHistory();
+      if (login.actionsPerformed !== 1 || login.actions[0].name !== 'click_at') {
+        throw new Error(`Completed states keep their actions: ${JSON.stringify(login)}`);
+      }
+
+      // The retry spent before the checkpoint isn't carried over: the resumed state starts
+      // with the full budget, like a state entered fresh
+      const fresh = new StateMachine('github', FLOW, options);
+      const budget = retriesLeft(fresh);
+      const probe = new StateMachine('github', FLOW, options);
+      probe.restore(checkpoint.stateMachine);
+      if (retriesLeft(probe) !== budget) {
+        throw new Error(`Restored state should get ${budget} retries`);
+      }
+
+      // Continue to the end of the flow
+      resumed.retry();
+      resumed.advance();
+      resumed.advance();
+      resumed.advance();
+      if (!resumed.isSuccessful() || resumed.getPath().join(',') !== 'login,consent,callback,dashboard') {
+        throw new Error(`Resumed run should finish the flow: ${resumed.getPath().join(',')}`);
+      }
+    });
+
+    console.log('✅ Test passed: browser state, history and retry budget restored');
+    return true;
+
+  } catch (error) {
+    console.error('❌ Test failed:', error.message);
+    return false;
+  }
+}
+
+async function testRestoreFinishedAndInvalid() {
+  console.log('\n=== Test: finished and incompatible snapshots ===\n');
+
+  try {
+    const finished = new StateMachine('github', FLOW);
+    FLOW.forEach(() => finished.advance());
+    const snapshot = JSON.parse(JSON.stringify(finished.snapshot()));
+
+    const restored = new StateMachine('github', FLOW);
+    restored.restore(snapshot);
+    if (!restored.isSuccessful() || restored.advance() !== false) {
+      throw new Error('A snapshot of a finished flow should restore as finished');
+    }
+
+    let rejected = false;
+    try {
+      new StateMachine('github', ['login', 'dashboard']).restore({ current: 'consent', history: [] });
+    } catch (error) {
+      rejected = error.message.includes('state consent is not part of the github flow');
+    }
+    if (!rejected) {
+      throw new Error('Restoring a state the flow no longer has should fail');
+    }
+
+    console.log('✅ Test passed: finished outcome kept, unknown state rejected');
+    return true;
+
+  } catch (error) {
+    console.error('❌ Test failed:', error.message);
+    return false;
+  }
+}
+
+async function testScenarioRunDirectory() {
+  console.log('\n=== Test: sequential scenarios share one run directory ===\n');
+
+  try {
+    await withRunDir(async runDir => {
+      // Replaying a missing cassette fails each scenario right after its directory is set up
+      const runner = new ScenarioRunner({ resume: runDir, replayCassettes: path.join(runDir, 'cassettes') });
+      runner.logger = { ...mockLogger, step: () => {} };
+      runner.scenarios = {
+        scenarios: ['cart', 'checkout'].map(name => ({ name, enabled: true, flow: [{ state: 'open', goal: 'Open the page' }] }))
+      };
+
+      await runner.runScenario('cart');
+      await runner.runScenario('checkout');
+
+      if (runner.outputDir !== runDir) {
+        throw new Error(`results.json should go to the run directory, not ${runner.outputDir}`);
+      }
+      const entries = (await fs.readdir(runDir)).sort().join(',');
+      if (entries !== 'cart,checkout') {
+        throw new Error(`Expected one subdirectory per scenario, got ${entries}`);
+      }
+    });
+
+    console.log('✅ Test passed: one run directory, a subdirectory per scenario');
+    return true;
+
+  } catch (error) {
+    console.error('❌ Test failed:', error.message);
+    return false;
+  }
+}
+
+// Run all tests
+async function runTests() {
+  console.log('='.repeat(70));
+  console.log('Running Checkpoint Tests');
+  console.log('='.repeat(70));
+
+  const tests = [
+    testRoundTrip,
+    testRestoreFinishedAndInvalid,
+    testScenarioRunDirectory
+  ];
+
+  const results = { passed: 0, failed: 0 };
+  for (const test of tests) {
+    if (await test()) results.passed++;
+    else results.failed++;
+  }
+
+  // Summary
+  console.log('\n' + '='.repeat(70));
+  console.log('Test Summary');
+  console.log('='.repeat(70));
+  console.log(`✅ Passed: ${results.passed}`);
+  console.log(`❌ Failed: ${results.failed}`);
+
+  process.exit(results.failed === 0 ? 0 : 1);
+}
+
+// Run tests if executed directly
+if (require.main === module) {
+  runTests().catch(error => {
+    console.error('Test execution failed:', error);
+    process.exit(1);
+  });
+}
+
+module.exports = { runTests };
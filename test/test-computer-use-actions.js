@@ -0,0 +1,238 @@
+const TestExecutorAgent = require('../src/agents/test-executor');
+
+/**
+ * Test suite for the predefined Computer Use browser actions in TestExecutorAgent
+ */
+
+const mockLogger = {
+  info: () => {},
+  success: () => {},
+  warn: () => {},
+  error: () => {},
+  debug: () => {}
+};
+
+/**
+ * Executor on a fake 1000x500 page that records every mouse/keyboard call.
+ */
+function createExecutor() {
+  const calls = [];
+  const record = name => async (...args) => calls.push([name, ...args]);
+  const executor = new TestExecutorAgent(mockLogger, '/tmp');
+  executor.page = {
+    url: () => 'https://example.com/',
+    viewportSize: () => ({ width: 1000, height: 500 }),
+    waitForTimeout: record('wait'),
+    evaluate: record('evaluate'),
+    mouse: { click: record('click'), move: record('move'), down: record('mouseDown'), up: record('mouseUp'), wheel: record('wheel') },
+    keyboard: { type: record('type'), press: record('press'), down: record('keyDown'), up: record('keyUp') }
+  };
+  executor.navigate = record('navigate');
+  return { executor, calls };
+}
+
+async function testKeyCombination() {
+  console.log('\n=== Test: key_combination chords ===\n');
+
+  try {
+    const cases = {
+      'Control+Shift+T': ['Control', 'Shift', 'T'],
+      'ctrl+c': ['Control', 'c'],
+      'cmd + Enter': ['Meta', 'Enter'],
+      'Control++': ['Control', '+'],
+      'esc': ['Escape'],
+      'alt+f4': ['Alt', 'F4']
+    };
+    for (const [chord, expected] of Object.entries(cases)) {
+      const parsed = TestExecutorAgent.parseKeyCombination(chord);
+      if (JSON.stringify(parsed) !== JSON.stringify(expected)) {
+        throw new Error(`${chord} parsed as ${JSON.stringify(parsed)}`);
+      }
+    }
+
+    const { executor, calls } = createExecutor();
+    const result = await executor.executeComputerUseAction({ name: 'key_combination', args: { keys: 'Control+Shift+T' } });
+    const sequence = calls.map(([type, key]) => `${type}:${key}`).join(' ');
+    if (!result.success || sequence !== 'keyDown:Control keyDown:Shift keyDown:T keyUp:T keyUp:Shift keyUp:Control') {
+      throw new Error(`Unexpected key sequence: ${sequence}`);
+    }
+
+    const empty = await executor.executeComputerUseAction({ name: 'key_combination', args: { keys: '' } });
+    if (empty.success) {
+      throw new Error('Empty key combination should fail');
+    }
+
+    console.log('✅ Test passed: chords parsed and held in order');
+    return true;
+
+  } catch (error) {
+    console.error('❌ Test failed:', error.message);
+    return false;
+  }
+}
+
+async function testTypeTextClearBeforeTyping() {
+  console.log('\n=== Test: type_text_at clears and submits unless told not to ===\n');
+
+  try {
+    const selectAll = process.platform === 'darwin' ? 'Meta+A' : 'Control+A';
+
+    const cleared = createExecutor();
+    await cleared.executor.executeComputerUseAction({ name: 'type_text_at', args: { x: 500, y: 500, text: 'hello' } });
+    const clearedKeys = cleared.calls.filter(([type]) => type === 'press' || type === 'type').map(([, key]) => key);
+    if (clearedKeys.join(',') !== `${selectAll},Backspace,hello,Enter`) {
+      throw new Error(`Expected select-all and delete before typing and Enter after, got ${clearedKeys.join(',')}`);
+    }
+
+    const appended = createExecutor();
+    await appended.executor.executeComputerUseAction({
+      name: 'type_text_at',
+      args: { x: 500, y: 500, text: 'world', clear_before_typing: false, press_enter: true }
+    });
+    const appendedKeys = appended.calls.filter(([type]) => type === 'press' || type === 'type').map(([, key]) => key);
+    if (appendedKeys.join(',') !== 'world,Enter') {
+      throw new Error(`Expected typing without clearing, got ${appendedKeys.join(',')}`);
+    }
+
+    const unsubmitted = createExecutor();
+    await unsubmitted.executor.executeComputerUseAction({
+      name: 'type_text_at',
+      args: { x: 500, y: 500, text: 'draft', clear_before_typing: false, press_enter: false }
+    });
+    const unsubmittedKeys = unsubmitted.calls.filter(([type]) => type === 'press' || type === 'type').map(([, key]) => key);
+    if (unsubmittedKeys.join(',') !== 'draft') {
+      throw new Error(`Expected no Enter with press_enter false, got ${unsubmittedKeys.join(',')}`);
+    }
+
+    console.log('✅ Test passed: clear_before_typing and press_enter honored');
+    return true;
+
+  } catch (error) {
+    console.error('❌ Test failed:', error.message);
+    return false;
+  }
+}
+
+async function testScrollAndDrag() {
+  console.log('\n=== Test: scroll_at magnitude and drag_and_drop ===\n');
+
+  try {
+    const { executor, calls } = createExecutor();
+
+    await executor.executeComputerUseAction({ name: 'scroll_at', args: { x: 500, y: 500, direction: 'down', magnitude: 400 } });
+    const wheel = calls.find(([type]) => type === 'wheel');
+    if (!wheel || wheel[1] !== 0 || wheel[2] !== 200) {
+      throw new Error(`Expected a 200px wheel on a 500px-high viewport, got ${JSON.stringify(wheel)}`);
+    }
+    const moved = calls.find(([type]) => type === 'move');
+    if (moved[1] !== 500 || moved[2] !== 250) {
+      throw new Error(`scroll_at should move to the target first, got ${JSON.stringify(moved)}`);
+    }
+
+    calls.length = 0;
+    await executor.executeComputerUseAction({ name: 'scroll_at', args: { x: 100, y: 100, direction: 'left' } });
+    const defaultWheel = calls.find(([type]) => type === 'wheel');
+    if (defaultWheel[1] !== -800 || defaultWheel[2] !== 0) {
+      throw new Error(`Default magnitude should be 800 (of 1000px width), got ${JSON.stringify(defaultWheel)}`);
+    }
+
+    const invalid = await executor.executeComputerUseAction({ name: 'scroll_at', args: { x: 1, y: 1, direction: 'sideways' } });
+    if (invalid.success) {
+      throw new Error('Unknown scroll direction should fail');
+    }
+
+    calls.length = 0;
+    await executor.executeComputerUseAction({
+      name: 'drag_and_drop',
+      args: { x: 100, y: 100, destination_x: 900, destination_y: 800 }
+    });
+    const sequence = calls.map(([type, ...args]) => `${type}(${args.filter(a => typeof a === 'number').join(',')})`).join(' ');
+    if (sequence !== 'move(100,50) mouseDown() move(900,400) mouseUp()') {
+      throw new Error(`Unexpected drag sequence: ${sequence}`);
+    }
+
+    const outOfBounds = await executor.executeComputerUseAction({
+      name: 'drag_and_drop',
+      args: { x: 100, y: 100, destination_x: 1200, destination_y: 800 }
+    });
+    if (outOfBounds.success) {
+      throw new Error('Out-of-bounds drag destination should fail');
+    }
+
+    console.log('✅ Test passed: scroll_at and drag_and_drop use viewport pixels');
+    return true;
+
+  } catch (error) {
+    console.error('❌ Test failed:', error.message);
+    return false;
+  }
+}
+
+async function testBrowserActions() {
+  console.log('\n=== Test: open_web_browser, wait_5_seconds and search ===\n');
+
+  try {
+    const { executor, calls } = createExecutor();
+
+    const open = await executor.executeComputerUseAction({ name: 'open_web_browser' });
+    if (!open.success || open.url !== 'https://example.com/') {
+      throw new Error(`open_web_browser should report the current page: ${JSON.stringify(open)}`);
+    }
+
+    const wait = await executor.executeComputerUseAction({ name: 'wait_5_seconds' });
+    if (!wait.success || !calls.some(([type, ms]) => type === 'wait' && ms === 5000)) {
+      throw new Error('wait_5_seconds should wait 5000ms');
+    }
+
+    const search = await executor.executeComputerUseAction({ name: 'search' });
+    if (!search.success || !calls.some(([type, url]) => type === 'navigate' && url === 'https://www.google.com')) {
+      throw new Error('search should open the search engine');
+    }
+
+    console.log('✅ Test passed: argument-less actions supported');
+    return true;
+
+  } catch (error) {
+    console.error('❌ Test failed:', error.message);
+    return false;
+  }
+}
+
+// Run all tests
+async function runTests() {
+  console.log('='.repeat(70));
+  console.log('Running Computer Use Action Tests');
+  console.log('='.repeat(70));
+
+  const tests = [
+    testKeyCombination,
+    testTypeTextClearBeforeTyping,
+    testScrollAndDrag,
+    testBrowserActions
+  ];
+
+  const results = { passed: 0, failed: 0 };
+  for (const test of tests) {
+    if (await test()) results.passed++;
+    else results.failed++;
+  }
+
+  // Summary
+  console.log('\n' + '='.repeat(70));
+  console.log('Test Summary');
+  console.log('='.repeat(70));
+  console.log(`✅ Passed: ${results.passed}`);
+  console.log(`❌ Failed: ${results.failed}`);
+
+  process.exit(results.failed === 0 ? 0 : 1);
+}
+
+// Run tests if executed directly
+if (require.main === module) {
+  runTests().catch(error => {
+    console.error('Test execution failed:', error);
+    process.exit(1);
+  });
+}
+
+module.exports = { runTests };
@@ -0,0 +1,234 @@
+const ComputerUseAgent = require('../src/agents/computer-use');
+const ScenarioRunner = require('../src/scenario-runner');
+
+/**
+ * Test suite for typed ComputerUseAgent.getNextAction results
+ */
+
+const mockLogger = {
+  info: () => {},
+  success: () => {},
+  warn: () => {},
+  error: () => {},
+  debug: () => {}
+};
+
+function createAgent(response) {
+  const agent = new ComputerUseAgent(mockLogger, 'test-key');
+  const requests = [];
+  agent.client = {
+    models: {
+      generateContent: async request => {
+        requests.push(request);
+        return response;
+      }
+    }
+  };
+  return { agent, requests };
+}
+
+const reply = parts => ({ candidates: [{ content: { parts } }] });
+
+async function testParseReply() {
+  console.log('\n=== Test: text replies are typed by prefix ===\n');
+
+  try {
+    const cases = [
+      ['DONE: Signed in as octocat', { type: 'done', summary: 'Signed in as octocat' }],
+      ['**BLOCKED**: The account is locked', { type: 'blocked', reason: 'The account is locked' }],
+      ['Question - Which organization should I pick?', { type: 'question', question: 'Which organization should I pick?' }],
+      ['Which organization should I pick?', { type: 'question', question: 'Which organization should I pick?' }],
+      ['The dashboard is visible.', { type: 'done', summary: 'The dashboard is visible.' }]
+    ];
+
+    for (const [text, expected] of cases) {
+      const parsed = ComputerUseAgent.parseReply(text);
+      const { text: original, ...typed } = parsed;
+      if (JSON.stringify(typed) !== JSON.stringify(expected) || original !== text) {
+        throw new Error(`"${text}" parsed as ${JSON.stringify(parsed)}`);
+      }
+    }
+
+    console.log('✅ Test passed: done, blocked and question replies typed');
+    return true;
+
+  } catch (error) {
+    console.error('❌ Test failed:', error.message);
+    return false;
+  }
+}
+
+async function testGetNextActionResults() {
+  console.log('\n=== Test: getNextAction returns typed results ===\n');
+
+  try {
+    const acting = createAgent(reply([{ functionCall: { name: 'click_at', args: { x: 1, y: 2 } } }]));
+    const action = await acting.agent.getNextAction('c2NyZWVu', 'Click Sign In');
+    if (action.type !== 'action' || action.actions.length !== 1 || action.actions[0].name !== 'click_at') {
+      throw new Error(`Expected an action result: ${JSON.stringify(action)}`);
+    }
+    if (!acting.requests[0].config.systemInstruction.includes('BLOCKED:')) {
+      throw new Error('The model should be told how to report why it stopped');
+    }
+
+    const talking = createAgent(reply([{ text: 'BLOCKED: ' }, { text: 'No test account for this provider' }]));
+    const blocked = await talking.agent.getNextAction('c2NyZWVu', 'Sign in');
+    if (blocked.type !== 'blocked' || blocked.reason !== 'No test account for this provider') {
+      throw new Error(`Expected a blocked result: ${JSON.stringify(blocked)}`);
+    }
+    const [userTurn, modelTurn] = talking.agent.conversationHistory;
+    if (userTurn.role !== 'user' || modelTurn.role !== 'model' || !modelTurn.parts[0].text.startsWith('BLOCKED')) {
+      throw new Error('Text replies should be kept in the conversation history');
+    }
+
+    const empty = createAgent(reply([]));
+    if (await empty.agent.getNextAction('c2NyZWVu', 'Sign in') !== null) {
+      throw new Error('Responses without a function call or text should return null');
+    }
+
+    console.log('✅ Test passed: action, text and empty responses');
+    return true;
+
+  } catch (error) {
+    console.error('❌ Test failed:', error.message);
+    return false;
+  }
+}
+
+async function testMultipleFunctionCalls() {
+  console.log('\n=== Test: every function call in a turn is executed and answered ===\n');
+
+  try {
+    const { agent } = createAgent(reply([
+      { text: 'Filling in the login form.' },
+      { functionCall: { name: 'type_text_at', args: { x: 10, y: 20, text: 'octocat' } } },
+      { functionCall: { name: 'click_at', args: { x: 10, y: 60 } } },
+      { functionCall: { name: 'key_combination', args: { keys: 'Enter' } } }
+    ]));
+
+    const turn = await agent.getNextAction('c2NyZWVu', 'Sign in');
+    if (turn.type !== 'action' || turn.actions.map(action => action.name).join(',') !== 'type_text_at,click_at,key_combination') {
+      throw new Error(`Expected all three calls in order: ${JSON.stringify(turn)}`);
+    }
+    const modelTurn = agent.conversationHistory[1];
+    if (modelTurn.parts.filter(part => part.functionCall).length !== 3) {
+      throw new Error('The model turn in history should keep every function call');
+    }
+
+    const executed = [];
+    const { results, failed } = await agent.executeActions(turn.actions, {
+      review: async () => ({ acknowledged: true }),
+      execute: async action => {
+        executed.push(action.name);
+        return action.name === 'click_at'
+          ? { success: false, actionName: action.name, error: 'Element not found' }
+          : { success: true, actionName: action.name };
+      }
+    });
+    if (executed.join(',') !== 'type_text_at,click_at' || failed.actionName !== 'click_at') {
+      throw new Error(`Execution should stop at the failed click: ${executed.join(',')}`);
+    }
+    if (!results[2].skipped || results[2].success) {
+      throw new Error(`Actions after a failure are skipped but still answered: ${JSON.stringify(results[2])}`);
+    }
+
+    await agent.reportActionResults(results, 'https://github.com/login');
+    const answer = agent.conversationHistory[2];
+    const names = answer.parts.map(part => part.functionResponse.name).join(',');
+    if (agent.conversationHistory.length !== 3 || names !== 'type_text_at,click_at,key_combination') {
+      throw new Error(`Expected one function message answering each call in order, got ${names}`);
+    }
+    if (answer.parts.some(part => part.functionResponse.response.url !== 'https://github.com/login')) {
+      throw new Error('Every function response needs the current URL');
+    }
+
+    console.log('✅ Test passed: three calls executed in order and answered');
+    return true;
+
+  } catch (error) {
+    console.error('❌ Test failed:', error.message);
+    return false;
+  }
+}
+
+async function testValidationAnswers() {
+  console.log('\n=== Test: validations read an explicit YES/NO answer ===\n');
+
+  try {
+    const runner = new ScenarioRunner({});
+    runner.logger = mockLogger;
+    const testExecutor = { takeScreenshot: async () => 'c2NyZWVu' };
+    const state = { metadata: { url: 'https://veria.cc/login' } };
+
+    const validate = async (validation, text) => {
+      const { agent } = createAgent(reply([{ text }]));
+      return runner.performValidations(validation, state, testExecutor, agent);
+    };
+
+    const [noErrors] = await validate({ hasErrors: false }, 'DONE: No errors found');
+    if (noErrors.actual !== false || !noErrors.passed) {
+      throw new Error(`"No errors found" must not count as errors: ${JSON.stringify(noErrors)}`);
+    }
+    const [errors] = await validate({ hasErrors: false }, 'DONE: YES, "Invalid password" is shown');
+    if (errors.actual !== true || errors.passed) {
+      throw new Error(`A YES answer means errors are present: ${JSON.stringify(errors)}`);
+    }
+    const [unclear] = await validate({ hasSuccess: true }, 'DONE: The success banner is complete');
+    if (unclear.passed || !unclear.error.includes('YES/NO')) {
+      throw new Error(`Replies without YES or NO should fail the validation: ${JSON.stringify(unclear)}`);
+    }
+
+    const clicking = createAgent(reply([{ functionCall: { name: 'click_at', args: { x: 1, y: 2 } } }]));
+    const [acted] = await runner.performValidations({ hasErrors: false }, state, testExecutor, clicking.agent);
+    const answer = clicking.agent.conversationHistory[2];
+    if (acted.passed || !answer || answer.role !== 'function' || !answer.parts[0].functionResponse.response.skipped) {
+      throw new Error('Function calls in a validation reply must be answered as skipped');
+    }
+
+    console.log('✅ Test passed: NO, YES, unanswered and acting validations');
+    return true;
+
+  } catch (error) {
+    console.error('❌ Test failed:', error.message);
+    return false;
+  }
+}
+
+// Run all tests
+async function runTests() {
+  console.log('='.repeat(70));
+  console.log('Running Computer Use Reply Tests');
+  console.log('='.repeat(70));
+
+  const tests = [
+    testParseReply,
+    testGetNextActionResults,
+    testMultipleFunctionCalls,
+    testValidationAnswers
+  ];
+
+  const results = { passed: 0, failed: 0 };
+  for (const test of tests) {
+    if (await test()) results.passed++;
+    else results.failed++;
+  }
+
+  // Summary
+  console.log('\n' + '='.repeat(70));
+  console.log('Test Summary');
+  console.log('='.repeat(70));
+  console.log(`✅ Passed: ${results.passed}`);
+  console.log(`❌ Failed: ${results.failed}`);
+
+  process.exit(results.failed === 0 ? 0 : 1);
+}
+
+// Run tests if executed directly
+if (require.main === module) {
+  runTests().catch(error => {
+    console.error('Test execution failed:', error);
+    process.exit(1);
+  });
+}
+
+module.exports = { runTests };
@@ -28,34 +28,37 @@ async function test() {
 
     // Get Computer Use action
     logger.info('Requesting action from Computer Use API...');
-    const action = await computerUse.getNextAction(
+    const reply = await computerUse.getNextAction(
       state.screenshot,
       'Click the Sign In button',
       { url: 'https://veria.cc' }
     );
 
-    if (!action) {
-      logger.error('No action received from Computer Use API');
+    if (!reply || reply.type !== 'action') {
+      logger.error('No action received from Computer Use API', reply && reply.text);
       await executor.cleanup();
       process.exit(1);
     }
 
-    logger.success('Computer Use Action received:');
-    console.log(JSON.stringify(action, null, 2));
+    logger.success('Computer Use Actions received:');
+    console.log(JSON.stringify(reply.actions, null, 2));
 
-    // Execute the action
-    logger.info('Executing action...');
-    const result = await executor.executeComputerUseAction(action);
-    logger.success('Execution Result:');
-    console.log(JSON.stringify(result, null, 2));
+    // Execute the actions in order
+    logger.info('Executing actions...');
+    const results = [];
+    for (const action of reply.actions) {
+      results.push(await executor.executeComputerUseAction(action));
+    }
+    logger.success('Execution Results:');
+    console.log(JSON.stringify(results, null, 2));
 
-    // Report result back
-    await computerUse.reportActionResult(result);
+    // Report results back
+    await computerUse.reportActionResults(results, executor.page.url());
 
     // Cleanup
     await executor.cleanup();
 
-    if (result.success) {
+    if (results.every(result => result.success)) {
       logger.success('✅ Computer Use test PASSED');
       process.exit(0);
     } else {
@@ -0,0 +1,269 @@
+const ComputerUseAgent = require('../src/agents/computer-use');
+
+/**
+ * Test suite for ComputerUseAgent.executeTask
+ */
+
+const mockLogger = {
+  info: () => {},
+  success: () => {},
+  warn: () => {},
+  error: () => {},
+  debug: () => {}
+};
+
+const functionCall = (name, args = {}) => ({
+  candidates: [{ content: { parts: [{ functionCall: { name, args } }] } }]
+});
+
+const textReply = text => ({
+  candidates: [{ content: { parts: [{ text }] } }]
+});
+
+/**
+ * Agent whose API returns the given responses in order (or calls them if functions).
+ */
+function createAgent(responses) {
+  const agent = new ComputerUseAgent(mockLogger, 'test-key');
+  const requests = [];
+  agent.client = {
+    models: {
+      generateContent: async request => {
+        requests.push(request);
+        const next = responses.shift();
+        return typeof next === 'function' ? next() : next;
+      }
+    }
+  };
+  return { agent, requests };
+}
+
+/**
+ * Browser stand-in: records executed actions, fails the ones named in `failing`.
+ */
+function createExecutor(failing = []) {
+  let url = 'https://dashboard.stripe.com/test/apikeys';
+  const executed = [];
+  return {
+    executed,
+    page: { url: () => url },
+    captureState: async () => ({
+      screenshot: 'c2NyZWVuc2hvdA==',
+      metadata: { url, title: 'API keys', screenshotPath: '/tmp/screenshot.png' }
+    }),
+    executeComputerUseAction: async action => {
+      executed.push(action.name);
+      if (failing.includes(action.name)) {
+        return { success: false, actionName: action.name, error: 'Element not found' };
+      }
+      if (action.name === 'navigate') {
+        url = action.args.url;
+      }
+      return { success: true, actionName: action.name };
+    }
+  };
+}
+
+function executed(executor) {
+  return executor.executed.join(',');
+}
+
+async function testCompletesWhenModelReportsDone() {
+  console.log('\n=== Test: task runs until the model reports completion ===\n');
+
+  try {
+    const { agent, requests } = createAgent([
+      functionCall('click_at', { x: 100, y: 200 }),
+      functionCall('navigate', { url: 'https://dashboard.stripe.com/test/webhooks' }),
+      textReply('The secret key was created.')
+    ]);
+    const executor = createExecutor(['click_at']);
+
+    const result = await agent.executeTask({
+      executor,
+      instruction: 'Click Create secret key',
+      screenshot: 'aW5pdGlhbA==',
+      settleDelay: 0
+    });
+
+    if (result.status !== 'completed' || !result.completed || result.summary !== 'The secret key was created.') {
+      throw new Error(`Expected completion with the model summary: ${JSON.stringify(result)}`);
+    }
+    if (result.steps !== 2 || executed(executor) !== 'click_at,navigate') {
+      throw new Error(`Expected two executed actions, got ${executed(executor)}`);
+    }
+    if (result.transcript[0].success !== false || result.transcript[0].error !== 'Element not found') {
+      throw new Error('Failed actions should be recorded in the transcript');
+    }
+    if (result.transcript[1].url !== 'https://dashboard.stripe.com/test/webhooks' ||
+        result.finalState.url !== 'https://dashboard.stripe.com/test/webhooks') {
+      throw new Error(`Transcript and final state should carry the URL: ${JSON.stringify(result.finalState)}`);
+    }
+
+    // The failed click was reported back so the model could recover
+    const reported = requests[1].contents.find(message => message.role === 'function');
+    if (!reported || reported.parts[0].functionResponse.response.success !== false) {
+      throw new Error('The failed action should be reported to the model');
+    }
+
+    console.log('✅ Test passed: completed with transcript and final state');
+    return true;
+
+  } catch (error) {
+    console.error('❌ Test failed:', error.message);
+    return false;
+  }
+}
+
+async function testStepBudgetAndTimeout() {
+  console.log('\n=== Test: step budget and timeout end the task ===\n');
+
+  try {
+    const busy = createAgent(Array.from({ length: 5 }, () => functionCall('wait_5_seconds')));
+    const capped = await busy.agent.executeTask({
+      executor: createExecutor(),
+      instruction: 'Never finishes',
+      maxSteps: 3,
+      settleDelay: 0
+    });
+    if (capped.status !== 'max_steps' || capped.steps !== 3 || capped.completed) {
+      throw new Error(`Expected max_steps after 3 actions: ${JSON.stringify(capped)}`);
+    }
+
+    // A turn larger than the remaining budget runs only what fits; the rest is answered as skipped
+    const batched = createAgent([
+      { candidates: [{ content: { parts: [{ functionCall: { name: 'click_at', args: {} } }, { functionCall: { name: 'scroll_document', args: {} } }] } }] },
+      { candidates: [{ content: { parts: [{ functionCall: { name: 'navigate', args: { url: 'https://dashboard.stripe.com/test/webhooks' } } }, { functionCall: { name: 'click_at', args: {} } }] } }] }
+    ]);
+    const batchedExecutor = createExecutor();
+    const truncated = await batched.agent.executeTask({ executor: batchedExecutor, instruction: 'Busy', maxSteps: 3, settleDelay: 0 });
+    const answer = batched.agent.conversationHistory[batched.agent.conversationHistory.length - 1];
+    if (truncated.status !== 'max_steps' || truncated.steps !== 3 || executed(batchedExecutor) !== 'click_at,scroll_document,navigate') {
+      throw new Error(`Expected exactly 3 actions: ${executed(batchedExecutor)}`);
+    }
+    if (answer.role !== 'function' || answer.parts.length !== 2 || !answer.parts[1].functionResponse.response.skipped) {
+      throw new Error('The dropped call should still be answered as skipped');
+    }
+
+    const slow = createAgent([() => new Promise(resolve => setTimeout(() => resolve(textReply('late')), 500))]);
+    const timedOut = await slow.agent.executeTask({
+      executor: createExecutor(),
+      instruction: 'Slow model',
+      timeout: 50,
+      settleDelay: 0
+    });
+    if (timedOut.status !== 'timeout' || !timedOut.error.includes('timed out after 50ms')) {
+      throw new Error(`Expected a timeout: ${JSON.stringify(timedOut)}`);
+    }
+
+    const empty = createAgent([{ candidates: [] }]);
+    const failed = await empty.agent.executeTask({ executor: createExecutor(), instruction: 'Broken API', settleDelay: 0 });
+    if (failed.status !== 'failed') {
+      throw new Error(`An invalid response is a failure, not a completion: ${JSON.stringify(failed)}`);
+    }
+
+    const stuck = createAgent([textReply('BLOCKED: The Create secret key button is disabled')]);
+    const blocked = await stuck.agent.executeTask({ executor: createExecutor(), instruction: 'Create key', settleDelay: 0 });
+    if (blocked.status !== 'blocked' || !blocked.error.includes('button is disabled')) {
+      throw new Error(`Expected the model's blocked reason: ${JSON.stringify(blocked)}`);
+    }
+
+    console.log('✅ Test passed: max_steps, timeout, failed and blocked statuses');
+    return true;
+
+  } catch (error) {
+    console.error('❌ Test failed:', error.message);
+    return false;
+  }
+}
+
+async function testSafetyConfirmation() {
+  console.log('\n=== Test: flagged actions need an approving safety policy ===\n');
+
+  try {
+    const flagged = () => functionCall('click_at', {
+      x: 10,
+      y: 10,
+      safety_decision: { decision: 'require_confirmation', explanation: 'Delete the old API key' }
+    });
+
+    const unguarded = createAgent([flagged()]);
+    const unguardedExecutor = createExecutor();
+    const refused = await unguarded.agent.executeTask({ executor: unguardedExecutor, instruction: 'Delete old key', settleDelay: 0 });
+    if (refused.status !== 'refused' || unguardedExecutor.executed.length !== 0) {
+      throw new Error(`Without a policy the action must not run: ${JSON.stringify(refused)}`);
+    }
+
+    const approving = { review: async () => ({ acknowledged: true, decision: 'approved' }) };
+    const guarded = createAgent([flagged(), textReply('Deleted')]);
+    const approved = await guarded.agent.executeTask({
+      executor: createExecutor(),
+      instruction: 'Delete old key',
+      safetyPolicy: approving,
+      settleDelay: 0
+    });
+    const reported = guarded.requests[1].contents.find(message => message.role === 'function');
+    if (!approved.completed || reported.parts[0].functionResponse.response.safety_acknowledgement !== 'true') {
+      throw new Error(`Approved actions should run and be acknowledged: ${JSON.stringify(approved)}`);
+    }
+
+    // Waiting for the person to confirm doesn't eat into the task's timeout
+    const slowConfirmation = { review: () => new Promise(resolve => setTimeout(() => resolve({ acknowledged: true }), 150)) };
+    const prompted = createAgent([flagged(), textReply('Deleted')]);
+    const confirmed = await prompted.agent.executeTask({
+      executor: createExecutor(),
+      instruction: 'Delete old key',
+      safetyPolicy: slowConfirmation,
+      timeout: 100,
+      settleDelay: 0
+    });
+    if (!confirmed.completed) {
+      throw new Error(`Confirmation time should not count against the timeout: ${JSON.stringify(confirmed.error)}`);
+    }
+
+    console.log('✅ Test passed: refused without policy, acknowledged when approved');
+    return true;
+
+  } catch (error) {
+    console.error('❌ Test failed:', error.message);
+    return false;
+  }
+}
+
+// Run all tests
+async function runTests() {
+  console.log('='.repeat(70));
+  console.log('Running executeTask Tests');
+  console.log('='.repeat(70));
+
+  const tests = [
+    testCompletesWhenModelReportsDone,
+    testStepBudgetAndTimeout,
+    testSafetyConfirmation
+  ];
+
+  const results = { passed: 0, failed: 0 };
+  for (const test of tests) {
+    if (await test()) results.passed++;
+    else results.failed++;
+  }
+
+  // Summary
+  console.log('\n' + '='.repeat(70));
+  console.log('Test Summary');
+  console.log('='.repeat(70));
+  console.log(`✅ Passed: ${results.passed}`);
+  console.log(`❌ Failed: ${results.failed}`);
+
+  process.exit(results.failed === 0 ? 0 : 1);
+}
+
+// Run tests if executed directly
+if (require.main === module) {
+  runTests().catch(error => {
+    console.error('Test execution failed:', error);
+    process.exit(1);
+  });
+}
+
+module.exports = { runTests };
@@ -0,0 +1,138 @@
+const net = require('net');
+const MailCatcher = require('../src/utils/mail-catcher');
+
+/**
+ * Test suite for the local SMTP mail catcher
+ * Sends a NextAuth-style multipart magic-link email over a raw SMTP session
+ */
+
+// Mock logger
+const mockLogger = {
+  info: () => {},
+  success: () => {},
+  error: () => {},
+  debug: () => {},
+  warn: () => {}
+};
+
+const MAGIC_LINK_EMAIL = [
+  'From: Veria <no-reply@veria.cc>',
+  'To: tester@example.com',
+  'Subject: Sign in to veria.cc',
+  'MIME-Version: 1.0',
+  'Content-Type: multipart/alternative; boundary="b1"',
+  '',
+  '--b1',
+  'Content-Type: text/plain; charset=utf-8',
+  '',
+  'Sign in: http://localhost:3000/api/auth/callback/email?token=abc&email=tester%40example.com',
+  '--b1',
+  'Content-Type: text/html; charset=utf-8',
+  'Content-Transfer-Encoding: quoted-printable',
+  '',
+  '<a href=3D"http://localhost:3000/api/auth/callback/email?token=3Dabc&amp;email=3D=',
+  'tester%40example.com">Sign in</a>',
+  '--b1--'
+].join('\r\n');
+
+/**
+ * Minimal SMTP client: sends each command after the previous reply arrives.
+ */
+function sendMail(port, commands) {
+  return new Promise((resolve, reject) => {
+    const socket = net.connect(port, '127.0.0.1');
+    const queue = [...commands];
+    socket.on('data', () => {
+      const next = queue.shift();
+      if (next === undefined) {
+        socket.end();
+        resolve();
+      } else {
+        socket.write(next);
+      }
+    });
+    socket.on('error', reject);
+  });
+}
+
+async function testReceivesMagicLink() {
+  console.log('\n=== Test: mail catcher receives and parses a magic link ===\n');
+
+  const catcher = new MailCatcher(mockLogger, { smtpPort: 0 });
+
+  try {
+    await catcher.start();
+
+    const since = Date.now();
+    const waiting = catcher.waitForMessage('Tester@Example.com', { since, timeout: 5000 });
+
+    await sendMail(catcher.smtpPort, [
+      'EHLO test\r\n',
+      'MAIL FROM:<no-reply@veria.cc>\r\n',
+      'RCPT TO:<tester@example.com>\r\n',
+      'DATA\r\n',
+      `${MAGIC_LINK_EMAIL}\r\n.\r\n`,
+      'QUIT\r\n'
+    ]);
+
+    const message = await waiting;
+    if (message.subject !== 'Sign in to veria.cc') {
+      throw new Error(`Unexpected subject: ${message.subject}`);
+    }
+
+    const link = MailCatcher.findLink(message, /\/api\/auth\/callback\/email/);
+    const expected = 'http://localhost:3000/api/auth/callback/email?token=abc&email=tester%40example.com';
+    if (link !== expected) {
+      throw new Error(`Unexpected link: ${link}`);
+    }
+
+    if (catcher.getLatestMessage('someone-else@example.com')) {
+      throw new Error('Expected no message for another recipient');
+    }
+
+    console.log('✅ Test passed: quoted-printable HTML link decoded');
+    return true;
+
+  } catch (error) {
+    console.error('❌ Test failed:', error.message);
+    return false;
+  } finally {
+    await catcher.stop();
+  }
+}
+
+// Run all tests
+async function runTests() {
+  console.log('='.repeat(70));
+  console.log('Running Mail Catcher Tests');
+  console.log('='.repeat(70));
+
+  const tests = [
+    testReceivesMagicLink
+  ];
+
+  const results = { passed: 0, failed: 0 };
+  for (const test of tests) {
+    if (await test()) results.passed++;
+    else results.failed++;
+  }
+
+  // Summary
+  console.log('\n' + '='.repeat(70));
+  console.log('Test Summary');
+  console.log('='.repeat(70));
+  console.log(`✅ Passed: ${results.passed}`);
+  console.log(`❌ Failed: ${results.failed}`);
+
+  process.exit(results.failed === 0 ? 0 : 1);
+}
+
+// Run tests if executed directly
+if (require.main === module) {
+  runTests().catch(error => {
+    console.error('Test execution failed:', error);
+    process.exit(1);
+  });
+}
+
+module.exports = { runTests };
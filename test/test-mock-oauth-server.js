@@ -0,0 +1,204 @@
+const crypto = require('crypto');
+const MockOAuthServer = require('../src/utils/mock-oauth-server');
+
+/**
+ * Test suite for the bundled mock OAuth/OIDC provider
+ * Drives authorize → login → consent → token → userinfo over HTTP, plus injected errors
+ */
+
+// Mock logger
+const mockLogger = {
+  info: () => {},
+  success: () => {},
+  error: () => {},
+  debug: () => {},
+  warn: () => {}
+};
+
+const REDIRECT_URI = 'http://localhost:3000/api/auth/callback/mock';
+
+function createServer(behavior) {
+  return new MockOAuthServer(mockLogger, { port: 0, redirectUris: [REDIRECT_URI], behavior });
+}
+
+function authorizeUrl(server, params = {}) {
+  const url = new URL(`${server.issuer}/authorize`);
+  const query = {
+    client_id: 'mock-client',
+    redirect_uri: REDIRECT_URI,
+    response_type: 'code',
+    scope: 'openid email profile',
+    state: 'xyz',
+    ...params
+  };
+  for (const [key, value] of Object.entries(query)) {
+    url.searchParams.set(key, value);
+  }
+  return url;
+}
+
+function post(server, path, form) {
+  return fetch(`${server.issuer}${path}`, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/x-www-form-urlencoded' },
+    body: new URLSearchParams(form),
+    redirect: 'manual'
+  });
+}
+
+async function transactionFrom(response) {
+  const match = (await response.text()).match(/name="transaction" value="([^"]+)"/);
+  if (!match) {
+    throw new Error('Login form did not include a transaction');
+  }
+  return match[1];
+}
+
+async function testAuthorizationCodeFlow() {
+  console.log('\n=== Test: full authorization code flow with PKCE ===\n');
+
+  const server = createServer();
+
+  try {
+    await server.start();
+
+    const verifier = crypto.randomBytes(32).toString('base64url');
+    const challenge = crypto.createHash('sha256').update(verifier).digest('base64url');
+    const loginPage = await fetch(authorizeUrl(server, { code_challenge: challenge, code_challenge_method: 'S256' }));
+    const transaction = await transactionFrom(loginPage);
+
+    const wrong = await post(server, '/login', { transaction, username: 'tester', password: 'nope' });
+    if (wrong.status !== 401) {
+      throw new Error(`Expected 401 for a wrong password, got ${wrong.status}`);
+    }
+
+    const consentPage = await post(server, '/login', { transaction, username: 'tester', password: 'password' });
+    if (!(await consentPage.text()).includes('Authorize')) {
+      throw new Error('Expected the consent screen after login');
+    }
+
+    const callback = await post(server, '/consent', { transaction, decision: 'allow' });
+    const location = new URL(callback.headers.get('location'));
+    if (location.searchParams.get('state') !== 'xyz' || !location.searchParams.get('code')) {
+      throw new Error(`Unexpected callback: ${location}`);
+    }
+
+    const tokenRequest = {
+      grant_type: 'authorization_code',
+      code: location.searchParams.get('code'),
+      redirect_uri: REDIRECT_URI,
+      client_id: 'mock-client',
+      client_secret: 'mock-secret',
+      code_verifier: verifier
+    };
+    const tokens = await (await post(server, '/token', tokenRequest)).json();
+    if (!tokens.access_token || tokens.id_token.split('.').length !== 3) {
+      throw new Error(`Unexpected token response: ${JSON.stringify(tokens)}`);
+    }
+
+    // The id_token verifies against the key discovery points to
+    const discovery = await (await fetch(`${server.issuer}/.well-known/openid-configuration`)).json();
+    const { keys } = await (await fetch(discovery.jwks_uri)).json();
+    const [header, payload, signature] = tokens.id_token.split('.');
+    const { kid, alg } = JSON.parse(Buffer.from(header, 'base64url'));
+    const jwk = keys.find(key => key.kid === kid);
+    if (alg !== 'RS256' || !jwk || !crypto.verify('sha256', Buffer.from(`${header}.${payload}`), crypto.createPublicKey({ key: jwk, format: 'jwk' }), Buffer.from(signature, 'base64url'))) {
+      throw new Error(`id_token does not verify against ${discovery.jwks_uri}`);
+    }
+
+    const replay = await post(server, '/token', tokenRequest);
+    if (replay.status !== 400) {
+      throw new Error('Authorization code was accepted twice');
+    }
+
+    const userinfo = await (await fetch(`${server.issuer}/userinfo`, {
+      headers: { Authorization: `Bearer ${tokens.access_token}` }
+    })).json();
+    if (userinfo.email !== 'tester@example.com' || 'password' in userinfo) {
+      throw new Error(`Unexpected userinfo: ${JSON.stringify(userinfo)}`);
+    }
+
+    console.log('✅ Test passed: code exchanged for tokens and userinfo, id_token verified');
+    return true;
+
+  } catch (error) {
+    console.error('❌ Test failed:', error.message);
+    return false;
+  } finally {
+    await server.stop();
+  }
+}
+
+async function testInjectedErrors() {
+  console.log('\n=== Test: injected access_denied, invalid_client and redirect_uri_mismatch ===\n');
+
+  const server = createServer({ error: 'access_denied' });
+
+  try {
+    await server.start();
+
+    const denied = await fetch(authorizeUrl(server), { redirect: 'manual' });
+    const location = new URL(denied.headers.get('location'));
+    if (location.searchParams.get('error') !== 'access_denied' || location.searchParams.get('state') !== 'xyz') {
+      throw new Error(`Expected access_denied redirect, got ${location}`);
+    }
+
+    server.setBehavior({ error: 'invalid_client' });
+    const invalidClient = await fetch(authorizeUrl(server), { redirect: 'manual' });
+    if (invalidClient.status !== 400 || !(await invalidClient.text()).includes('invalid_client')) {
+      throw new Error('Expected an invalid_client error page');
+    }
+
+    server.setBehavior({});
+    const mismatch = await fetch(authorizeUrl(server, { redirect_uri: 'https://evil.example/cb' }), { redirect: 'manual' });
+    if (mismatch.status !== 400 || mismatch.headers.get('location')) {
+      throw new Error('Unregistered redirect_uri must not be redirected to');
+    }
+
+    console.log('✅ Test passed: errors surface as the provider would report them');
+    return true;
+
+  } catch (error) {
+    console.error('❌ Test failed:', error.message);
+    return false;
+  } finally {
+    await server.stop();
+  }
+}
+
+// Run all tests
+async function runTests() {
+  console.log('='.repeat(70));
+  console.log('Running Mock OAuth Server Tests');
+  console.log('='.repeat(70));
+
+  const tests = [
+    testAuthorizationCodeFlow,
+    testInjectedErrors
+  ];
+
+  const results = { passed: 0, failed: 0 };
+  for (const test of tests) {
+    if (await test()) results.passed++;
+    else results.failed++;
+  }
+
+  // Summary
+  console.log('\n' + '='.repeat(70));
+  console.log('Test Summary');
+  console.log('='.repeat(70));
+  console.log(`✅ Passed: ${results.passed}`);
+  console.log(`❌ Failed: ${results.failed}`);
+
+  process.exit(results.failed === 0 ? 0 : 1);
+}
+
+// Run tests if executed directly
+if (require.main === module) {
+  runTests().catch(error => {
+    console.error('Test execution failed:', error);
+    process.exit(1);
+  });
+}
+
+module.exports = { runTests };
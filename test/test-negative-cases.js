@@ -0,0 +1,130 @@
+const config = require('../src/scenarios/veria-oauth-flows.json');
+const StateMachine = require('../src/utils/state-machine');
+const StateVerifier = require('../src/utils/state-verifier');
+const { generateNegativeCases } = require('../src/utils/negative-cases');
+
+/**
+ * Test suite for negative OAuth cases derived from the flow config
+ */
+
+// Mock logger
+const mockLogger = {
+  info: () => {},
+  success: () => {},
+  error: () => {},
+  debug: () => {},
+  warn: () => {}
+};
+
+const provider = name => config.providers.find(p => p.name === name);
+
+function testDerivedCases() {
+  console.log('\n=== Test: cases derived from the provider flow ===\n');
+
+  try {
+    const github = generateNegativeCases(provider('github'), config).map(c => c.name).join(',');
+    if (github !== 'deny_consent,wrong_password,cancel_at_provider,tampered_state,expired_code') {
+      throw new Error(`Unexpected github cases: ${github}`);
+    }
+
+    // Email login has no provider screens or OAuth callback to attack
+    if (generateNegativeCases(provider('email'), config).length !== 0) {
+      throw new Error('Expected no negative cases for email');
+    }
+
+    const disabled = generateNegativeCases({ ...provider('github'), negative: { cancel_at_provider: false } }, config);
+    if (disabled.some(c => c.name === 'cancel_at_provider')) {
+      throw new Error('Disabled case was generated');
+    }
+
+    const wrongPassword = disabled.find(c => c.name === 'wrong_password');
+    if (!/^wrong-/.test(wrongPassword.credentials.password)) {
+      throw new Error('wrong_password should override {{password}}');
+    }
+
+    console.log('✅ Test passed: 5 cases for github, none for email, overrides honored');
+    return true;
+
+  } catch (error) {
+    console.error('❌ Test failed:', error.message);
+    return false;
+  }
+}
+
+async function testExpectedErrorOutcome() {
+  console.log('\n=== Test: expected error passes, reaching the dashboard fails ===\n');
+
+  try {
+    const verifier = new StateVerifier(config, mockLogger);
+    const tampered = generateNegativeCases(provider('github'), config).find(c => c.name === 'tampered_state');
+    const guard = url => when => verifier.evaluate(when, { url, provider: 'github' });
+
+    // Callback rejected by the app → expected_error
+    const rejected = new StateMachine('github', tampered.flow);
+    rejected.advance('provider_auth');
+    const branch = await rejected.selectTransition(guard('https://veria.cc/signin?error=OAuthCallback'));
+    if (!branch || branch.to !== 'expected_error') {
+      throw new Error(`Expected expected_error branch, got ${branch && branch.to}`);
+    }
+    rejected.advance(branch.to);
+    if (!rejected.isSuccessful()) {
+      throw new Error('Reaching the expected error should pass the case');
+    }
+
+    // The app accepted the tampered callback → dashboard is a failure
+    const accepted = new StateMachine('github', tampered.flow);
+    accepted.advance('provider_auth');
+    accepted.advance('callback');
+    if (await accepted.selectTransition(guard('https://veria.cc/dashboard'))) {
+      throw new Error('No guard should fire on the dashboard');
+    }
+    accepted.advance();
+    if (!accepted.isComplete() || accepted.isSuccessful()) {
+      throw new Error('Signing in during a negative case must fail');
+    }
+
+    console.log('✅ Test passed: outcome decided by the expected error');
+    return true;
+
+  } catch (error) {
+    console.error('❌ Test failed:', error.message);
+    return false;
+  }
+}
+
+// Run all tests
+async function runTests() {
+  console.log('='.repeat(70));
+  console.log('Running Negative Case Tests');
+  console.log('='.repeat(70));
+
+  const tests = [
+    testDerivedCases,
+    testExpectedErrorOutcome
+  ];
+
+  const results = { passed: 0, failed: 0 };
+  for (const test of tests) {
+    if (await test()) results.passed++;
+    else results.failed++;
+  }
+
+  // Summary
+  console.log('\n' + '='.repeat(70));
+  console.log('Test Summary');
+  console.log('='.repeat(70));
+  console.log(`✅ Passed: ${results.passed}`);
+  console.log(`❌ Failed: ${results.failed}`);
+
+  process.exit(results.failed === 0 ? 0 : 1);
+}
+
+// Run tests if executed directly
+if (require.main === module) {
+  runTests().catch(error => {
+    console.error('Test execution failed:', error);
+    process.exit(1);
+  });
+}
+
+module.exports = { runTests };
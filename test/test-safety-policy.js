@@ -0,0 +1,171 @@
+const SafetyPolicy = require('../src/utils/safety-policy');
+const ComputerUseAgent = require('../src/agents/computer-use');
+
+/**
+ * Test suite for Computer Use safety confirmations
+ */
+
+const mockLogger = {
+  info: () => {},
+  success: () => {},
+  warn: () => {},
+  error: () => {},
+  debug: () => {}
+};
+
+const flagged = explanation => ({
+  name: 'click_at',
+  args: { x: 500, y: 500 },
+  _safetyDecision: { decision: 'require_confirmation', explanation }
+});
+
+async function testPolicyRules() {
+  console.log('\n=== Test: default policy approves, refuses and falls back ===\n');
+
+  try {
+    const policy = await SafetyPolicy.load(mockLogger, undefined, { interactive: false });
+
+    const signIn = await policy.review(flagged('The model wants to sign in with a password.'), 'https://github.com/login');
+    if (!signIn.acknowledged || signIn.source !== 'policy' || signIn.rule !== 2) {
+      throw new Error(`Sign-in on github.com should be approved by rule 2: ${JSON.stringify(signIn)}`);
+    }
+
+    const payment = await policy.review(flagged('This will complete the purchase.'), 'https://veria.cc/checkout');
+    if (payment.acknowledged || payment.decision !== 'refused' || !payment.categories.includes('payment')) {
+      throw new Error(`Purchases must be refused: ${JSON.stringify(payment)}`);
+    }
+
+    const elsewhere = await policy.review(flagged('Sign in to continue.'), 'https://evil.example.com/login');
+    if (elsewhere.acknowledged || elsewhere.source !== 'non-interactive') {
+      throw new Error(`Unknown domains should need a prompt, refused without a TTY: ${JSON.stringify(elsewhere)}`);
+    }
+
+    if (!SafetyPolicy.requiresConfirmation(flagged('x')) || SafetyPolicy.requiresConfirmation({ name: 'click_at', args: {} })) {
+      throw new Error('requiresConfirmation should only match require_confirmation decisions');
+    }
+
+    console.log('✅ Test passed: rules applied in order');
+    return true;
+
+  } catch (error) {
+    console.error('❌ Test failed:', error.message);
+    return false;
+  }
+}
+
+async function testInteractivePrompt() {
+  console.log('\n=== Test: prompt decisions ask y/n one at a time ===\n');
+
+  try {
+    const questions = [];
+    const answers = ['y', 'n'];
+    const policy = new SafetyPolicy(mockLogger, { default: 'prompt' }, {
+      interactive: true,
+      ask: async question => {
+        questions.push(question);
+        await new Promise(resolve => setTimeout(resolve, 10));
+        return answers.shift();
+      }
+    });
+
+    const [approved, refused] = await Promise.all([
+      policy.review(flagged('Solve the CAPTCHA'), 'https://veria.cc/'),
+      policy.review(flagged('Delete the repository'), 'https://github.com/settings')
+    ]);
+
+    if (!approved.acknowledged || approved.source !== 'prompt') {
+      throw new Error(`First prompt answered y: ${JSON.stringify(approved)}`);
+    }
+    if (refused.acknowledged || refused.reason !== 'Refused at the prompt') {
+      throw new Error(`Second prompt answered n: ${JSON.stringify(refused)}`);
+    }
+    if (questions.length !== 2 || !questions[0].includes('Solve the CAPTCHA')) {
+      throw new Error('Prompt should show the model explanation');
+    }
+
+    let invalid = false;
+    try {
+      new SafetyPolicy(mockLogger, { rules: [{ decision: 'maybe' }] });
+    } catch {
+      invalid = true;
+    }
+    if (!invalid) {
+      throw new Error('Invalid rule decisions should be rejected');
+    }
+
+    console.log('✅ Test passed: prompts answered in order');
+    return true;
+
+  } catch (error) {
+    console.error('❌ Test failed:', error.message);
+    return false;
+  }
+}
+
+async function testAcknowledgementInFunctionResponse() {
+  console.log('\n=== Test: approved actions acknowledge the safety decision ===\n');
+
+  try {
+    const agent = new ComputerUseAgent(mockLogger, 'test-key');
+
+    await agent.reportActionResult({
+      success: true,
+      actionName: 'click_at',
+      _safetyDecision: { acknowledged: true, decision: 'approved' }
+    }, 'https://github.com/login');
+    await agent.reportActionResult({ success: true, actionName: 'hover_at' }, 'https://github.com/login');
+
+    const [acknowledged, plain] = agent.conversationHistory.map(entry => entry.parts[0].functionResponse.response);
+    if (acknowledged.safety_acknowledgement !== 'true' || '_safetyDecision' in acknowledged) {
+      throw new Error(`Expected safety_acknowledgement without internal fields: ${JSON.stringify(acknowledged)}`);
+    }
+    if ('safety_acknowledgement' in plain) {
+      throw new Error('Unflagged actions must not acknowledge anything');
+    }
+
+    console.log('✅ Test passed: acknowledgement sent in the function response');
+    return true;
+
+  } catch (error) {
+    console.error('❌ Test failed:', error.message);
+    return false;
+  }
+}
+
+// Run all tests
+async function runTests() {
+  console.log('='.repeat(70));
+  console.log('Running Safety Policy Tests');
+  console.log('='.repeat(70));
+
+  const tests = [
+    testPolicyRules,
+    testInteractivePrompt,
+    testAcknowledgementInFunctionResponse
+  ];
+
+  const results = { passed: 0, failed: 0 };
+  for (const test of tests) {
+    if (await test()) results.passed++;
+    else results.failed++;
+  }
+
+  // Summary
+  console.log('\n' + '='.repeat(70));
+  console.log('Test Summary');
+  console.log('='.repeat(70));
+  console.log(`✅ Passed: ${results.passed}`);
+  console.log(`❌ Failed: ${results.failed}`);
+
+  process.exit(results.failed === 0 ? 0 : 1);
+}
+
+// Run tests if executed directly
+if (require.main === module) {
+  runTests().catch(error => {
+    console.error('Test execution failed:', error);
+    process.exit(1);
+  });
+}
+
+module.exports = { runTests };
@@ -0,0 +1,226 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const SessionProfiles = require('../src/utils/session-profiles');
+const TestExecutorAgent = require('../src/agents/test-executor');
+const ScenarioRunner = require('../src/scenario-runner');
+
+/**
+ * Test suite for named session profiles
+ */
+
+const mockLogger = {
+  info: () => {},
+  success: () => {},
+  warn: () => {},
+  error: () => {},
+  debug: () => {}
+};
+
+const inOneDay = Math.floor(Date.now() / 1000) + 86400;
+const yesterday = Math.floor(Date.now() / 1000) - 86400;
+
+const STORAGE_STATE = {
+  cookies: [
+    { name: 'next-auth.session-token', value: 'secret-token', domain: 'veria.cc', path: '/', expires: inOneDay },
+    { name: 'next-auth.csrf-token', value: 'csrf', domain: 'veria.cc', path: '/', expires: -1 },
+    { name: 'user_session', value: 'gh-session', domain: 'github.com', path: '/', expires: yesterday }
+  ],
+  origins: [
+    { origin: 'https://veria.cc', localStorage: [{ name: 'theme', value: 'dark' }] }
+  ]
+};
+
+function createProfiles() {
+  return new SessionProfiles(mockLogger, { dir: fs.mkdtempSync(path.join(os.tmpdir(), 'profiles-')) });
+}
+
+async function testSaveListLoad() {
+  console.log('\n=== Test: save, list and load a profile ===\n');
+
+  try {
+    const profiles = createProfiles();
+    await profiles.save('github-admin', STORAGE_STATE, { provider: 'github', account: 'primary', baseUrl: 'https://veria.cc' });
+    // Copied in by hand under names a profile can't have
+    fs.writeFileSync(path.join(profiles.dir, 'github admin (copy).json'), '{}');
+    fs.writeFileSync(path.join(profiles.dir, '.hidden.json'), '{}');
+
+    const list = await profiles.list();
+    if (list.length !== 1 || list[0].name !== 'github-admin' || list[0].source.provider !== 'github') {
+      throw new Error(`Unexpected profile list: ${JSON.stringify(list)}`);
+    }
+
+    const storageState = await profiles.load('github-admin');
+    if (storageState.cookies.length !== 3) {
+      throw new Error('Loaded storage state does not match the saved one');
+    }
+
+    let missing = false;
+    await profiles.load('nobody').catch(error => {
+      missing = /not found/.test(error.message);
+    });
+    if (!missing) {
+      throw new Error('Loading an unknown profile should fail');
+    }
+
+    let invalid = false;
+    await profiles.save('../escape', STORAGE_STATE).catch(error => {
+      invalid = /Invalid profile name/.test(error.message);
+    });
+    if (!invalid) {
+      throw new Error('Profile names must not contain path separators');
+    }
+
+    console.log('✅ Test passed: profiles saved, listed and loaded');
+    return true;
+
+  } catch (error) {
+    console.error('❌ Test failed:', error.message);
+    return false;
+  }
+}
+
+async function testInspect() {
+  console.log('\n=== Test: inspect reports domains and expiry without values ===\n');
+
+  try {
+    const profiles = createProfiles();
+    await profiles.save('github-admin', STORAGE_STATE);
+    const report = await profiles.inspect('github-admin');
+
+    const veria = report.domains.find(d => d.domain === 'veria.cc');
+    const github = report.domains.find(d => d.domain === 'github.com');
+    if (!veria || veria.cookies.length !== 2 || veria.expires !== new Date(inOneDay * 1000).toISOString()) {
+      throw new Error(`Unexpected veria.cc summary: ${JSON.stringify(veria)}`);
+    }
+    if (!github || github.expired !== 1 || github.expires !== 'session' || report.expired !== 1) {
+      throw new Error(`Expired github.com cookie not reported: ${JSON.stringify(github)}`);
+    }
+    if (report.origins[0].localStorage[0] !== 'theme') {
+      throw new Error('localStorage keys missing from the report');
+    }
+    if (JSON.stringify(report).includes('secret-token')) {
+      throw new Error('Inspect must not expose cookie values');
+    }
+
+    console.log('✅ Test passed: cookie domains and expiry summarized');
+    return true;
+
+  } catch (error) {
+    console.error('❌ Test failed:', error.message);
+    return false;
+  }
+}
+
+async function testExportAndClear() {
+  console.log('\n=== Test: export as storage state, then clear ===\n');
+
+  try {
+    const profiles = createProfiles();
+    await profiles.save('github-admin', STORAGE_STATE);
+
+    const destination = path.join(profiles.dir, 'exported-state.txt');
+    await profiles.export('github-admin', destination);
+    const exported = JSON.parse(fs.readFileSync(destination, 'utf8'));
+    if (!Array.isArray(exported.cookies) || exported.name !== undefined) {
+      throw new Error('Export should write a plain Playwright storage state');
+    }
+
+    if (!(await profiles.clear('github-admin')) || await profiles.clear('github-admin')) {
+      throw new Error('clear() should delete once and report a missing profile after');
+    }
+    if ((await profiles.list()).length !== 0) {
+      throw new Error('Profile still listed after clear');
+    }
+
+    console.log('✅ Test passed: exported and cleared');
+    return true;
+
+  } catch (error) {
+    console.error('❌ Test failed:', error.message);
+    return false;
+  }
+}
+
+async function testScenarioSessionState() {
+  console.log('\n=== Test: profiled and parallel scenarios keep off the shared session state ===\n');
+
+  const seen = {};
+  const originals = { initialize: TestExecutorAgent.prototype.initialize, cleanup: TestExecutorAgent.prototype.cleanup };
+  TestExecutorAgent.prototype.initialize = async function(options) {
+    seen.initialize = options;
+    throw new Error('Browser not available in tests');
+  };
+  TestExecutorAgent.prototype.cleanup = async function(options) {
+    seen.cleanup = options;
+  };
+
+  const profiles = createProfiles();
+  try {
+    process.env.GEMINI_API_KEY = process.env.GEMINI_API_KEY || 'test-key';
+    await profiles.save('github-admin', STORAGE_STATE);
+
+    const runner = new ScenarioRunner({ profile: 'github-admin', concurrency: 2 });
+    runner.logger = { ...mockLogger, step: () => {} };
+    runner.profiles = profiles;
+    runner.runDir = profiles.dir;
+    runner.scenarios = { scenarios: [{ name: 'checkout', enabled: true, flow: [{ state: 'cart', goal: 'Open the cart' }] }] };
+    await runner.runScenario('checkout', { index: 1 });
+
+    if (seen.initialize.userDataDir !== path.join(profiles.dir, 'checkout') || seen.initialize.storageState.cookies.length !== 3) {
+      throw new Error(`Expected a per-scenario user data dir and the profile: ${JSON.stringify(seen.initialize)}`);
+    }
+    if (!seen.cleanup || seen.cleanup.saveSession !== false) {
+      throw new Error(`A profiled run must not save the shared session: ${JSON.stringify(seen.cleanup)}`);
+    }
+
+    console.log('✅ Test passed: session state kept per scenario, not saved over the shared file');
+    return true;
+
+  } catch (error) {
+    console.error('❌ Test failed:', error.message);
+    return false;
+  } finally {
+    Object.assign(TestExecutorAgent.prototype, originals);
+    fs.rmSync(profiles.dir, { recursive: true, force: true });
+  }
+}
+
+// Run all tests
+async function runTests() {
+  console.log('='.repeat(70));
+  console.log('Running Session Profile Tests');
+  console.log('='.repeat(70));
+
+  const tests = [
+    testSaveListLoad,
+    testInspect,
+    testExportAndClear,
+    testScenarioSessionState
+  ];
+
+  const results = { passed: 0, failed: 0 };
+  for (const test of tests) {
+    if (await test()) results.passed++;
+    else results.failed++;
+  }
+
+  // Summary
+  console.log('\n' + '='.repeat(70));
+  console.log('Test Summary');
+  console.log('='.repeat(70));
+  console.log(`✅ Passed: ${results.passed}`);
+  console.log(`❌ Failed: ${results.failed}`);
+
+  process.exit(results.failed === 0 ? 0 : 1);
+}
+
+// Run tests if executed directly
+if (require.main === module) {
+  runTests().catch(error => {
+    console.error('Test execution failed:', error);
+    process.exit(1);
+  });
+}
+
+module.exports = { runTests };
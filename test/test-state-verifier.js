@@ -0,0 +1,182 @@
+const StateVerifier = require('../src/utils/state-verifier');
+const config = require('../src/scenarios/veria-oauth-flows.json');
+
+/**
+ * Test suite for the declarative state verifier
+ * Verifies the predicates in veria-oauth-flows.json without a browser
+ */
+
+// Mock logger
+const mockLogger = {
+  info: () => {},
+  success: () => {},
+  error: () => {},
+  debug: () => {},
+  warn: () => {}
+};
+
+const github = config.providers.find(p => p.name === 'github');
+const email = config.providers.find(p => p.name === 'email');
+
+async function testProviderAuthMinActions() {
+  console.log('\n=== Test: provider_auth honors provider minActions ===\n');
+
+  try {
+    const verifier = new StateVerifier(config, mockLogger);
+
+    const early = await verifier.verify('provider_auth', {
+      url: 'https://www.veria.cc/dashboard',
+      providerConfig: github,
+      actionsInState: 2
+    });
+    if (early.passed) {
+      throw new Error('Expected provider_auth to wait for 3 actions');
+    }
+
+    const onProvider = await verifier.verify('provider_auth', {
+      url: 'https://github.com/login',
+      providerConfig: github,
+      actionsInState: 3
+    });
+    if (onProvider.passed) {
+      throw new Error('Expected provider_auth to fail while still on github.com');
+    }
+
+    const done = await verifier.verify('provider_auth', {
+      url: 'https://www.veria.cc/dashboard',
+      providerConfig: github,
+      actionsInState: 3
+    });
+    if (!done.passed) {
+      throw new Error(`Expected provider_auth to pass: ${done.reason}`);
+    }
+
+    console.log('✅ Test passed: minActions and host predicates applied');
+    return true;
+
+  } catch (error) {
+    console.error('❌ Test failed:', error.message);
+    return false;
+  }
+}
+
+async function testCallbackOAuthError() {
+  console.log('\n=== Test: callback detects OAuth error query ===\n');
+
+  try {
+    const verifier = new StateVerifier(config, mockLogger);
+
+    const result = await verifier.verify('callback', {
+      url: 'https://veria.cc/signin?error=OAuthAccountNotLinked',
+      providerConfig: github
+    });
+
+    if (result.passed || !result.failure) {
+      throw new Error('Expected callback failure for OAuthAccountNotLinked');
+    }
+    if (result.failure.fatal) {
+      throw new Error('OAuth callback errors should not be fatal (fix cycle handles them)');
+    }
+
+    console.log('✅ Test passed: OAuth error reported as non-fatal failure');
+    return true;
+
+  } catch (error) {
+    console.error('❌ Test failed:', error.message);
+    return false;
+  }
+}
+
+async function testEmailVerificationBlocker() {
+  console.log('\n=== Test: email_login verify-email is fatal ===\n');
+
+  try {
+    const verifier = new StateVerifier(config, mockLogger);
+
+    const result = await verifier.verify('email_login', {
+      url: 'https://veria.cc/verify-email',
+      providerConfig: email
+    });
+
+    if (!result.failure || !result.failure.fatal) {
+      throw new Error('Expected fatal failure on verify-email');
+    }
+
+    console.log('✅ Test passed: verify-email blocks email_login');
+    return true;
+
+  } catch (error) {
+    console.error('❌ Test failed:', error.message);
+    return false;
+  }
+}
+
+async function testBaseUrlOverride() {
+  console.log('\n=== Test: baseUrl override retargets host predicates ===\n');
+
+  try {
+    const verifier = new StateVerifier(config, mockLogger, { baseUrl: 'https://staging.example.dev' });
+
+    const staging = await verifier.verify('dashboard', {
+      url: 'https://staging.example.dev/dashboard',
+      providerConfig: github
+    });
+    if (!staging.passed) {
+      throw new Error(`Expected staging dashboard to pass: ${staging.reason}`);
+    }
+
+    const production = await verifier.verify('dashboard', {
+      url: 'https://veria.cc/dashboard',
+      providerConfig: github
+    });
+    if (production.passed) {
+      throw new Error('Expected production host to fail when targeting staging');
+    }
+
+    console.log('✅ Test passed: host predicates follow baseUrl');
+    return true;
+
+  } catch (error) {
+    console.error('❌ Test failed:', error.message);
+    return false;
+  }
+}
+
+// Run all tests
+async function runTests() {
+  console.log('='.repeat(70));
+  console.log('Running State Verifier Tests');
+  console.log('='.repeat(70));
+
+  const tests = [
+    testProviderAuthMinActions,
+    testCallbackOAuthError,
+    testEmailVerificationBlocker,
+    testBaseUrlOverride
+  ];
+
+  const results = { passed: 0, failed: 0 };
+  for (const test of tests) {
+    if (await test()) results.passed++;
+    else results.failed++;
+  }
+
+  // Summary
+  console.log('\n' + '='.repeat(70));
+  console.log('Test Summary');
+  console.log('='.repeat(70));
+  console.log(`✅ Passed: ${results.passed}`);
+  console.log(`❌ Failed: ${results.failed}`);
+
+  process.exit(results.failed === 0 ? 0 : 1);
+}
+
+// Run tests if executed directly
+if (require.main === module) {
+  runTests().catch(error => {
+    console.error('Test execution failed:', error);
+    process.exit(1);
+  });
+}
+
+module.exports = { runTests };
@@ -0,0 +1,103 @@
+const { generateTOTP } = require('../src/utils/totp');
+const CredentialVault = require('../src/utils/credential-vault');
+
+/**
+ * Test suite for TOTP generation and the {{totp}} credential placeholder
+ * Uses the RFC 6238 appendix B test vectors
+ */
+
+// ASCII "12345678901234567890" in base32
+const RFC_SECRET = 'GEZDGNBVGY3TQOJQGEZDGNBVGY3TQOJQ';
+
+function testRfcVectors() {
+  console.log('\n=== Test: RFC 6238 SHA1 test vectors ===\n');
+
+  try {
+    const vectors = [
+      { time: 59, code: '94287082' },
+      { time: 1111111109, code: '07081804' },
+      { time: 1234567890, code: '89005924' },
+      { time: 20000000000, code: '65353130' }
+    ];
+
+    for (const { time, code } of vectors) {
+      const actual = generateTOTP(RFC_SECRET, { timestamp: time * 1000, digits: 8 });
+      if (actual !== code) {
+        throw new Error(`T=${time}: expected ${code}, got ${actual}`);
+      }
+    }
+
+    console.log('✅ Test passed: codes match RFC 6238');
+    return true;
+
+  } catch (error) {
+    console.error('❌ Test failed:', error.message);
+    return false;
+  }
+}
+
+function testVaultTotpPlaceholder() {
+  console.log('\n=== Test: totpSecret backs {{totp}} without exposing the secret ===\n');
+
+  try {
+    process.env.TEST_TOTP_SECRET_FOR_SUITE = RFC_SECRET;
+    const vault = CredentialVault.fromTestAccount({ totpSecret: 'process.env.TEST_TOTP_SECRET_FOR_SUITE' });
+
+    if (vault.placeholders().join(',') !== '{{totp}}') {
+      throw new Error(`Unexpected placeholders: ${vault.placeholders().join(',')}`);
+    }
+    if (!/^\d{6}$/.test(vault.substitute('{{totp}}'))) {
+      throw new Error('Expected a 6-digit code');
+    }
+    if (vault.redact(`secret ${RFC_SECRET}`).includes(RFC_SECRET)) {
+      throw new Error('TOTP secret was not redacted');
+    }
+    if (JSON.stringify(vault).includes(RFC_SECRET)) {
+      throw new Error('TOTP secret leaked through serialization');
+    }
+
+    console.log('✅ Test passed: {{totp}} resolves at type time only');
+    return true;
+
+  } catch (error) {
+    console.error('❌ Test failed:', error.message);
+    return false;
+  }
+}
+
+// Run all tests
+async function runTests() {
+  console.log('='.repeat(70));
+  console.log('Running TOTP Tests');
+  console.log('='.repeat(70));
+
+  const tests = [
+    testRfcVectors,
+    testVaultTotpPlaceholder
+  ];
+
+  const results = { passed: 0, failed: 0 };
+  for (const test of tests) {
+    if (await test()) results.passed++;
+    else results.failed++;
+  }
+
+  // Summary
+  console.log('\n' + '='.repeat(70));
+  console.log('Test Summary');
+  console.log('='.repeat(70));
+  console.log(`✅ Passed: ${results.passed}`);
+  console.log(`❌ Failed: ${results.failed}`);
+
+  process.exit(results.failed === 0 ? 0 : 1);
+}
+
+// Run tests if executed directly
+if (require.main === module) {
+  runTests().catch(error => {
+    console.error('Test execution failed:', error);
+    process.exit(1);
+  });
+}
+
+module.exports = { runTests };
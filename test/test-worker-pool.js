@@ -0,0 +1,110 @@
+const { runPool } = require('../src/utils/worker-pool');
+
+/**
+ * Test suite for the --concurrency worker pool
+ */
+
+const sleep = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+async function testConcurrencyAndOrder() {
+  console.log('\n=== Test: at most N tasks in flight, results in input order ===\n');
+
+  try {
+    let running = 0;
+    let peak = 0;
+    const slots = new Set();
+
+    const results = await runPool([30, 10, 20, 5, 15], 2, async (ms, workerIndex) => {
+      running++;
+      peak = Math.max(peak, running);
+      slots.add(workerIndex);
+      await sleep(ms);
+      running--;
+      return ms * 2;
+    });
+
+    if (results.join(',') !== '60,20,40,10,30') {
+      throw new Error(`Results out of order: ${results.join(',')}`);
+    }
+    if (peak !== 2) {
+      throw new Error(`Expected 2 tasks in flight at peak, got ${peak}`);
+    }
+    if ([...slots].sort().join(',') !== '0,1') {
+      throw new Error(`Unexpected worker slots: ${[...slots].join(',')}`);
+    }
+
+    console.log('✅ Test passed: bounded parallelism, ordered results');
+    return true;
+
+  } catch (error) {
+    console.error('❌ Test failed:', error.message);
+    return false;
+  }
+}
+
+async function testExclusiveKeys() {
+  console.log('\n=== Test: tasks sharing a key never overlap ===\n');
+
+  try {
+    const active = new Set();
+    let overlap = false;
+
+    await runPool(['mock:1', 'mock:2', 'github', 'mock:3', 'google'], 3, async item => {
+      const key = item.split(':')[0];
+      if (key === 'mock' && active.has(key)) {
+        overlap = true;
+      }
+      active.add(key);
+      await sleep(10);
+      active.delete(key);
+    }, { keyOf: item => item.startsWith('mock') ? 'mock' : null });
+
+    if (overlap) {
+      throw new Error('Two tasks with the same key ran at once');
+    }
+
+    console.log('✅ Test passed: keyed tasks serialized');
+    return true;
+
+  } catch (error) {
+    console.error('❌ Test failed:', error.message);
+    return false;
+  }
+}
+
+// Run all tests
+async function runTests() {
+  console.log('='.repeat(70));
+  console.log('Running Worker Pool Tests');
+  console.log('='.repeat(70));
+
+  const tests = [
+    testConcurrencyAndOrder,
+    testExclusiveKeys
+  ];
+
+  const results = { passed: 0, failed: 0 };
+  for (const test of tests) {
+    if (await test()) results.passed++;
+    else results.failed++;
+  }
+
+  // Summary
+  console.log('\n' + '='.repeat(70));
+  console.log('Test Summary');
+  console.log('='.repeat(70));
+  console.log(`✅ Passed: ${results.passed}`);
+  console.log(`❌ Failed: ${results.failed}`);
+
+  process.exit(results.failed === 0 ? 0 : 1);
+}
+
+// Run tests if executed directly
+if (require.main === module) {
+  runTests().catch(error => {
+    console.error('Test execution failed:', error);
+    process.exit(1);
+  });
+}
+
+module.exports = { runTests };